@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Electron's image API does the resizing; under plain Node the original image is cached instead
+let nativeImage = null;
+try {
+    ({ nativeImage } = require('electron'));
+} catch (error) {
+    nativeImage = null;
+}
+
+// Image files that are taken as the cover for every song in their folder, in order of preference
+const FOLDER_ARTWORK_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const FOLDER_ARTWORK_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp' };
+const CACHED_EXTENSIONS = ['.none', ...new Set(Object.values(IMAGE_EXTENSIONS))];
+
+class ArtworkCache {
+    constructor({ db, metadataExtractor }) {
+        this.db = db;
+        this.metadataExtractor = metadataExtractor;
+
+        // Longest edge in pixels for each thumbnail size
+        this.sizes = { small: 64, medium: 320 };
+        this.pending = new Map(); // Cache file prefix -> promise, so parallel requests share one extraction
+    }
+
+    /**
+     * Get the cached thumbnail for a song, creating it on first request
+     * @param {Object} song - Song row
+     * @param {string} size - small or medium
+     * @returns {Promise<Object|null>} { path, mimeType }, or null if the song has no artwork
+     */
+    async getArtwork(song, size = 'medium') {
+        if (!song.file_path || !this.sizes[size]) {
+            return null;
+        }
+
+        const cacheDir = this.db.getArtworkDirectory();
+        const prefix = `${song.id}-${size}-`;
+        const key = this.getCacheKey(song.file_path);
+        if (!key) {
+            return null;
+        }
+
+        const cached = this.findCached(cacheDir, prefix + key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        if (!this.pending.has(prefix)) {
+            const job = this.createThumbnail(song.file_path, size, cacheDir, prefix, key)
+                .finally(() => this.pending.delete(prefix));
+            this.pending.set(prefix, job);
+        }
+        return this.pending.get(prefix);
+    }
+
+    /**
+     * Key a cache entry by the state of the audio file and any folder image next to it
+     * @param {string} filePath - Audio file path
+     * @returns {string|null} Short hash, or null if the audio file is gone
+     */
+    getCacheKey(filePath) {
+        try {
+            const stat = fs.statSync(filePath);
+            const parts = [filePath, stat.size, stat.mtimeMs];
+
+            const folderImage = this.findFolderArtwork(filePath);
+            if (folderImage) {
+                const imageStat = fs.statSync(folderImage);
+                parts.push(folderImage, imageStat.size, imageStat.mtimeMs);
+            }
+
+            return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').substring(0, 16);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Look for a cache entry
+     * @param {string} cacheDir - Cache directory
+     * @param {string} baseName - Entry name without extension
+     * @returns {Object|null|undefined} The entry, null if it records that there is no artwork, or undefined if not cached
+     */
+    findCached(cacheDir, baseName) {
+        for (const ext of CACHED_EXTENSIONS) {
+            const cachePath = path.join(cacheDir, baseName + ext);
+            if (fs.existsSync(cachePath)) {
+                return ext === '.none' ? null : { path: cachePath, mimeType: this.getMimeType(cachePath) };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Extract a song's artwork, scale it down and store it in the cache
+     * @param {string} filePath - Audio file path
+     * @param {string} size - small or medium
+     * @param {string} cacheDir - Cache directory
+     * @param {string} prefix - Entry prefix for this song and size; older entries with it are removed
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { path, mimeType }, or null if the song has no artwork
+     */
+    async createThumbnail(filePath, size, cacheDir, prefix, key) {
+        let image = await this.metadataExtractor.extractArtwork(filePath);
+        if (!image) {
+            const folderImage = this.findFolderArtwork(filePath);
+            if (folderImage) {
+                image = { data: fs.readFileSync(folderImage), mimeType: this.getMimeType(folderImage) };
+            }
+        }
+
+        fs.mkdirSync(cacheDir, { recursive: true });
+        this.removeCached(cacheDir, prefix);
+
+        // Remember songs without artwork too, so album views don't re-read every file
+        if (!image) {
+            fs.writeFileSync(path.join(cacheDir, `${prefix}${key}.none`), '');
+            return null;
+        }
+
+        const thumbnail = this.resize(image, this.sizes[size]);
+        const cachePath = path.join(cacheDir, `${prefix}${key}${IMAGE_EXTENSIONS[thumbnail.mimeType] || '.jpg'}`);
+        fs.writeFileSync(cachePath, thumbnail.data);
+        return { path: cachePath, mimeType: thumbnail.mimeType };
+    }
+
+    /**
+     * Scale an image so its longest edge fits a size
+     * @param {Object} image - { data, mimeType }
+     * @param {number} maxEdge - Longest edge in pixels
+     * @returns {Object} { data, mimeType }; the original if it can't be resized
+     */
+    resize(image, maxEdge) {
+        if (!nativeImage) {
+            return image;
+        }
+
+        try {
+            const source = nativeImage.createFromBuffer(image.data);
+            if (source.isEmpty()) {
+                return image;
+            }
+
+            const { width, height } = source.getSize();
+            if (Math.max(width, height) <= maxEdge) {
+                return image;
+            }
+
+            const scale = maxEdge / Math.max(width, height);
+            const scaled = source.resize({
+                width: Math.round(width * scale),
+                height: Math.round(height * scale),
+                quality: 'good'
+            });
+            return { data: scaled.toJPEG(85), mimeType: 'image/jpeg' };
+        } catch (error) {
+            console.warn('[ArtworkCache]: Could not resize artwork:', error.message);
+            return image;
+        }
+    }
+
+    /**
+     * Find a cover image in the same folder as an audio file
+     * @param {string} filePath - Audio file path
+     * @returns {string|null} Image path
+     */
+    findFolderArtwork(filePath) {
+        let entries;
+        try {
+            entries = fs.readdirSync(path.dirname(filePath));
+        } catch (error) {
+            return null;
+        }
+
+        const byName = new Map(entries.map(entry => [entry.toLowerCase(), entry]));
+        for (const name of FOLDER_ARTWORK_NAMES) {
+            for (const ext of FOLDER_ARTWORK_EXTENSIONS) {
+                const entry = byName.get(name + ext);
+                if (entry) {
+                    return path.join(path.dirname(filePath), entry);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Delete cache entries that start with a prefix
+     * @param {string} cacheDir - Cache directory
+     * @param {string} prefix - Entry prefix
+     */
+    removeCached(cacheDir, prefix) {
+        for (const name of fs.readdirSync(cacheDir)) {
+            if (name.startsWith(prefix)) {
+                fs.rmSync(path.join(cacheDir, name), { force: true });
+            }
+        }
+    }
+
+    /**
+     * Delete every cached thumbnail of a song
+     * @param {number} songId - Song ID
+     */
+    removeSong(songId) {
+        try {
+            this.removeCached(this.db.getArtworkDirectory(), `${songId}-`);
+        } catch (error) {
+            // No cache directory yet
+        }
+    }
+
+    /**
+     * Delete the thumbnails of songs that are no longer in the library
+     */
+    removeDeletedSongs() {
+        const cacheDir = this.db.getArtworkDirectory();
+        let names;
+        try {
+            names = fs.readdirSync(cacheDir);
+        } catch (error) {
+            return; // No cache directory yet
+        }
+
+        const songIds = new Set(this.db.getSongIds());
+        for (const name of names) {
+            const songId = parseInt(name, 10);
+            if (!songIds.has(songId)) {
+                fs.rmSync(path.join(cacheDir, name), { force: true });
+            }
+        }
+    }
+
+    /**
+     * Get the MIME type for an image file name
+     * @param {string} fileName - File name
+     * @returns {string} MIME type
+     */
+    getMimeType(fileName) {
+        const ext = path.extname(fileName).toLowerCase();
+        const match = Object.entries(IMAGE_EXTENSIONS).find(([, extension]) => extension === ext);
+        return match ? match[0] : 'image/jpeg';
+    }
+}
+
+module.exports = ArtworkCache;
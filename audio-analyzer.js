@@ -0,0 +1,308 @@
+/**
+ * Audio Analyzer for Jamber3
+ * Estimates a song's key and how far its tuning sits from A4 = 440 Hz, using plain JavaScript DSP on the decoded audio
+ */
+class AudioAnalyzer {
+    constructor() {
+        this.sampleRate = 11025; // Decode rate; keeps the fundamentals and low harmonics that carry pitch
+        this.frameSize = 8192; // About 1.3 Hz per FFT bin at the decode rate
+        this.hopSize = 4096;
+        this.minFrequency = 55; // A1
+        this.maxFrequency = 1760; // A6
+        this.peaksPerFrame = 12;
+        this.framesPerYield = 16;
+
+        this.noteNames = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        // Krumhansl-Kessler key profiles, from the tonic up in semitones
+        this.majorProfile = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+        this.minorProfile = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+    }
+
+    /**
+     * Decode an audio file and analyze it
+     * @param {string} url - Audio URL
+     * @returns {Promise<Object>} { key, key_confidence, tuning_offset } with the offset in cents, all null when no pitched sound was found
+     */
+    async analyze(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        // Decoding at a low rate does the resampling for us, off the main thread
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const decoder = new OfflineContext(1, 1, this.sampleRate);
+        const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+
+        return this.analyzeBuffer(audioBuffer);
+    }
+
+    /**
+     * Analyze decoded audio
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Promise<Object>} { key, key_confidence, tuning_offset } with the offset in cents, all null when no pitched sound was found
+     */
+    async analyzeBuffer(audioBuffer) {
+        const samples = this.mixToMono(audioBuffer);
+        const peaks = await this.collectPeaks(samples, audioBuffer.sampleRate);
+        if (peaks.length === 0) {
+            // Silence or drums only; there is nothing to estimate, which is a result rather than an error
+            return { key: null, key_confidence: null, tuning_offset: null };
+        }
+
+        const tuningOffset = this.estimateTuning(peaks);
+        const { key, confidence } = this.estimateKey(this.buildChroma(peaks, tuningOffset));
+
+        return {
+            key,
+            key_confidence: Math.round(confidence * 100) / 100,
+            tuning_offset: Math.round(tuningOffset * 10) / 10
+        };
+    }
+
+    /**
+     * Average the channels of a buffer
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Float32Array} Mono samples
+     */
+    mixToMono(audioBuffer) {
+        if (audioBuffer.numberOfChannels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Find the strongest spectral peaks of each frame, with their frequencies refined between FFT bins
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Promise<Array>} Peaks as { frequency, weight }
+     */
+    async collectPeaks(samples, sampleRate) {
+        const size = this.frameSize;
+        const hann = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+        }
+
+        const minBin = Math.max(2, Math.floor((this.minFrequency * size) / sampleRate));
+        const maxBin = Math.min(size / 2 - 2, Math.ceil((this.maxFrequency * size) / sampleRate));
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        const magnitudes = new Float64Array(size / 2);
+        const peaks = [];
+
+        let frameCount = 0;
+        for (let start = 0; start + size <= samples.length; start += this.hopSize) {
+            let energy = 0;
+            for (let i = 0; i < size; i++) {
+                const sample = samples[start + i];
+                energy += sample * sample;
+                real[i] = sample * hann[i];
+                imag[i] = 0;
+            }
+
+            // Skip silence and near-silence, where only noise would be measured
+            if (Math.sqrt(energy / size) >= 0.005) {
+                this.fft(real, imag);
+                let loudest = 0;
+                for (let bin = minBin - 1; bin <= maxBin + 1; bin++) {
+                    magnitudes[bin] = Math.hypot(real[bin], imag[bin]);
+                    if (bin >= minBin && bin <= maxBin && magnitudes[bin] > loudest) {
+                        loudest = magnitudes[bin];
+                    }
+                }
+
+                const framePeaks = [];
+                for (let bin = minBin; bin <= maxBin; bin++) {
+                    const magnitude = magnitudes[bin];
+                    if (magnitude > loudest * 0.1 && magnitude > magnitudes[bin - 1] && magnitude >= magnitudes[bin + 1]) {
+                        // Parabolic interpolation on log magnitudes places the peak between bins
+                        const left = Math.log(magnitudes[bin - 1] + 1e-12);
+                        const centre = Math.log(magnitude);
+                        const right = Math.log(magnitudes[bin + 1] + 1e-12);
+                        const denominator = left - 2 * centre + right;
+                        const shift = denominator !== 0 ? (0.5 * (left - right)) / denominator : 0;
+
+                        framePeaks.push({
+                            frequency: ((bin + shift) * sampleRate) / size,
+                            weight: Math.sqrt(magnitude) // Compressed so a few loud notes don't drown out the rest
+                        });
+                    }
+                }
+
+                framePeaks.sort((a, b) => b.weight - a.weight);
+                peaks.push(...framePeaks.slice(0, this.peaksPerFrame));
+            }
+
+            // Yield now and then so the page stays responsive during long songs
+            if (++frameCount % this.framesPerYield === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return peaks;
+    }
+
+    /**
+     * In-place radix-2 FFT
+     * @param {Float64Array} real - Real parts, length a power of two
+     * @param {Float64Array} imag - Imaginary parts
+     */
+    fft(real, imag) {
+        const n = real.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = (-2 * Math.PI) / length;
+            const stepReal = Math.cos(angle);
+            const stepImag = Math.sin(angle);
+            const half = length >> 1;
+
+            for (let start = 0; start < n; start += length) {
+                let twiddleReal = 1;
+                let twiddleImag = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const bReal = real[b] * twiddleReal - imag[b] * twiddleImag;
+                    const bImag = real[b] * twiddleImag + imag[b] * twiddleReal;
+                    real[b] = real[a] - bReal;
+                    imag[b] = imag[a] - bImag;
+                    real[a] += bReal;
+                    imag[a] += bImag;
+
+                    const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+                    twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+                    twiddleReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * Estimate how far the music sits from the A4 = 440 Hz grid
+     * Each peak's distance from its nearest equal-tempered note goes into a circular histogram;
+     * the offset is the weighted mean around the histogram's highest point
+     * @param {Array} peaks - Peaks as { frequency, weight }
+     * @returns {number} Offset in cents, from -50 to +50; positive means sharp
+     */
+    estimateTuning(peaks) {
+        const deviations = peaks.map(peak => {
+            const cents = 1200 * Math.log2(peak.frequency / 440);
+            return { cents: cents - 100 * Math.round(cents / 100), weight: peak.weight };
+        });
+
+        const histogram = new Float64Array(100);
+        for (const { cents, weight } of deviations) {
+            histogram[(Math.round(cents) + 150) % 100] += weight;
+        }
+
+        // Smooth over +/-5 cents before picking the highest point
+        let bestBin = 0;
+        let bestScore = -1;
+        for (let bin = 0; bin < 100; bin++) {
+            let score = 0;
+            for (let offset = -5; offset <= 5; offset++) {
+                score += histogram[(bin + offset + 100) % 100];
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestBin = bin;
+            }
+        }
+        const centre = bestBin - 50;
+
+        let sum = 0;
+        let total = 0;
+        for (const { cents, weight } of deviations) {
+            let distance = cents - centre;
+            distance -= 100 * Math.round(distance / 100); // Shortest way round the circle
+            if (Math.abs(distance) <= 15) {
+                sum += distance * weight;
+                total += weight;
+            }
+        }
+
+        const offset = centre + (total > 0 ? sum / total : 0);
+        return offset - 100 * Math.round(offset / 100);
+    }
+
+    /**
+     * Fold the peaks into a 12-note pitch class profile, after correcting for the tuning offset
+     * @param {Array} peaks - Peaks as { frequency, weight }
+     * @param {number} tuningOffset - Offset in cents
+     * @returns {Array} Weights for C through B
+     */
+    buildChroma(peaks, tuningOffset) {
+        const chroma = new Array(12).fill(0);
+        for (const peak of peaks) {
+            const note = Math.round(69 + 12 * Math.log2(peak.frequency / 440) - tuningOffset / 100);
+            chroma[((note % 12) + 12) % 12] += peak.weight;
+        }
+        return chroma;
+    }
+
+    /**
+     * Pick the major or minor key whose profile best matches the pitch class profile
+     * @param {Array} chroma - Weights for C through B
+     * @returns {Object} { key, confidence } with the key like "A minor" and the correlation as confidence
+     */
+    estimateKey(chroma) {
+        let best = { key: null, confidence: -Infinity };
+
+        for (let tonic = 0; tonic < 12; tonic++) {
+            const rotated = chroma.map((_, i) => chroma[(tonic + i) % 12]);
+            for (const [mode, profile] of [['major', this.majorProfile], ['minor', this.minorProfile]]) {
+                const correlation = this.correlate(rotated, profile);
+                if (correlation > best.confidence) {
+                    best = { key: `${this.noteNames[tonic]} ${mode}`, confidence: correlation };
+                }
+            }
+        }
+
+        return { key: best.key, confidence: Math.max(0, best.confidence) };
+    }
+
+    /**
+     * Pearson correlation of two equal-length arrays
+     * @param {Array} a - First values
+     * @param {Array} b - Second values
+     * @returns {number} Correlation from -1 to 1, 0 when either array is flat
+     */
+    correlate(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+}
@@ -11,15 +11,39 @@ class EmbeddedAudioPlayer {
         this.volume = 0.8;
         this.speed = 1.0;
         this.pitch = 0;
+        this.pitchCents = 0; // Fine tuning on top of the semitone shift
+        this.referencePitch = 440; // A4 in Hz that the song is retuned to
+        this.tuningOffset = null; // Cents the recording sits from A4 = 440 Hz, once the song has been analyzed
         this.loopPointA = null;
         this.loopPointB = null;
         this.isLooping = false;
+        this.savedLoops = [];
+        this.trainer = {
+            active: false,
+            startSpeed: 0.6,
+            step: 0.05,
+            passesPerStep: 2,
+            targetSpeed: 1.0,
+            passCount: 0
+        };
+        this.practiceSession = null;
+        this.minPracticeSessionSeconds = 5; // Ignore accidental play/pause clicks
+        this.defaultSettings = null; // Saved default practice setting for this song
+        this.settingsSaveTimeout = null;
         this.waveformContext = null;
+        this.waveformPeaks = null;
+        this.waveformDuration = 0;
+        this.waveformDrag = null; // In-progress drag selection on the waveform
+        this.noteMarkers = []; // Note positions (seconds) drawn over the waveform
         this.analyser = null;
+        this.onProgress = null; // Called with the playback position on every progress update
+        this.audioSrc = `http://localhost:8081/audio/${songId}`;
+        this.transcoding = null; // Promise of the switch to a server-side conversion, once one has been needed
         
         // SoundTouch integration
         this.audioContext = null;
         this.soundTouch = null;
+        this.soundTouchPosition = 0; // Seconds into the song, as last reported by the PitchShifter
         this.gainNode = null;
         this.audioBuffer = null;
         this.usePitchShift = false;
@@ -40,6 +64,10 @@ class EmbeddedAudioPlayer {
         this.speedDisplay = document.getElementById(`speedDisplay-${songId}`);
         this.pitchSlider = document.getElementById(`pitchSlider-${songId}`);
         this.pitchDisplay = document.getElementById(`pitchDisplay-${songId}`);
+        this.pitchCentsSlider = document.getElementById(`pitchCentsSlider-${songId}`);
+        this.pitchCentsDisplay = document.getElementById(`pitchCentsDisplay-${songId}`);
+        this.referencePitchSelect = document.getElementById(`referencePitch-${songId}`);
+        this.correctTuningBtn = document.getElementById(`correctTuningBtn-${songId}`);
         this.setABtn = document.getElementById(`setABtn-${songId}`);
         this.setBBtn = document.getElementById(`setBBtn-${songId}`);
         this.aPointTime = document.getElementById(`aPointTime-${songId}`);
@@ -47,6 +75,27 @@ class EmbeddedAudioPlayer {
         this.loopToggleBtn = document.getElementById(`loopToggleBtn-${songId}`);
         this.loopClearBtn = document.getElementById(`loopClearBtn-${songId}`);
         this.waveformCanvas = document.getElementById(`waveformCanvas-${songId}`);
+        this.savedLoopSelect = document.getElementById(`savedLoopSelect-${songId}`);
+        this.savedLoopName = document.getElementById(`savedLoopName-${songId}`);
+        this.savedLoopSaveBtn = document.getElementById(`savedLoopSaveBtn-${songId}`);
+        this.savedLoopRenameBtn = document.getElementById(`savedLoopRenameBtn-${songId}`);
+        this.savedLoopDeleteBtn = document.getElementById(`savedLoopDeleteBtn-${songId}`);
+        this.savedLoopUpBtn = document.getElementById(`savedLoopUpBtn-${songId}`);
+        this.savedLoopDownBtn = document.getElementById(`savedLoopDownBtn-${songId}`);
+        this.trainerStartInput = document.getElementById(`trainerStart-${songId}`);
+        this.trainerStepInput = document.getElementById(`trainerStep-${songId}`);
+        this.trainerPassesInput = document.getElementById(`trainerPasses-${songId}`);
+        this.trainerTargetInput = document.getElementById(`trainerTarget-${songId}`);
+        this.trainerToggleBtn = document.getElementById(`trainerToggleBtn-${songId}`);
+        this.trainerBackBtn = document.getElementById(`trainerBackBtn-${songId}`);
+        this.trainerStatus = document.getElementById(`trainerStatus-${songId}`);
+        this.defaultSaveBtn = document.getElementById(`practiceDefaultSaveBtn-${songId}`);
+        this.defaultResetBtn = document.getElementById(`practiceDefaultResetBtn-${songId}`);
+        this.defaultStatus = document.getElementById(`practiceDefaultStatus-${songId}`);
+        this.exportSongBtn = document.getElementById(`exportSongBtn-${songId}`);
+        this.exportLoopBtn = document.getElementById(`exportLoopBtn-${songId}`);
+        this.exportStatus = document.getElementById(`exportStatus-${songId}`);
+        this.exporting = false;
         
         this.progressInterval = null;
         
@@ -55,6 +104,7 @@ class EmbeddedAudioPlayer {
             this.initializePlayer();
             this.attachEventListeners();
             this.initializeWaveform();
+            this.loadSavedLoops();
         } catch (error) {
             console.error('Error initializing EmbeddedAudioPlayer:', error);
             if (window.ErrorLogger) {
@@ -79,7 +129,7 @@ class EmbeddedAudioPlayer {
 
 
         // Use local server endpoint to serve audio files
-        const audioSrc = `http://localhost:8081/audio/${this.songId}`;
+        const audioSrc = this.audioSrc;
         
 
         try {
@@ -107,25 +157,37 @@ class EmbeddedAudioPlayer {
                     this.isPlaying = true;
                     this.updateControls();
                     this.startProgressUpdates();
+                    this.beginPracticeSession();
                 },
                 onpause: () => {
                     this.isPlaying = false;
                     this.updateControls();
                     this.stopProgressUpdates();
+                    this.endPracticeSession();
                 },
                 onstop: () => {
                     this.isPlaying = false;
                     this.updateControls();
                     this.stopProgressUpdates();
                     this.updateProgress(0);
+                    this.endPracticeSession();
                 },
                 onend: () => {
                     this.isPlaying = false;
                     this.updateControls();
                     this.stopProgressUpdates();
+                    this.endPracticeSession();
                 },
                 onloaderror: (id, error) => {
+                    // A player replaced by the converted audio may still report its failure
+                    if (audioSrc !== this.audioSrc) return;
+
                     console.error('Error loading audio. ID:', id, 'Error:', error, 'Source:', audioSrc);
+                    if (!this.transcoding) {
+                        // Usually a format Chromium can't decode, such as WMA or ALAC; have the server convert it
+                        this.useTranscodedAudio();
+                        return;
+                    }
                     this.showError(`Failed to load audio file. Server error: ${error}`);
                 },
                 onplayerror: (id, error) => {
@@ -141,6 +203,59 @@ class EmbeddedAudioPlayer {
         }
     }
 
+    /**
+     * Switch to a WAV conversion of the song made by the server, for formats the player can't decode
+     * @returns {Promise<boolean>} True once the converted audio is loading
+     */
+    useTranscodedAudio() {
+        if (!this.transcoding) {
+            this.transcoding = this.loadTranscodedAudio();
+        }
+        return this.transcoding;
+    }
+
+    /**
+     * Ask the server to convert the song, then reload the player and waveform from the conversion
+     * @returns {Promise<boolean>} True once the converted audio is loading
+     */
+    async loadTranscodedAudio() {
+        const songId = this.songId;
+        if (this.timeDisplay) {
+            this.timeDisplay.textContent = 'Converting audio...';
+        }
+
+        try {
+            const response = await fetch(`/api/songs/${songId}/transcode`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.details ? `${result.error} (${result.details})` : result.error || `HTTP ${response.status}`);
+            }
+
+            // The player may have been destroyed while converting
+            if (this.songId !== songId) return false;
+
+            this.audioSrc = `http://localhost:8081${result.url}`;
+            if (this.howl) {
+                this.howl.unload();
+            }
+            this.initializePlayer();
+
+            if (!this.waveformPeaks && this.waveformContext) {
+                this.loadWaveform();
+            }
+            return true;
+        } catch (error) {
+            console.error('Error converting audio:', error);
+            if (this.songId === songId) {
+                if (this.timeDisplay) {
+                    this.timeDisplay.textContent = '0:00 / 0:00';
+                }
+                this.showError(error.message);
+            }
+            return false;
+        }
+    }
+
     /**
      * Initialize SoundTouch for pitch shifting
      */
@@ -194,8 +309,7 @@ class EmbeddedAudioPlayer {
         }
 
         try {
-            const audioSrc = `http://localhost:8081/audio/${this.songId}`;
-            const response = await fetch(audioSrc, {
+            const response = await fetch(this.audioSrc, {
                 method: 'GET',
                 timeout: 10000 // 10 second timeout
             });
@@ -214,7 +328,7 @@ class EmbeddedAudioPlayer {
             if (window.ErrorLogger) {
                 window.ErrorLogger.logError('AudioPlayer', 'audioBufferLoad', error, {
                     songId: this.songId,
-                    audioSrc: `http://localhost:8081/audio/${this.songId}`
+                    audioSrc: this.audioSrc
                 });
             }
             // Don't crash, just disable pitch shifting for this song
@@ -246,12 +360,13 @@ class EmbeddedAudioPlayer {
 
             // Set initial parameters
             this.soundTouch.tempo = this.speed;
-            this.soundTouch.pitch = Math.pow(2, this.pitch / 12); // Convert semitones to pitch ratio
+            this.soundTouch.pitch = this.getPitchRatio();
+            this.soundTouchPosition = 0;
 
             // Listen for playback events
             this.soundTouch.on('play', (detail) => {
-                // Update progress based on SoundTouch timing
-                const progress = detail.percentagePlayed;
+                // Howler is stopped while SoundTouch plays, so its timing is the only position there is
+                this.soundTouchPosition = detail.timePlayed;
                 this.updateProgress(detail.timePlayed);
             });
 
@@ -311,6 +426,22 @@ class EmbeddedAudioPlayer {
             });
         }
 
+        if (this.pitchCentsSlider) {
+            this.pitchCentsSlider.addEventListener('input', (e) => {
+                this.setPitchCents(parseInt(e.target.value));
+            });
+        }
+
+        if (this.referencePitchSelect) {
+            this.referencePitchSelect.addEventListener('change', (e) => {
+                this.setReferencePitch(parseInt(e.target.value));
+            });
+        }
+
+        if (this.correctTuningBtn) {
+            this.correctTuningBtn.addEventListener('click', () => this.correctToConcertPitch());
+        }
+
         if (this.setABtn) {
             this.setABtn.addEventListener('click', () => this.setLoopPointA());
         }
@@ -327,6 +458,71 @@ class EmbeddedAudioPlayer {
             this.loopClearBtn.addEventListener('click', () => this.clearLoopPoints());
         }
 
+        if (this.savedLoopSelect) {
+            this.savedLoopSelect.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.recallSavedLoop(parseInt(e.target.value));
+                }
+            });
+        }
+
+        if (this.savedLoopSaveBtn) {
+            this.savedLoopSaveBtn.addEventListener('click', () => this.saveCurrentLoop());
+        }
+
+        if (this.savedLoopRenameBtn) {
+            this.savedLoopRenameBtn.addEventListener('click', () => this.renameSavedLoop());
+        }
+
+        if (this.savedLoopDeleteBtn) {
+            this.savedLoopDeleteBtn.addEventListener('click', () => this.deleteSavedLoop());
+        }
+
+        if (this.savedLoopUpBtn) {
+            this.savedLoopUpBtn.addEventListener('click', () => this.moveSavedLoop(-1));
+        }
+
+        if (this.savedLoopDownBtn) {
+            this.savedLoopDownBtn.addEventListener('click', () => this.moveSavedLoop(1));
+        }
+
+        if (this.trainerToggleBtn) {
+            this.trainerToggleBtn.addEventListener('click', () => {
+                if (this.trainer.active) {
+                    this.stopSpeedTrainer();
+                } else {
+                    this.startSpeedTrainer();
+                }
+            });
+        }
+
+        if (this.trainerBackBtn) {
+            this.trainerBackBtn.addEventListener('click', () => this.stepBackSpeedTrainer());
+        }
+
+        if (this.defaultSaveBtn) {
+            this.defaultSaveBtn.addEventListener('click', () => this.saveDefaultPracticeSetting());
+        }
+
+        if (this.defaultResetBtn) {
+            this.defaultResetBtn.addEventListener('click', () => this.resetToDefaultPracticeSetting());
+        }
+
+        if (this.exportSongBtn) {
+            this.exportSongBtn.addEventListener('click', () => this.exportPracticeTrack(false));
+        }
+
+        if (this.exportLoopBtn) {
+            this.exportLoopBtn.addEventListener('click', () => this.exportPracticeTrack(true));
+        }
+
+        if (this.waveformCanvas) {
+            this.waveformCanvas.addEventListener('mousedown', (e) => this.handleWaveformMouseDown(e));
+            this.waveformCanvas.addEventListener('mousemove', (e) => this.handleWaveformMouseMove(e));
+            this.waveformCanvas.addEventListener('mouseup', (e) => this.handleWaveformMouseUp(e));
+            this.waveformCanvas.addEventListener('mouseleave', (e) => this.handleWaveformMouseUp(e));
+        }
+
         // Attach speed preset button listeners
         this.attachSpeedPresetListeners();
     }
@@ -349,7 +545,7 @@ class EmbeddedAudioPlayer {
      */
     play() {
         // Use SoundTouch if pitch shifting is active and SoundTouch is available
-        if (this.pitch !== 0 && this.audioContext && window.SoundTouchJS) {
+        if (this.isPitchShifted() && this.audioContext && window.SoundTouchJS) {
             this.playSoundTouch();
         } else {
             this.playHowler();
@@ -365,6 +561,12 @@ class EmbeddedAudioPlayer {
             return;
         }
 
+        // A PitchShifter kept from a pause is done with once Howler plays; its position no longer applies
+        if (this.soundTouch) {
+            this.soundTouch.off();
+            this.soundTouch = null;
+        }
+
         try {
             this.howl.play();
         } catch (error) {
@@ -440,6 +642,7 @@ class EmbeddedAudioPlayer {
             this.isPlaying = true;
             this.updateControls();
             this.startProgressUpdates();
+            this.beginPracticeSession();
             
             console.log('SoundTouch playback started successfully');
 
@@ -496,6 +699,7 @@ class EmbeddedAudioPlayer {
             this.isPlaying = false;
             this.updateControls();
             this.stopProgressUpdates();
+            this.endPracticeSession();
         } catch (error) {
             console.error('Error pausing audio:', error);
             if (window.ErrorLogger) {
@@ -533,6 +737,7 @@ class EmbeddedAudioPlayer {
             this.updateControls();
             this.stopProgressUpdates();
             this.updateProgress(0);
+            this.endPracticeSession();
         } catch (error) {
             console.error('Error stopping audio:', error);
             if (window.ErrorLogger) {
@@ -567,6 +772,7 @@ class EmbeddedAudioPlayer {
         }
         
         this.updateVolumeDisplay();
+        this.schedulePlayerSettingsSave();
     }
 
     /**
@@ -574,6 +780,9 @@ class EmbeddedAudioPlayer {
      * @param {number} rate - Speed multiplier (0.1 to 4.0)
      */
     setSpeed(rate) {
+        // Credit the time played at the old speed to the current practice session
+        this.markPracticeSpeed();
+
         this.speed = Math.max(0.1, Math.min(4.0, rate));
         
         // Update Howler speed (used when pitch = 0)
@@ -596,6 +805,8 @@ class EmbeddedAudioPlayer {
 
         // Update preset button states
         this.updateSpeedPresetButtons();
+
+        this.schedulePlayerSettingsSave();
     }
 
     /**
@@ -603,37 +814,78 @@ class EmbeddedAudioPlayer {
      * @param {number} semitones - Pitch shift in semitones (-12 to +12)
      */
     async setPitch(semitones) {
-        const oldPitch = this.pitch;
-        const newPitch = Math.max(-12, Math.min(12, semitones));
-        
-        // If moving from 0 to non-zero pitch, show confirmation dialog
-        if (oldPitch === 0 && newPitch !== 0) {
-            const confirmed = await this.confirmPitchShifting();
-            if (!confirmed) {
-                // User cancelled - revert pitch slider to 0
-                if (this.pitchSlider) {
-                    this.pitchSlider.value = 0;
-                }
-                this.updatePitchDisplay();
-                return;
-            }
+        const pitch = Math.max(-12, Math.min(12, semitones));
+        if (await this.confirmTuningChange({ pitch })) {
+            this.applyPitch(pitch);
         }
-        
-        this.pitch = newPitch;
-        
-        // Update pitch slider
-        if (this.pitchSlider) {
-            this.pitchSlider.value = this.pitch;
+    }
+
+    /**
+     * Set the fine tuning with user confirmation
+     * @param {number} cents - Offset in cents (-50 to +50)
+     */
+    async setPitchCents(cents) {
+        const pitchCents = Math.max(-50, Math.min(50, cents));
+        if (await this.confirmTuningChange({ pitchCents })) {
+            this.applyTuning({ pitchCents });
+        }
+    }
+
+    /**
+     * Set the A4 reference the song is retuned to, with user confirmation
+     * @param {number} hz - A4 frequency (432 to 446)
+     */
+    async setReferencePitch(hz) {
+        const referencePitch = Math.max(432, Math.min(446, hz));
+        if (await this.confirmTuningChange({ referencePitch })) {
+            this.applyTuning({ referencePitch });
+        }
+    }
+
+    /**
+     * Ask before a change that turns pitch shifting on; when cancelled the controls go back to the current tuning
+     * @param {Object} change - Any of pitch, pitchCents, referencePitch
+     * @returns {Promise<boolean>} True if the change can go ahead
+     */
+    async confirmTuningChange(change) {
+        const tuning = { pitch: this.pitch, pitchCents: this.pitchCents, referencePitch: this.referencePitch, ...change };
+        if (this.isPitchShifted() || this.getPitchRatio(tuning) === 1) {
+            return true;
+        }
+
+        const confirmed = await this.confirmPitchShifting();
+        if (!confirmed) {
+            this.updatePitchDisplay();
         }
+        return confirmed;
+    }
+
+    /**
+     * Apply a pitch shift without asking for confirmation
+     * @param {number} semitones - Pitch shift in semitones (-12 to +12)
+     */
+    applyPitch(semitones) {
+        this.applyTuning({ pitch: semitones });
+    }
+
+    /**
+     * Apply any of the semitone shift, fine tuning and A4 reference without asking for confirmation
+     * @param {Object} tuning - Any of pitch (semitones), pitchCents, referencePitch (Hz)
+     */
+    applyTuning({ pitch = this.pitch, pitchCents = this.pitchCents, referencePitch = this.referencePitch }) {
+        const oldRatio = this.getPitchRatio();
+        this.pitch = Math.max(-12, Math.min(12, pitch));
+        this.pitchCents = Math.max(-50, Math.min(50, pitchCents));
+        this.referencePitch = Math.max(432, Math.min(446, referencePitch));
 
-        // Update pitch display
+        // Update pitch controls
         this.updatePitchDisplay();
         
         // Update control states based on pitch mode
         this.updateControlStates();
 
         // If pitch changed and we're playing, restart with new pitch
-        if (this.isPlaying && oldPitch !== this.pitch) {
+        if (this.isPlaying && oldRatio !== this.getPitchRatio()) {
             const wasPlaying = this.isPlaying;
             this.stop();
             if (wasPlaying) {
@@ -643,8 +895,223 @@ class EmbeddedAudioPlayer {
 
         // Update SoundTouch if it exists
         if (this.soundTouch) {
-            this.soundTouch.pitch = Math.pow(2, this.pitch / 12); // Convert semitones to pitch ratio
+            this.soundTouch.pitch = this.getPitchRatio();
+        }
+
+        this.schedulePlayerSettingsSave();
+    }
+
+    /**
+     * Set how far the recording sits from concert pitch, as measured by the audio analysis
+     * @param {number|null} cents - Offset from A4 = 440 Hz in cents, null if the song hasn't been analyzed
+     */
+    setTuningOffset(cents) {
+        this.tuningOffset = cents === undefined ? null : cents;
+        if (!this.correctTuningBtn) return;
+
+        const correction = this.getConcertPitchCorrection();
+        this.correctTuningBtn.disabled = correction === null;
+        if (correction === null) {
+            this.correctTuningBtn.title = "Available once the song's tuning has been analyzed";
+        } else {
+            const offset = Math.round(this.tuningOffset);
+            this.correctTuningBtn.title = offset === 0
+                ? 'The recording is already at concert pitch (A4 = 440 Hz)'
+                : `The recording is ${Math.abs(offset)} cents ${offset > 0 ? 'sharp' : 'flat'}; set fine tuning to ${correction > 0 ? '+' : ''}${correction} ct and A4 to 440 Hz`;
+        }
+    }
+
+    /**
+     * Fine tuning that cancels out the measured tuning offset
+     * @returns {number|null} Cents, or null if the song hasn't been analyzed
+     */
+    getConcertPitchCorrection() {
+        if (this.tuningOffset === null) return null;
+        return Math.max(-50, Math.min(50, -Math.round(this.tuningOffset)));
+    }
+
+    /**
+     * Retune the recording to A4 = 440 Hz, keeping any semitone shift
+     */
+    async correctToConcertPitch() {
+        const pitchCents = this.getConcertPitchCorrection();
+        if (pitchCents === null) return;
+
+        const tuning = { pitchCents, referencePitch: 440 };
+        if (await this.confirmTuningChange(tuning)) {
+            this.applyTuning(tuning);
+        }
+    }
+
+    /**
+     * Get the SoundTouch pitch ratio for a tuning: semitones and cents, then retuned from A4 = 440 Hz to the reference
+     * @param {Object} tuning - { pitch, pitchCents, referencePitch }, the player's current tuning by default
+     * @returns {number} Pitch ratio, 1 when the song plays as recorded
+     */
+    getPitchRatio({ pitch, pitchCents, referencePitch } = this) {
+        return Math.pow(2, (pitch * 100 + pitchCents) / 1200) * (referencePitch / 440);
+    }
+
+    /**
+     * Whether the current tuning changes the pitch at all
+     * @returns {boolean} True if pitch shifting is active
+     */
+    isPitchShifted() {
+        return this.getPitchRatio() !== 1;
+    }
+
+    /**
+     * Restore saved per-song settings: last-used values, falling back to the saved default
+     * @param {Object} settings - Row from /api/songs/:id/player-settings
+     */
+    restorePlayerSettings(settings) {
+        if (!settings) return;
+
+        const hasDefault = settings.default_speed !== null || settings.default_pitch !== null || settings.default_volume !== null;
+        this.defaultSettings = hasDefault ? {
+            speed: settings.default_speed,
+            pitch: settings.default_pitch,
+            volume: settings.default_volume
+        } : null;
+        this.updateDefaultSettingDisplay();
+
+        const hasLastUsed = settings.speed !== null || settings.pitch !== null || settings.volume !== null;
+        if (hasLastUsed) {
+            this.applyPlayerSettings({ speed: settings.speed, pitch: settings.pitch, volume: settings.volume });
+        } else if (this.defaultSettings) {
+            this.applyPlayerSettings(this.defaultSettings);
+        }
+
+        // Fine tuning has no default practice setting, so it comes back either way
+        this.applyPlayerSettings({ pitchCents: settings.pitch_cents, referencePitch: settings.reference_pitch });
+
+        // Restoring is not a user change, so there is nothing new to save
+        clearTimeout(this.settingsSaveTimeout);
+        this.settingsSaveTimeout = null;
+    }
+
+    /**
+     * Apply speed, pitch, fine tuning and volume together, skipping any that are not set
+     * @param {Object} settings - { speed, pitch, pitchCents, referencePitch, volume }
+     */
+    applyPlayerSettings(settings) {
+        if (settings.volume !== null && settings.volume !== undefined) {
+            this.setVolume(settings.volume);
+        }
+        if (settings.speed !== null && settings.speed !== undefined) {
+            this.setSpeed(settings.speed);
+        }
+
+        const tuning = {};
+        if (settings.pitch !== null && settings.pitch !== undefined && settings.pitch !== this.pitch) {
+            tuning.pitch = settings.pitch;
+        }
+        if (settings.pitchCents !== null && settings.pitchCents !== undefined && settings.pitchCents !== this.pitchCents) {
+            tuning.pitchCents = settings.pitchCents;
+        }
+        if (settings.referencePitch !== null && settings.referencePitch !== undefined && settings.referencePitch !== this.referencePitch) {
+            tuning.referencePitch = settings.referencePitch;
+        }
+        if (Object.keys(tuning).length > 0) {
+            this.applyTuning(tuning);
+        }
+    }
+
+    /**
+     * Save the current settings shortly after the last change, so slider drags make one request
+     */
+    schedulePlayerSettingsSave() {
+        if (!this.songId) return;
+
+        clearTimeout(this.settingsSaveTimeout);
+        this.settingsSaveTimeout = setTimeout(() => this.savePlayerSettings(), 1000);
+    }
+
+    /**
+     * Save the current speed, pitch, fine tuning and volume as this song's last-used settings
+     */
+    savePlayerSettings() {
+        clearTimeout(this.settingsSaveTimeout);
+        this.settingsSaveTimeout = null;
+        if (!this.songId) return;
+
+        fetch(`/api/songs/${this.songId}/player-settings`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                speed: this.speed,
+                pitch: this.pitch,
+                pitch_cents: this.pitchCents,
+                reference_pitch: this.referencePitch,
+                volume: this.volume
+            }),
+            keepalive: true
+        }).catch(error => {
+            console.error('Error saving player settings:', error);
+        });
+    }
+
+    /**
+     * Store the current speed, pitch and volume as this song's default practice setting
+     */
+    async saveDefaultPracticeSetting() {
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/player-settings`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    default_speed: this.speed,
+                    default_pitch: this.pitch,
+                    default_volume: this.volume
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save default');
+            }
+
+            const settings = await response.json();
+            this.defaultSettings = {
+                speed: settings.default_speed,
+                pitch: settings.default_pitch,
+                volume: settings.default_volume
+            };
+            this.updateDefaultSettingDisplay();
+        } catch (error) {
+            console.error('Error saving default practice setting:', error);
+            this.showError('Failed to save default practice setting');
+        }
+    }
+
+    /**
+     * Return to the song's default practice setting, or normal speed and pitch if none is saved
+     */
+    resetToDefaultPracticeSetting() {
+        this.stopSpeedTrainer();
+        this.applyPlayerSettings(this.defaultSettings || { speed: 1.0, pitch: 0 });
+    }
+
+    /**
+     * Show the saved default practice setting next to its buttons
+     */
+    updateDefaultSettingDisplay() {
+        if (!this.defaultStatus) return;
+
+        if (!this.defaultSettings) {
+            this.defaultStatus.textContent = 'No default saved';
+            return;
         }
+
+        const { speed, pitch } = this.defaultSettings;
+        const parts = [];
+        if (speed !== null) parts.push(`${speed.toFixed(2)}x`);
+        if (pitch !== null) parts.push(`${pitch > 0 ? '+' : ''}${pitch} st`);
+        this.defaultStatus.textContent = `Default: ${parts.join(', ')}`;
     }
     
     /**
@@ -668,7 +1135,7 @@ Do you want to enable pitch shifting?`;
      * Update control states based on whether pitch shifting is active
      */
     updateControlStates() {
-        const isPitchActive = this.pitch !== 0;
+        const isPitchActive = this.isPitchShifted();
         
         // Disable/enable progress container (time slider)
         if (this.progressContainer) {
@@ -704,6 +1171,14 @@ Do you want to enable pitch shifting?`;
             this.loopClearBtn.disabled = isPitchActive;
             this.loopClearBtn.title = isPitchActive ? 'Loop controls disabled during pitch shifting' : '';
         }
+        if (this.trainerToggleBtn) {
+            this.trainerToggleBtn.disabled = isPitchActive;
+            this.trainerToggleBtn.title = isPitchActive ? 'Speed trainer disabled during pitch shifting' : 'Start Speed Trainer on the A-B Loop';
+        }
+        if (this.waveformCanvas) {
+            this.waveformCanvas.style.cursor = isPitchActive ? 'not-allowed' : 'pointer';
+            this.waveformCanvas.title = isPitchActive ? 'Waveform seeking disabled during pitch shifting' : 'Click to seek, drag to set the A-B loop';
+        }
         
         // Clear any active loops when entering pitch mode
         if (isPitchActive && (this.loopPointA !== null || this.loopPointB !== null || this.isLooping)) {
@@ -715,13 +1190,26 @@ Do you want to enable pitch shifting?`;
     }
 
     /**
-     * Update pitch display
+     * Update pitch controls and displays to match the current tuning
      */
     updatePitchDisplay() {
+        if (this.pitchSlider) {
+            this.pitchSlider.value = this.pitch;
+        }
         if (this.pitchDisplay) {
             const sign = this.pitch > 0 ? '+' : '';
             this.pitchDisplay.textContent = `${sign}${this.pitch}`;
         }
+        if (this.pitchCentsSlider) {
+            this.pitchCentsSlider.value = this.pitchCents;
+        }
+        if (this.pitchCentsDisplay) {
+            const sign = this.pitchCents > 0 ? '+' : '';
+            this.pitchCentsDisplay.textContent = `${sign}${this.pitchCents} ct`;
+        }
+        if (this.referencePitchSelect) {
+            this.referencePitchSelect.value = this.referencePitch;
+        }
     }
 
     /**
@@ -739,7 +1227,7 @@ Do you want to enable pitch shifting?`;
     setLoopPointA() {
         if (!this.howl) return;
         
-        this.loopPointA = this.howl.seek();
+        this.loopPointA = this.getCurrentTime();
         this.updateLoopPointDisplay();
     }
 
@@ -749,7 +1237,7 @@ Do you want to enable pitch shifting?`;
     setLoopPointB() {
         if (!this.howl) return;
         
-        this.loopPointB = this.howl.seek();
+        this.loopPointB = this.getCurrentTime();
         this.updateLoopPointDisplay();
     }
 
@@ -764,6 +1252,11 @@ Do you want to enable pitch shifting?`;
 
         this.isLooping = !this.isLooping;
         this.updateLoopDisplay();
+
+        // The trainer counts loop passes, so it can't keep running without the loop
+        if (!this.isLooping && this.trainer.active) {
+            this.stopSpeedTrainer();
+        }
     }
 
     /**
@@ -775,6 +1268,10 @@ Do you want to enable pitch shifting?`;
         this.isLooping = false;
         this.updateLoopPointDisplay();
         this.updateLoopDisplay();
+
+        if (this.trainer.active) {
+            this.stopSpeedTrainer();
+        }
     }
 
     /**
@@ -787,6 +1284,7 @@ Do you want to enable pitch shifting?`;
         if (this.bPointTime) {
             this.bPointTime.textContent = this.loopPointB !== null ? this.formatTime(this.loopPointB) : '--:--';
         }
+        this.drawWaveform();
     }
 
     /**
@@ -800,77 +1298,664 @@ Do you want to enable pitch shifting?`;
             }
             this.loopToggleBtn.classList.toggle('active', this.isLooping);
         }
+        this.drawWaveform();
     }
 
     /**
-     * Check if we need to loop back to point A
+     * Load saved loop regions for this song from the server
+     * @param {number|null} selectedLoopId - Loop to keep selected in the picker
      */
-    checkLoopCondition() {
-        if (!this.isLooping || !this.howl || this.loopPointA === null || this.loopPointB === null) {
-            return;
+    async loadSavedLoops(selectedLoopId = null) {
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/loops`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch saved loops: ${response.status}`);
+            }
+            this.savedLoops = await response.json();
+            this.updateSavedLoopOptions(selectedLoopId);
+        } catch (error) {
+            console.error('Error loading saved loops:', error);
+            this.savedLoops = [];
+            this.updateSavedLoopOptions();
         }
+    }
 
-        const currentTime = this.howl.seek();
-        const loopStart = Math.min(this.loopPointA, this.loopPointB);
-        const loopEnd = Math.max(this.loopPointA, this.loopPointB);
+    /**
+     * Rebuild the saved loop picker options
+     * @param {number|null} selectedLoopId - Loop to select after rebuilding
+     */
+    updateSavedLoopOptions(selectedLoopId = null) {
+        if (!this.savedLoopSelect) return;
+
+        this.savedLoopSelect.innerHTML = '<option value="">- saved loops -</option>';
+        this.savedLoops.forEach(loop => {
+            const option = document.createElement('option');
+            option.value = loop.id;
+            option.textContent = `${loop.name} (${this.formatTime(loop.start_time)}-${this.formatTime(loop.end_time)})`;
+            this.savedLoopSelect.appendChild(option);
+        });
 
-        if (currentTime >= loopEnd) {
-            this.seek(loopStart);
+        if (selectedLoopId && this.savedLoops.some(loop => loop.id === selectedLoopId)) {
+            this.savedLoopSelect.value = selectedLoopId;
         }
     }
 
     /**
-     * Update speed preset button states
+     * Get the loop currently selected in the picker
+     * @returns {Object|null} Saved loop object or null if none selected
      */
-    updateSpeedPresetButtons() {
-        const presetButtons = document.querySelectorAll(`[data-song-id="${this.songId}"] .speed-preset-btn`);
-        presetButtons.forEach(btn => {
-            const btnSpeed = parseFloat(btn.dataset.speed);
-            btn.classList.toggle('active', Math.abs(btnSpeed - this.speed) < 0.01);
-        });
+    getSelectedSavedLoop() {
+        if (!this.savedLoopSelect || !this.savedLoopSelect.value) return null;
+
+        const loopId = parseInt(this.savedLoopSelect.value);
+        return this.savedLoops.find(loop => loop.id === loopId) || null;
     }
 
     /**
-     * Seek to position
-     * @param {number} position - Position in seconds
+     * Apply a saved loop region as the active A-B loop
+     * @param {number} loopId - Saved loop ID
      */
-    seek(position) {
-        if (!this.howl) return;
+    recallSavedLoop(loopId) {
+        const loop = this.savedLoops.find(saved => saved.id === loopId);
+        if (!loop) return;
 
-        try {
-            // Since we now disable seeking controls when pitch shifting is active,
-            // seeking should only happen with normal Howler playback
-            if (this.pitch !== 0) {
-                console.warn('Seeking attempted while pitch shifting is active - this should be prevented by UI');
-                return;
-            }
-            
-            // Normal Howler seeking
-            this.howl.seek(position);
-            this.updateProgress(position);
-        } catch (error) {
-            console.error('Error seeking audio:', error);
-            if (window.ErrorLogger) {
-                window.ErrorLogger.logError('AudioPlayer', 'seek', error, {
-                    songId: this.songId,
-                    position: position,
-                    pitch: this.pitch
-                });
-            }
+        this.loopPointA = loop.start_time;
+        this.loopPointB = loop.end_time;
+        this.isLooping = true;
+        this.updateLoopPointDisplay();
+        this.updateLoopDisplay();
+
+        if (this.savedLoopName) {
+            this.savedLoopName.value = loop.name;
         }
-    }
 
+        // Jump to the start of the loop (seeking is unavailable while pitch shifting)
+        if (!this.isPitchShifted()) {
+            this.seek(loop.start_time);
+        }
+    }
 
     /**
-     * Handle progress bar click
-     * @param {Event} e - Click event
+     * Save the current A-B points as a named loop region
      */
-    handleProgressBarClick(e) {
-        if (!this.howl || !this.progressContainer) return;
+    async saveCurrentLoop() {
+        if (this.loopPointA === null || this.loopPointB === null) {
+            await customAlert('Set both A and B loop points before saving a loop.', 'Save Loop');
+            return;
+        }
 
-        const rect = this.progressContainer.getBoundingClientRect();
-        const clickX = e.clientX - rect.left;
-        const percentage = clickX / rect.width;
+        const startTime = Math.min(this.loopPointA, this.loopPointB);
+        const endTime = Math.max(this.loopPointA, this.loopPointB);
+        if (endTime - startTime <= 0) {
+            await customAlert('Loop points A and B must be at different positions.', 'Save Loop');
+            return;
+        }
+
+        const typedName = this.savedLoopName ? this.savedLoopName.value.trim() : '';
+        const name = typedName || `Loop ${this.savedLoops.length + 1}`;
+
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/loops`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name, start_time: startTime, end_time: endTime })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || `Server returned ${response.status}`);
+            }
+
+            const loop = await response.json();
+            await this.loadSavedLoops(loop.id);
+            if (this.savedLoopName) {
+                this.savedLoopName.value = loop.name;
+            }
+        } catch (error) {
+            console.error('Error saving loop:', error);
+            await this.showError(`Failed to save loop: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename the selected saved loop using the name input
+     */
+    async renameSavedLoop() {
+        const loop = this.getSelectedSavedLoop();
+        if (!loop) {
+            await customAlert('Select a saved loop to rename first.', 'Rename Loop');
+            return;
+        }
+
+        const name = this.savedLoopName ? this.savedLoopName.value.trim() : '';
+        if (!name) {
+            await customAlert('Enter a new name for the loop.', 'Rename Loop');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/loops/${loop.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || `Server returned ${response.status}`);
+            }
+
+            await this.loadSavedLoops(loop.id);
+        } catch (error) {
+            console.error('Error renaming loop:', error);
+            await this.showError(`Failed to rename loop: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected saved loop
+     */
+    async deleteSavedLoop() {
+        const loop = this.getSelectedSavedLoop();
+        if (!loop) {
+            await customAlert('Select a saved loop to delete first.', 'Delete Loop');
+            return;
+        }
+
+        const confirmed = await customConfirm(`Delete the saved loop "${this.escapeHtml(loop.name)}"?`, 'Delete Loop');
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/loops/${loop.id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || `Server returned ${response.status}`);
+            }
+
+            if (this.savedLoopName) {
+                this.savedLoopName.value = '';
+            }
+            await this.loadSavedLoops();
+        } catch (error) {
+            console.error('Error deleting loop:', error);
+            await this.showError(`Failed to delete loop: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move the selected saved loop up or down in the list
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    async moveSavedLoop(direction) {
+        const loop = this.getSelectedSavedLoop();
+        if (!loop) return;
+
+        const index = this.savedLoops.indexOf(loop);
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= this.savedLoops.length) return;
+
+        const reordered = [...this.savedLoops];
+        reordered.splice(index, 1);
+        reordered.splice(targetIndex, 0, loop);
+
+        try {
+            const response = await fetch(`/api/songs/${this.songId}/loops/order`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ loopIds: reordered.map(saved => saved.id) })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || `Server returned ${response.status}`);
+            }
+
+            this.savedLoops = await response.json();
+            this.updateSavedLoopOptions(loop.id);
+        } catch (error) {
+            console.error('Error reordering loops:', error);
+            await this.showError(`Failed to reorder loops: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if we need to loop back to point A
+     */
+    checkLoopCondition() {
+        if (!this.isLooping || !this.howl || this.loopPointA === null || this.loopPointB === null) {
+            return;
+        }
+
+        const currentTime = this.getCurrentTime();
+        const loopStart = Math.min(this.loopPointA, this.loopPointB);
+        const loopEnd = Math.max(this.loopPointA, this.loopPointB);
+
+        if (currentTime >= loopEnd) {
+            this.seek(loopStart);
+            this.trackPracticeLoop();
+
+            if (this.trainer.active) {
+                this.advanceSpeedTrainer();
+            }
+        }
+    }
+
+    /**
+     * Start speed trainer mode on the current A-B loop
+     */
+    async startSpeedTrainer() {
+        if (this.loopPointA === null || this.loopPointB === null) {
+            await customAlert('Set both A and B loop points before starting the speed trainer.', 'Speed Trainer');
+            return;
+        }
+
+        const startSpeed = parseFloat(this.trainerStartInput?.value);
+        const step = parseFloat(this.trainerStepInput?.value);
+        const passesPerStep = parseInt(this.trainerPassesInput?.value);
+        const targetSpeed = parseFloat(this.trainerTargetInput?.value);
+
+        if ([startSpeed, step, passesPerStep, targetSpeed].some(value => isNaN(value) || value <= 0)) {
+            await customAlert('Start, step, passes and target must all be positive numbers.', 'Speed Trainer');
+            return;
+        }
+        if (targetSpeed <= startSpeed) {
+            await customAlert('The target speed must be higher than the start speed.', 'Speed Trainer');
+            return;
+        }
+
+        this.trainer = {
+            active: true,
+            startSpeed: Math.max(0.1, startSpeed),
+            step: step,
+            passesPerStep: passesPerStep,
+            targetSpeed: Math.min(4.0, targetSpeed),
+            passCount: 0
+        };
+
+        this.setSpeed(this.trainer.startSpeed);
+
+        if (!this.isLooping) {
+            this.isLooping = true;
+            this.updateLoopDisplay();
+        }
+
+        if (!this.isPitchShifted()) {
+            this.seek(Math.min(this.loopPointA, this.loopPointB));
+        }
+
+        this.updateSpeedTrainerDisplay();
+    }
+
+    /**
+     * Stop speed trainer mode, keeping the current speed
+     */
+    stopSpeedTrainer() {
+        this.trainer.active = false;
+        this.trainer.passCount = 0;
+        this.updateSpeedTrainerDisplay();
+    }
+
+    /**
+     * Count a completed loop pass and raise the speed when a step is due
+     */
+    advanceSpeedTrainer() {
+        this.trainer.passCount++;
+
+        if (this.trainer.passCount >= this.trainer.passesPerStep && this.speed < this.trainer.targetSpeed) {
+            this.trainer.passCount = 0;
+            const nextSpeed = Math.round((this.speed + this.trainer.step) * 100) / 100;
+            this.setSpeed(Math.min(this.trainer.targetSpeed, nextSpeed));
+        }
+
+        this.updateSpeedTrainerDisplay();
+    }
+
+    /**
+     * Drop the trainer back one step (not below its start speed) and restart the pass count
+     */
+    stepBackSpeedTrainer() {
+        if (!this.trainer.active) return;
+
+        const previousSpeed = Math.round((this.speed - this.trainer.step) * 100) / 100;
+        this.setSpeed(Math.max(this.trainer.startSpeed, previousSpeed));
+        this.trainer.passCount = 0;
+        this.updateSpeedTrainerDisplay();
+    }
+
+    /**
+     * Update speed trainer button and status display
+     */
+    updateSpeedTrainerDisplay() {
+        const { active, passCount, passesPerStep, targetSpeed } = this.trainer;
+
+        if (this.trainerToggleBtn) {
+            this.trainerToggleBtn.textContent = active ? '■ Stop' : '▶ Start';
+            this.trainerToggleBtn.classList.toggle('active', active);
+        }
+        if (this.trainerBackBtn) {
+            this.trainerBackBtn.disabled = !active;
+        }
+        if (this.trainerStatus) {
+            if (!active) {
+                this.trainerStatus.textContent = 'Set A and B, then start';
+            } else if (this.speed >= targetSpeed) {
+                this.trainerStatus.textContent = `${this.speed.toFixed(2)}x - target reached`;
+            } else {
+                this.trainerStatus.textContent = `${this.speed.toFixed(2)}x - pass ${passCount + 1} of ${passesPerStep}`;
+            }
+        }
+    }
+
+    /**
+     * Render the song or the A-B loop at the current speed and pitch and save it as a WAV file
+     * @param {boolean} loopOnly - Export just the A-B loop instead of the whole song
+     */
+    async exportPracticeTrack(loopOnly) {
+        if (this.exporting) return;
+
+        let start = 0;
+        let end = Infinity;
+        let regionLabel = '';
+        if (loopOnly) {
+            if (this.loopPointA === null || this.loopPointB === null) {
+                await customAlert('Set A and B, or pick a saved loop, to export just that part of the song.', 'Export Practice Track');
+                return;
+            }
+            start = Math.min(this.loopPointA, this.loopPointB);
+            end = Math.max(this.loopPointA, this.loopPointB);
+
+            // Name the file after the saved loop when the A-B points are still the ones it set
+            const savedLoop = this.getSelectedSavedLoop();
+            regionLabel = savedLoop && savedLoop.start_time === start && savedLoop.end_time === end
+                ? savedLoop.name
+                : `${this.formatTime(start)}-${this.formatTime(end)}`.replace(/:/g, '.');
+        }
+
+        const songId = this.songId;
+        const { speed, pitch, pitchCents, referencePitch } = this;
+        this.exporting = true;
+        this.updateExportControls('Decoding audio...');
+
+        try {
+            const audioBuffer = await this.loadExportBuffer();
+            if (this.songId !== songId) return;
+
+            const wav = await this.renderPracticeTrack(audioBuffer, {
+                start,
+                end: Math.min(end, audioBuffer.duration),
+                speed,
+                pitchRatio: this.getPitchRatio({ pitch, pitchCents, referencePitch })
+            }, (progress) => {
+                // Stop rendering if the player was closed
+                if (this.songId !== songId) return false;
+                this.updateExportControls(`Rendering ${Math.round(progress * 100)}%...`);
+                return true;
+            });
+            if (!wav || this.songId !== songId) return;
+
+            const fileName = this.getExportFileName(regionLabel, speed, { pitch, pitchCents, referencePitch });
+            const url = window.URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+
+            this.updateExportControls(`Saved ${fileName}`);
+        } catch (error) {
+            console.error('Error exporting practice track:', error);
+            if (this.songId === songId) {
+                this.updateExportControls('Export failed');
+                this.showError(`Failed to export practice track: ${error.message}`);
+            }
+        } finally {
+            this.exporting = false;
+            if (this.songId === songId) {
+                this.updateExportControls();
+            }
+        }
+    }
+
+    /**
+     * Decode the whole song for exporting, reusing the SoundTouch buffer when it is already loaded
+     * @returns {Promise<AudioBuffer>} Decoded audio
+     */
+    async loadExportBuffer() {
+        if (this.audioBuffer) {
+            return this.audioBuffer;
+        }
+
+        const response = await fetch(this.audioSrc);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        // An offline context decodes without opening an audio output device
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const decoder = new OfflineContext(2, 1, 44100);
+        this.audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+        return this.audioBuffer;
+    }
+
+    /**
+     * Load the SoundTouch module; index.html leaves it out of real-time playback, but offline rendering only needs its filters
+     * @returns {Promise<Object>} Module exports
+     */
+    loadSoundTouchModule() {
+        return import('http://localhost:8081/libs/soundtouchjs/soundtouch.js');
+    }
+
+    /**
+     * Time-stretch and pitch-shift part of a song with SoundTouch, without playing it, into 16-bit WAV data
+     * @param {AudioBuffer} audioBuffer - Decoded song
+     * @param {Object} options - { start, end } in seconds, speed as a tempo multiplier, pitchRatio from getPitchRatio
+     * @param {Function} onProgress - Called with the fraction done; returning false stops the render
+     * @returns {Promise<ArrayBuffer|null>} WAV file contents, or null if stopped
+     */
+    async renderPracticeTrack(audioBuffer, { start, end, speed, pitchRatio }, onProgress) {
+        const { SoundTouch, SimpleFilter } = await this.loadSoundTouchModule();
+
+        const sampleRate = audioBuffer.sampleRate;
+        const channels = audioBuffer.numberOfChannels > 1 ? 2 : 1;
+        const left = audioBuffer.getChannelData(0);
+        const right = channels > 1 ? audioBuffer.getChannelData(1) : left;
+        const startFrame = Math.max(0, Math.floor(start * sampleRate));
+        const endFrame = Math.min(audioBuffer.length, Math.ceil(end * sampleRate));
+        if (endFrame <= startFrame) {
+            throw new Error('Nothing to export');
+        }
+
+        // SoundTouch only processes full blocks and keeps some frames back,
+        // so silence after the region pushes its last frames through
+        const flushFrames = 32768;
+        const source = {
+            extract: (target, numFrames, position) => {
+                const from = startFrame + position;
+                const count = Math.max(0, Math.min(numFrames, endFrame + flushFrames - from));
+                for (let i = 0; i < count; i++) {
+                    const frame = from + i;
+                    target[i * 2] = frame < endFrame ? left[frame] : 0;
+                    target[i * 2 + 1] = frame < endFrame ? right[frame] : 0;
+                }
+                return count;
+            }
+        };
+
+        const soundTouch = new SoundTouch();
+        soundTouch.tempo = speed;
+        soundTouch.pitch = pitchRatio;
+        const filter = new SimpleFilter(source, soundTouch);
+
+        const outputFrames = Math.round((endFrame - startFrame) / speed);
+        const wav = new ArrayBuffer(44 + outputFrames * channels * 2);
+        const view = new DataView(wav);
+        this.writeWavHeader(view, outputFrames, channels, sampleRate);
+
+        const chunkFrames = 16384;
+        const samples = new Float32Array(chunkFrames * 2);
+        let written = 0;
+        while (written < outputFrames) {
+            const extracted = filter.extract(samples, Math.min(chunkFrames, outputFrames - written));
+            if (extracted === 0) break; // Anything left stays silent
+
+            let offset = 44 + written * channels * 2;
+            for (let i = 0; i < extracted; i++) {
+                for (let c = 0; c < channels; c++) {
+                    const sample = Math.max(-1, Math.min(1, samples[i * 2 + c]));
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    offset += 2;
+                }
+            }
+            written += extracted;
+
+            // Yield between chunks so the page stays responsive
+            if (onProgress(written / outputFrames) === false) {
+                return null;
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return wav;
+    }
+
+    /**
+     * Write a 16-bit PCM WAV header
+     * @param {DataView} view - View over the whole file
+     * @param {number} frames - Sample frames in the file
+     * @param {number} channels - Channel count
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    writeWavHeader(view, frames, channels, sampleRate) {
+        const dataSize = frames * channels * 2;
+        const writeText = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeText(36, 'data');
+        view.setUint32(40, dataSize, true);
+    }
+
+    /**
+     * Build the file name for an exported practice track
+     * @param {string} regionLabel - Loop name or time range, empty for the whole song
+     * @param {number} speed - Speed multiplier
+     * @param {Object} tuning - { pitch, pitchCents, referencePitch }
+     * @returns {string} File name, e.g. "Song - solo (0.75x, -2 st, +15 ct, A4=432).wav"
+     */
+    getExportFileName(regionLabel, speed, { pitch, pitchCents, referencePitch }) {
+        const baseName = (this.filePath || `song-${this.songId}`)
+            .split(/[\\/]/).pop()
+            .replace(/\.[^.]+$/, '');
+        const settings = [`${speed.toFixed(2).replace(/\.?0+$/, '')}x`];
+        if (pitch !== 0) {
+            settings.push(`${pitch > 0 ? '+' : ''}${pitch} st`);
+        }
+        if (pitchCents !== 0) {
+            settings.push(`${pitchCents > 0 ? '+' : ''}${pitchCents} ct`);
+        }
+        if (referencePitch !== 440) {
+            settings.push(`A4=${referencePitch}`);
+        }
+
+        const name = `${baseName}${regionLabel ? ` - ${regionLabel}` : ''} (${settings.join(', ')}).wav`;
+        return name.replace(/[\\/:*?"<>|]/g, '-');
+    }
+
+    /**
+     * Enable or disable the export buttons and show the export status
+     * @param {string} status - Status text while exporting; omit when done to re-enable the buttons
+     */
+    updateExportControls(status) {
+        if (this.exportSongBtn) {
+            this.exportSongBtn.disabled = this.exporting;
+        }
+        if (this.exportLoopBtn) {
+            this.exportLoopBtn.disabled = this.exporting;
+        }
+        if (this.exportStatus && status) {
+            this.exportStatus.textContent = status;
+        }
+    }
+
+    /**
+     * Update speed preset button states
+     */
+    updateSpeedPresetButtons() {
+        const presetButtons = document.querySelectorAll(`[data-song-id="${this.songId}"] .speed-preset-btn`);
+        presetButtons.forEach(btn => {
+            const btnSpeed = parseFloat(btn.dataset.speed);
+            btn.classList.toggle('active', Math.abs(btnSpeed - this.speed) < 0.01);
+        });
+    }
+
+    /**
+     * Seek to position
+     * @param {number} position - Position in seconds
+     */
+    seek(position) {
+        if (!this.howl) return;
+
+        try {
+            // Since we now disable seeking controls when pitch shifting is active,
+            // seeking should only happen with normal Howler playback
+            if (this.isPitchShifted()) {
+                console.warn('Seeking attempted while pitch shifting is active - this should be prevented by UI');
+                return;
+            }
+            
+            // Normal Howler seeking
+            this.howl.seek(position);
+            this.updateProgress(position);
+        } catch (error) {
+            console.error('Error seeking audio:', error);
+            if (window.ErrorLogger) {
+                window.ErrorLogger.logError('AudioPlayer', 'seek', error, {
+                    songId: this.songId,
+                    position: position,
+                    pitch: this.pitch
+                });
+            }
+        }
+    }
+
+
+    /**
+     * Handle progress bar click
+     * @param {Event} e - Click event
+     */
+    handleProgressBarClick(e) {
+        if (!this.howl || !this.progressContainer) return;
+
+        const rect = this.progressContainer.getBoundingClientRect();
+        const clickX = e.clientX - rect.left;
+        const percentage = clickX / rect.width;
         const duration = this.howl.duration();
         
         if (duration > 0) {
@@ -950,7 +2035,7 @@ Do you want to enable pitch shifting?`;
         if (!this.howl) return;
         
         try {
-            const currentTime = this.howl.seek();
+            const currentTime = this.getCurrentTime();
             const duration = this.howl.duration();
             const newTime = Math.min(currentTime + seconds, duration);
             
@@ -975,7 +2060,7 @@ Do you want to enable pitch shifting?`;
         if (!this.howl) return;
         
         try {
-            const currentTime = this.howl.seek();
+            const currentTime = this.getCurrentTime();
             const newTime = Math.max(currentTime - seconds, 0);
             
             this.seek(newTime);
@@ -1048,10 +2133,11 @@ Do you want to enable pitch shifting?`;
         
         this.progressInterval = setInterval(() => {
             if (this.howl && this.isPlaying) {
-                const currentTime = this.howl.seek();
-                this.updateProgress(currentTime);
+                // SoundTouch playback reports its own progress from its play event
+                if (!this.soundTouch) {
+                    this.updateProgress(this.getCurrentTime());
+                }
                 this.checkLoopCondition();
-                this.drawWaveform();
             }
         }, 100); // Update every 100ms for better loop precision
     }
@@ -1087,6 +2173,12 @@ Do you want to enable pitch shifting?`;
             const total = this.formatTime(duration);
             this.timeDisplay.textContent = `${current} / ${total}`;
         }
+
+        this.drawWaveform();
+
+        if (this.onProgress) {
+            this.onProgress(currentTime);
+        }
     }
 
     /**
@@ -1103,6 +2195,16 @@ Do you want to enable pitch shifting?`;
         return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Escape HTML entities
+     * @param {string} text - Text to escape
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -1120,6 +2222,12 @@ Do you want to enable pitch shifting?`;
      */
     cleanup() {
         this.stopProgressUpdates();
+        this.endPracticeSession();
+
+        // Flush a pending settings save before the player goes away
+        if (this.settingsSaveTimeout) {
+            this.savePlayerSettings();
+        }
         
         // Clean up SoundTouch resources
         if (this.soundTouch) {
@@ -1157,87 +2265,407 @@ Do you want to enable pitch shifting?`;
      */
     initializeWaveform() {
         if (!this.waveformCanvas) return;
-        
+
         this.waveformContext = this.waveformCanvas.getContext('2d');
-        
+
         // Set canvas size
         this.waveformCanvas.width = this.waveformCanvas.offsetWidth || 400;
         this.waveformCanvas.height = 60;
-        
-        // Draw initial empty waveform
-        this.drawEmptyWaveform();
+
+        this.drawEmptyWaveform('Loading waveform...');
+        this.loadWaveform();
     }
 
     /**
      * Draw empty waveform placeholder
+     * @param {string} message - Text shown in the middle of the canvas
      */
-    drawEmptyWaveform() {
+    drawEmptyWaveform(message) {
         if (!this.waveformContext) return;
-        
+
         const canvas = this.waveformCanvas;
         const ctx = this.waveformContext;
-        
+
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         ctx.fillStyle = '#e9ecef';
         ctx.fillRect(0, canvas.height / 2 - 1, canvas.width, 2);
-        
+
         // Add centered text
         ctx.fillStyle = '#6c757d';
         ctx.font = '12px Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('Waveform visualization (simplified)', canvas.width / 2, canvas.height / 2 + 15);
+        ctx.fillText(message, canvas.width / 2, canvas.height / 2 + 15);
+    }
+
+    /**
+     * Load the song's waveform peaks from the server cache, computing and caching them on a miss
+     */
+    async loadWaveform() {
+        if (!this.waveformContext) return;
+
+        const songId = this.songId;
+        try {
+            const response = await fetch(`/api/songs/${songId}/waveform`);
+            let waveform;
+
+            if (response.ok) {
+                waveform = await response.json();
+            } else {
+                waveform = await this.computeWaveformPeaks();
+
+                // Caching is best-effort; the waveform is still drawn if this fails
+                fetch(`/api/songs/${songId}/waveform`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(waveform)
+                }).catch(error => {
+                    console.error('Error caching waveform:', error);
+                });
+            }
+
+            // The player may have been destroyed while decoding
+            if (this.songId !== songId) return;
+
+            this.waveformPeaks = waveform.peaks;
+            this.waveformDuration = waveform.duration || 0;
+            this.drawWaveform();
+        } catch (error) {
+            console.error('Error loading waveform:', error);
+            // The converted audio may already have drawn it if the original couldn't be decoded
+            if (this.songId === songId && !this.waveformPeaks) {
+                this.drawEmptyWaveform('Waveform unavailable');
+            }
+        }
     }
 
     /**
-     * Draw simple animated waveform
+     * Decode the audio file and reduce it to peak amplitudes
+     * @returns {Promise<Object>} { peaks, duration } with peaks between 0 and 1
+     */
+    async computeWaveformPeaks() {
+        const bucketCount = 1000;
+
+        const response = await fetch(this.audioSrc);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        // An offline context decodes without opening an audio output device
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const decoder = new OfflineContext(1, 1, 44100);
+        const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        const samplesPerBucket = Math.max(1, Math.floor(audioBuffer.length / bucketCount));
+        const peaks = [];
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const from = bucket * samplesPerBucket;
+            if (from >= audioBuffer.length) break;
+            const to = Math.min(from + samplesPerBucket, audioBuffer.length);
+
+            let peak = 0;
+            for (const data of channels) {
+                for (let i = from; i < to; i++) {
+                    const value = Math.abs(data[i]);
+                    if (value > peak) peak = value;
+                }
+            }
+            // Clipped tracks can decode slightly above 1.0
+            peaks.push(Math.min(1, Math.round(peak * 1000) / 1000));
+        }
+
+        return { peaks, duration: audioBuffer.duration };
+    }
+
+    /**
+     * Set the practice note positions shown as markers on the waveform
+     * @param {Array} notes - Note objects; notes without a position are skipped
+     */
+    setNoteMarkers(notes) {
+        this.noteMarkers = (notes || [])
+            .filter(note => note.position !== null && note.position !== undefined)
+            .map(note => note.position);
+        this.drawWaveform();
+    }
+
+    /**
+     * Track duration for the waveform, falling back to the decoded duration before Howler loads
+     * @returns {number} Duration in seconds, or 0 if unknown
+     */
+    getWaveformDuration() {
+        const duration = this.howl ? this.howl.duration() : 0;
+        return duration > 0 ? duration : this.waveformDuration;
+    }
+
+    /**
+     * Draw the waveform with the loop region, note markers and playhead on top
      */
     drawWaveform() {
-        if (!this.waveformContext || !this.isPlaying) {
+        if (!this.waveformContext || !this.waveformPeaks) {
             return;
         }
-        
+
         const canvas = this.waveformCanvas;
         const ctx = this.waveformContext;
+
+        // Keep the drawing buffer in step with the laid-out width
+        if (canvas.offsetWidth && canvas.width !== canvas.offsetWidth) {
+            canvas.width = canvas.offsetWidth;
+        }
+
         const width = canvas.width;
         const height = canvas.height;
         const centerY = height / 2;
-        
+        const peaks = this.waveformPeaks;
+        const duration = this.getWaveformDuration();
+        const timeToX = (time) => duration > 0 ? (time / duration) * width : 0;
+        const isDark = document.body.classList.contains('dark-theme');
+        const accent = isDark ? '#8fa6ff' : '#667eea';
+        const isDragging = this.waveformDrag && this.waveformDrag.moved;
+
         ctx.clearRect(0, 0, width, height);
-        
-        // Draw background line
-        ctx.fillStyle = '#e9ecef';
-        ctx.fillRect(0, centerY - 1, width, 2);
-        
-        // Draw animated waveform bars
-        ctx.fillStyle = '#667eea';
-        const barWidth = 2;
-        const barSpacing = 4;
-        const numBars = Math.floor(width / (barWidth + barSpacing));
-        
-        for (let i = 0; i < numBars; i++) {
-            const x = i * (barWidth + barSpacing);
-            // Create pseudo-random waveform based on time and position
-            const time = Date.now() / 1000;
-            const wave = Math.sin(time * 2 + i * 0.5) * Math.sin(time * 0.3 + i * 0.1);
-            const barHeight = Math.abs(wave) * (height / 2 - 5);
-            
-            ctx.fillRect(x, centerY - barHeight / 2, barWidth, barHeight);
+
+        // Loop region, or the selection currently being dragged
+        let regionStart = null;
+        let regionEnd = null;
+        if (isDragging) {
+            regionStart = Math.min(this.waveformDrag.startTime, this.waveformDrag.currentTime);
+            regionEnd = Math.max(this.waveformDrag.startTime, this.waveformDrag.currentTime);
+        } else if (this.loopPointA !== null && this.loopPointB !== null) {
+            regionStart = Math.min(this.loopPointA, this.loopPointB);
+            regionEnd = Math.max(this.loopPointA, this.loopPointB);
+        }
+        if (regionStart !== null && duration > 0) {
+            ctx.fillStyle = this.isLooping ? 'rgba(102, 126, 234, 0.3)' : 'rgba(102, 126, 234, 0.15)';
+            ctx.fillRect(timeToX(regionStart), 0, timeToX(regionEnd) - timeToX(regionStart), height);
+        }
+
+        // Peaks, one bar per pixel column; the played part uses the accent colour
+        const maxPeak = peaks.reduce((max, peak) => Math.max(max, peak), 0) || 1;
+        const progressX = timeToX(this.getCurrentTime());
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor((x / width) * peaks.length);
+            const to = Math.max(from + 1, Math.floor(((x + 1) / width) * peaks.length));
+            let peak = 0;
+            for (let i = from; i < to && i < peaks.length; i++) {
+                peak = Math.max(peak, peaks[i]);
+            }
+
+            const barHeight = Math.max(1, (peak / maxPeak) * (height - 4));
+            ctx.fillStyle = x < progressX ? accent : (isDark ? '#718096' : '#c3cbf5');
+            ctx.fillRect(x, centerY - barHeight / 2, 1, barHeight);
         }
-        
-        // Draw progress indicator
-        if (this.howl) {
-            const duration = this.howl.duration();
-            const currentTime = this.howl.seek();
-            if (duration > 0) {
-                const progress = currentTime / duration;
-                const progressX = progress * width;
-                
-                ctx.fillStyle = '#ff6b6b';
-                ctx.fillRect(progressX - 1, 0, 2, height);
+
+        if (duration > 0) {
+            // A and B markers
+            if (!isDragging) {
+                ctx.fillStyle = accent;
+                for (const point of [this.loopPointA, this.loopPointB]) {
+                    if (point !== null) {
+                        ctx.fillRect(timeToX(point) - 1, 0, 2, height);
+                    }
+                }
+            }
+
+            // Note markers as small triangles along the top edge
+            ctx.fillStyle = '#f0ad4e';
+            for (const position of this.noteMarkers) {
+                const x = timeToX(position);
+                ctx.beginPath();
+                ctx.moveTo(x - 4, 0);
+                ctx.lineTo(x + 4, 0);
+                ctx.lineTo(x, 6);
+                ctx.closePath();
+                ctx.fill();
             }
+
+            // Playhead
+            ctx.fillStyle = '#ff6b6b';
+            ctx.fillRect(progressX - 1, 0, 2, height);
         }
     }
 
+    /**
+     * Convert a mouse position on the waveform into a track time
+     * @param {MouseEvent} e - Mouse event on the canvas
+     * @returns {number|null} Time in seconds, or null if the duration is unknown
+     */
+    getWaveformTime(e) {
+        const duration = this.getWaveformDuration();
+        if (!duration) return null;
+
+        const rect = this.waveformCanvas.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        return ratio * duration;
+    }
+
+    /**
+     * Start a click or drag on the waveform
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleWaveformMouseDown(e) {
+        // Same restriction as the time slider and loop buttons
+        if (e.button !== 0 || this.isPitchShifted()) return;
+
+        const time = this.getWaveformTime(e);
+        if (time === null) return;
+
+        e.preventDefault();
+        this.waveformDrag = { startX: e.clientX, startTime: time, currentTime: time, moved: false };
+    }
+
+    /**
+     * Extend the drag selection on the waveform
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleWaveformMouseMove(e) {
+        if (!this.waveformDrag) return;
+
+        const time = this.getWaveformTime(e);
+        if (time === null) return;
+
+        this.waveformDrag.currentTime = time;
+        if (Math.abs(e.clientX - this.waveformDrag.startX) > 4) {
+            this.waveformDrag.moved = true;
+        }
+        this.drawWaveform();
+    }
+
+    /**
+     * Finish a waveform gesture: a click seeks, a drag sets loop points A and B
+     * @param {MouseEvent} e - Mouse event (mouseup or mouseleave)
+     */
+    handleWaveformMouseUp(e) {
+        if (!this.waveformDrag) return;
+
+        const drag = this.waveformDrag;
+        this.waveformDrag = null;
+
+        if (!drag.moved) {
+            if (e.type === 'mouseup') {
+                this.seek(drag.startTime);
+            }
+            this.drawWaveform();
+            return;
+        }
+
+        this.loopPointA = Math.min(drag.startTime, drag.currentTime);
+        this.loopPointB = Math.max(drag.startTime, drag.currentTime);
+        this.updateLoopPointDisplay();
+    }
+
+    /**
+     * Start timing a practice session when playback begins
+     */
+    beginPracticeSession() {
+        if (this.practiceSession || !this.songId) return;
+
+        const now = Date.now();
+        this.practiceSession = {
+            startedAt: now,
+            lastMark: now,
+            playedSeconds: 0,
+            speedSeconds: 0, // Sum of speed x seconds, for a time-weighted average speed
+            pitch: this.pitch,
+            loop: null
+        };
+        this.trackPracticeLoop();
+    }
+
+    /**
+     * Add the time since the last mark to the practice session at the current speed
+     */
+    markPracticeSpeed() {
+        if (!this.practiceSession) return;
+
+        const now = Date.now();
+        const elapsed = (now - this.practiceSession.lastMark) / 1000;
+        this.practiceSession.playedSeconds += elapsed;
+        this.practiceSession.speedSeconds += elapsed * this.speed;
+        this.practiceSession.lastMark = now;
+    }
+
+    /**
+     * Remember the active A-B loop (and its saved name, if any) on the practice session
+     */
+    trackPracticeLoop() {
+        if (!this.practiceSession || !this.isLooping || this.loopPointA === null || this.loopPointB === null) {
+            return;
+        }
+
+        const start = Math.min(this.loopPointA, this.loopPointB);
+        const end = Math.max(this.loopPointA, this.loopPointB);
+        const savedLoop = this.savedLoops.find(loop =>
+            Math.abs(loop.start_time - start) < 0.05 && Math.abs(loop.end_time - end) < 0.05
+        );
+
+        this.practiceSession.loop = { start, end, name: savedLoop ? savedLoop.name : null };
+    }
+
+    /**
+     * Finish the current practice session and record it on the server
+     */
+    endPracticeSession() {
+        if (!this.practiceSession) return;
+
+        this.markPracticeSpeed();
+        const session = this.practiceSession;
+        this.practiceSession = null;
+
+        if (session.playedSeconds < this.minPracticeSessionSeconds) return;
+
+        const songId = this.songId;
+        const payload = {
+            song_id: songId,
+            started_at: new Date(session.startedAt).toISOString(),
+            ended_at: new Date(session.lastMark).toISOString(),
+            duration_seconds: Math.round(session.playedSeconds),
+            speed: Math.round((session.speedSeconds / session.playedSeconds) * 100) / 100,
+            pitch: session.pitch,
+            loop_start: session.loop ? session.loop.start : null,
+            loop_end: session.loop ? session.loop.end : null,
+            loop_name: session.loop ? session.loop.name : null
+        };
+
+        // keepalive lets the request finish even if the player is torn down mid-flight
+        fetch('/api/practice', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload),
+            keepalive: true
+        }).then(response => {
+            if (response.ok) {
+                document.dispatchEvent(new CustomEvent('practiceSessionLogged', {
+                    detail: { songId }
+                }));
+            }
+        }).catch(error => {
+            console.error('Error recording practice session:', error);
+        });
+    }
+
+    /**
+     * Get the current playback position
+     * @returns {number} Position in seconds (0 if nothing is loaded)
+     */
+    getCurrentTime() {
+        if (!this.howl) return 0;
+        if (this.soundTouch) return this.soundTouchPosition;
+
+        // Howler returns the Howl itself instead of a number while the sound is still loading
+        const position = this.howl.seek();
+        return typeof position === 'number' ? position : 0;
+    }
+
     /**
      * Get current playback state
      * @returns {Object} Player state information
@@ -1247,7 +2675,7 @@ Do you want to enable pitch shifting?`;
             isLoaded: !!this.howl,
             isPlaying: this.isPlaying,
             songId: this.songId,
-            currentTime: this.howl ? this.howl.seek() : 0,
+            currentTime: this.getCurrentTime(),
             duration: this.howl ? this.howl.duration() : 0,
             volume: this.volume,
             speed: this.speed
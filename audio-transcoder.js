@@ -0,0 +1,221 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Give up on a conversion that runs longer than this
+const DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+class AudioTranscoder {
+    constructor({ db, configManager }) {
+        this.db = db;
+        this.configManager = configManager;
+
+        this.pending = new Map(); // Cache file prefix -> promise, so the player and a prepare request share one conversion
+        this.decoder = undefined; // Resolved ffmpeg command, null when none was found, undefined until checked
+        this.decoderSource = null; // ffmpeg_path setting the decoder was resolved from
+    }
+
+    /**
+     * Get the transcoding settings from the config
+     * @returns {Object} { ffmpeg_path, cache_mb }
+     */
+    getSettings() {
+        const advanced = this.configManager.getConfig().advanced || {};
+        return {
+            ffmpeg_path: typeof advanced.ffmpeg_path === 'string' ? advanced.ffmpeg_path.trim() : '',
+            cache_mb: advanced.transcode_cache_mb > 0 ? advanced.transcode_cache_mb : 2048
+        };
+    }
+
+    /**
+     * Find a working ffmpeg, from the config or the PATH
+     * @returns {Promise<string|null>} Command to run, or null if there is none
+     */
+    async findDecoder() {
+        const configured = this.getSettings().ffmpeg_path;
+        if (this.decoder !== undefined && this.decoderSource === configured) {
+            return this.decoder;
+        }
+
+        const command = configured || 'ffmpeg';
+        const works = await new Promise((resolve) => {
+            let child;
+            try {
+                child = spawn(command, ['-version'], { stdio: 'ignore', windowsHide: true });
+            } catch (error) {
+                resolve(false);
+                return;
+            }
+            child.on('error', () => resolve(false));
+            child.on('close', (code) => resolve(code === 0));
+        });
+
+        this.decoderSource = configured;
+        this.decoder = works ? command : null;
+        if (!works) {
+            console.warn(`[AudioTranscoder]: ffmpeg not found (tried "${command}")`);
+        }
+        return this.decoder;
+    }
+
+    /**
+     * Get a song's audio as a cached WAV file, converting it on first request
+     * @param {Object} song - Song row
+     * @returns {Promise<string>} Path of the WAV file
+     */
+    async getTranscoded(song) {
+        if (!song.file_path || !fs.existsSync(song.file_path)) {
+            throw new Error('Audio file not found on disk');
+        }
+
+        const cacheDir = this.db.getTranscodeDirectory();
+        const prefix = `${song.id}-`;
+        const cachePath = path.join(cacheDir, `${prefix}${this.getCacheKey(song.file_path)}.wav`);
+        if (fs.existsSync(cachePath)) {
+            // Touch it so pruning drops the least recently played conversions first
+            const now = new Date();
+            fs.utimesSync(cachePath, now, now);
+            return cachePath;
+        }
+
+        if (!this.pending.has(prefix)) {
+            const job = this.transcode(song.file_path, cacheDir, prefix, cachePath)
+                .finally(() => this.pending.delete(prefix));
+            this.pending.set(prefix, job);
+        }
+        return this.pending.get(prefix);
+    }
+
+    /**
+     * Key a conversion by the state of the source file
+     * @param {string} filePath - Audio file path
+     * @returns {string} Short hash
+     */
+    getCacheKey(filePath) {
+        const stat = fs.statSync(filePath);
+        return crypto.createHash('sha1')
+            .update([filePath, stat.size, stat.mtimeMs].join('\n'))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Decode an audio file to 16-bit WAV with ffmpeg
+     * @param {string} filePath - Audio file path
+     * @param {string} cacheDir - Cache directory
+     * @param {string} prefix - Entry prefix for this song; older conversions with it are removed
+     * @param {string} cachePath - Where the WAV file goes
+     * @returns {Promise<string>} cachePath
+     */
+    async transcode(filePath, cacheDir, prefix, cachePath) {
+        const decoder = await this.findDecoder();
+        if (!decoder) {
+            throw new Error('ffmpeg is needed to play this format but was not found');
+        }
+
+        fs.mkdirSync(cacheDir, { recursive: true });
+        const tempPath = `${cachePath}.partial`;
+
+        try {
+            await new Promise((resolve, reject) => {
+                const child = spawn(decoder, [
+                    '-v', 'error', '-nostdin', '-y',
+                    '-i', filePath,
+                    '-map', '0:a:0', '-vn',
+                    '-acodec', 'pcm_s16le',
+                    '-f', 'wav', tempPath
+                ], { stdio: ['ignore', 'ignore', 'pipe'], windowsHide: true });
+
+                let stderr = '';
+                child.stderr.on('data', (chunk) => {
+                    stderr = (stderr + chunk).slice(-2000);
+                });
+
+                const timer = setTimeout(() => child.kill(), DECODE_TIMEOUT_MS);
+                child.on('error', (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                });
+                child.on('close', (code, signal) => {
+                    clearTimeout(timer);
+                    if (code === 0) {
+                        resolve();
+                    } else if (signal) {
+                        reject(new Error('Conversion took too long and was stopped'));
+                    } else {
+                        const lastLine = stderr.trim().split(/\r?\n/).pop();
+                        reject(new Error(lastLine || `ffmpeg exited with code ${code}`));
+                    }
+                });
+            });
+
+            fs.renameSync(tempPath, cachePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+
+        // Conversions of older versions of the file are no longer needed
+        this.removeCached(cacheDir, prefix, cachePath);
+        this.prune(cacheDir, cachePath);
+        return cachePath;
+    }
+
+    /**
+     * Delete the least recently used conversions until the cache fits its size limit
+     * @param {string} cacheDir - Cache directory
+     * @param {string} keepPath - Conversion that must stay, usually the one just made
+     */
+    prune(cacheDir, keepPath) {
+        try {
+            const limit = this.getSettings().cache_mb * 1024 * 1024;
+            const entries = fs.readdirSync(cacheDir)
+                .filter(name => name.endsWith('.wav'))
+                .map(name => {
+                    const filePath = path.join(cacheDir, name);
+                    const stat = fs.statSync(filePath);
+                    return { path: filePath, size: stat.size, mtime: stat.mtimeMs };
+                })
+                .sort((a, b) => a.mtime - b.mtime);
+
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            for (const entry of entries) {
+                if (total <= limit) break;
+                if (entry.path === keepPath) continue;
+                fs.rmSync(entry.path, { force: true });
+                total -= entry.size;
+            }
+        } catch (error) {
+            console.warn('[AudioTranscoder]: Could not prune the conversion cache:', error.message);
+        }
+    }
+
+    /**
+     * Delete cache entries that start with a prefix
+     * @param {string} cacheDir - Cache directory
+     * @param {string} prefix - Entry prefix
+     * @param {string} keepPath - Optional entry to leave in place
+     */
+    removeCached(cacheDir, prefix, keepPath = null) {
+        for (const name of fs.readdirSync(cacheDir)) {
+            if (name.startsWith(prefix) && path.join(cacheDir, name) !== keepPath) {
+                fs.rmSync(path.join(cacheDir, name), { force: true });
+            }
+        }
+    }
+
+    /**
+     * Delete every conversion of a song
+     * @param {number} songId - Song ID
+     */
+    removeSong(songId) {
+        try {
+            this.removeCached(this.db.getTranscodeDirectory(), `${songId}-`);
+        } catch (error) {
+            // No cache directory yet
+        }
+    }
+}
+
+module.exports = AudioTranscoder;
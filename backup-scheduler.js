@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+// Snapshot files are named jamber3-<label>-<ISO timestamp with : and . replaced>.db
+const SNAPSHOT_NAME_PATTERN = /^jamber3-([a-z-]+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.db$/;
+
+class BackupScheduler {
+    constructor({ db, configManager }) {
+        this.db = db;
+        this.configManager = configManager;
+
+        this.timer = null;
+        this.nextBackupAt = null;
+        this.lastRun = null; // { at, label, success, name }
+        this.inProgress = false;
+
+        // Re-check at least this often so config edits are noticed
+        this.maxTimerMs = 60 * 60 * 1000;
+        this.retryMs = 30 * 60 * 1000;
+    }
+
+    /**
+     * Start the scheduler; an overdue backup is taken straight away
+     */
+    start() {
+        this.stop();
+        this.scheduleNext();
+    }
+
+    /**
+     * Stop the scheduler; a backup already being written still finishes
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextBackupAt = null;
+    }
+
+    /**
+     * Read the backup settings from the advanced config section
+     * @returns {Object} { enabled, interval_days, retention_count }
+     */
+    getSettings() {
+        const advanced = this.configManager.getConfig().advanced || {};
+        return {
+            enabled: advanced.backup_database === true,
+            interval_days: advanced.backup_interval_days > 0 ? advanced.backup_interval_days : 7,
+            retention_count: Number.isInteger(advanced.backup_retention_count) && advanced.backup_retention_count > 0
+                ? advanced.backup_retention_count
+                : 5
+        };
+    }
+
+    /**
+     * Get the scheduler state
+     * @returns {Object} Settings, backup folder, next due time and the outcome of the last backup
+     */
+    getStatus() {
+        return {
+            ...this.getSettings(),
+            directory: this.db.getBackupDirectory(),
+            next_backup: this.nextBackupAt ? this.nextBackupAt.toISOString() : null,
+            last_run: this.lastRun
+        };
+    }
+
+    /**
+     * List the snapshot files in the backups folder, newest first
+     * @returns {Array} { name, label, size, created_at }
+     */
+    listBackups() {
+        const backupDir = this.db.getBackupDirectory();
+        if (!fs.existsSync(backupDir)) {
+            return [];
+        }
+
+        const backups = [];
+        for (const name of fs.readdirSync(backupDir)) {
+            const match = name.match(SNAPSHOT_NAME_PATTERN);
+            if (!match) continue;
+
+            try {
+                const stat = fs.statSync(path.join(backupDir, name));
+                backups.push({ name, label: match[1], size: stat.size, created_at: stat.mtime.toISOString() });
+            } catch (error) {
+                // Deleted while listing
+            }
+        }
+
+        return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Resolve a snapshot name from listBackups to its path
+     * @param {string} name - File name
+     * @returns {string|null} Full path, or null if there is no such snapshot
+     */
+    getBackupPath(name) {
+        if (!this.listBackups().some(backup => backup.name === name)) {
+            return null;
+        }
+        return path.join(this.db.getBackupDirectory(), name);
+    }
+
+    /**
+     * Work out when the next scheduled backup is due
+     * @returns {Date|null} Due time, or null if scheduled backups are turned off
+     */
+    getNextBackupTime() {
+        const settings = this.getSettings();
+        if (!settings.enabled) return null;
+
+        const last = this.listBackups().find(backup => backup.label === 'scheduled');
+        if (!last) return new Date();
+
+        return new Date(new Date(last.created_at).getTime() + settings.interval_days * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Set the timer for the next check
+     * @param {number|null} delay - Milliseconds until the check; defaults to when the next backup is due
+     */
+    scheduleNext(delay = null) {
+        clearTimeout(this.timer);
+
+        try {
+            this.nextBackupAt = this.getNextBackupTime();
+        } catch (error) {
+            // The backup folder couldn't be read; look again later rather than stop for good
+            console.error('[BackupScheduler]: Error finding the next backup time:', error.message);
+            this.nextBackupAt = null;
+            delay = delay === null ? this.retryMs : delay;
+        }
+        if (delay === null) {
+            delay = this.nextBackupAt ? Math.max(0, this.nextBackupAt.getTime() - Date.now()) : this.maxTimerMs;
+        }
+
+        this.timer = setTimeout(() => this.tick(), Math.min(delay, this.maxTimerMs));
+    }
+
+    /**
+     * Timer callback: take a backup if one is due, then schedule the next check
+     */
+    async tick() {
+        try {
+            const due = this.getNextBackupTime();
+            if (due && due.getTime() <= Date.now()) {
+                const backup = await this.runBackup('scheduled');
+                if (!backup) {
+                    this.scheduleNext(this.retryMs);
+                    return;
+                }
+            }
+            this.scheduleNext();
+        } catch (error) {
+            console.error('[BackupScheduler]: Error taking scheduled backup:', error);
+            this.scheduleNext(this.retryMs);
+        }
+    }
+
+    /**
+     * Take a snapshot now and prune old ones with the same label
+     * @param {string} label - scheduled or manual
+     * @returns {Promise<Object|null>} The new backup from listBackups, or null if it failed or one was already running
+     */
+    async runBackup(label) {
+        if (this.inProgress) {
+            return null;
+        }
+
+        this.inProgress = true;
+        try {
+            const snapshotPath = await this.db.snapshotDatabase(label);
+            const name = snapshotPath ? path.basename(snapshotPath) : null;
+            this.lastRun = { at: new Date().toISOString(), label, success: !!snapshotPath, name };
+
+            if (!snapshotPath) {
+                return null;
+            }
+
+            console.log(`[BackupScheduler]: Wrote ${label} backup ${name}`);
+            this.prune(label);
+            return this.listBackups().find(backup => backup.name === name) || null;
+        } finally {
+            this.inProgress = false;
+        }
+    }
+
+    /**
+     * Delete the oldest snapshots of a label beyond the retention count
+     * @param {string} label - Snapshot label
+     * @returns {number} Number of files deleted
+     */
+    prune(label) {
+        const { retention_count } = this.getSettings();
+        const expired = this.listBackups()
+            .filter(backup => backup.label === label)
+            .slice(retention_count);
+
+        let deleted = 0;
+        for (const backup of expired) {
+            try {
+                fs.unlinkSync(path.join(this.db.getBackupDirectory(), backup.name));
+                deleted++;
+            } catch (error) {
+                console.error(`[BackupScheduler]: Error deleting old backup ${backup.name}:`, error.message);
+            }
+        }
+        return deleted;
+    }
+}
+
+module.exports = BackupScheduler;
@@ -24,9 +24,74 @@ function getDataPath() {
 
 const SCHEMA_FILE = path.join(__dirname, 'sqlite-schema.sql');
 
+// Song fields a restore can bring back; file and scan details always come from the file on disk
+const RESTORABLE_SONG_FIELDS = [
+    'title', 'artist', 'album', 'is_cover',
+    'lyrics_path', 'lyrics_content', 'tablature_url', 'youtube_url',
+    'guitar_tab_url', 'bass_tab_url', 'lyrics_url'
+];
+
+// Tag fields beyond title/artist/album, with their column types; a scan keeps them in step with the file
+const TAG_FIELD_COLUMNS = {
+    genre: 'TEXT',
+    year: 'INTEGER',
+    track_number: 'INTEGER',
+    disc_number: 'INTEGER',
+    album_artist: 'TEXT',
+    composer: 'TEXT',
+    bpm: 'REAL',
+    musical_key: 'TEXT'
+};
+
+// Key and tuning estimated by the player from the decoded audio (tuning_offset in cents from A4 = 440 Hz)
+const AUDIO_ANALYSIS_COLUMNS = {
+    detected_key: 'TEXT',
+    key_confidence: 'REAL',
+    tuning_offset: 'REAL',
+    analyzed_at: 'TEXT'
+};
+
+// Fields a scan fills in and a user can edit over; user_edited says which kind of value a song holds
+const EDITABLE_SONG_FIELDS = ['title', 'artist', 'album', 'is_cover'];
+
+// Verified flags travel with the URL they vouch for
+const VERIFIED_FLAG_FIELDS = {
+    guitar_tab_url: 'guitar_tab_verified',
+    bass_tab_url: 'bass_tab_verified',
+    lyrics_url: 'lyrics_verified'
+};
+
+// Per-song tables keyed by song_id
+const SONG_CHILD_TABLES = [
+    'song_tags', 'song_notes', 'song_loops', 'practice_sessions', 'song_player_settings', 'waveform_cache'
+];
+
+// How a merge restore recognises a backed-up row the song already has
+const MERGE_ROW_KEYS = {
+    song_notes: ['content', 'position'],
+    song_loops: ['name', 'start_time', 'end_time'],
+    practice_sessions: ['started_at']
+};
+
+// Version of the backup file layout; bump it and add a step to migrateBackup when the layout changes
+const BACKUP_FORMAT_VERSION = 2;
+
+// Bump whenever sqlite-schema.sql or runSchemaMigrations changes a table; kept in PRAGMA user_version
+const SCHEMA_VERSION = 5;
+
+// Tables written to backups. Waveform peaks are left out; they are a cache rebuilt from the audio files
+const BACKUP_TABLES = [
+    'songs', 'setlists', 'song_setlists', 'tags', 'song_tags', 'song_notes', 'song_loops',
+    'practice_sessions', 'song_player_settings', 'scan_directories', 'app_settings'
+];
+
+// App settings that describe the running instance rather than the library
+const RUNTIME_SETTING_KEYS = ['next_id', 'scan_in_progress', 'needs_rescan'];
+
 class DatabaseService {
     constructor() {
         this.db = null;
+        this.tableColumns = {}; // Column names per table, looked up on first use by restores
         this.setupDatabase();
     }
 
@@ -190,6 +255,7 @@ class DatabaseService {
             
             // Run migrations to add any missing columns
             this.runSchemaMigrations();
+            this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
             
             // Now execute CREATE INDEX and other statements
             for (const statement of statements) {
@@ -240,6 +306,83 @@ class DatabaseService {
                 
                 console.log('tablature_content column removed successfully');
             }
+
+            // Add file_mtime for incremental rescans (checked after the table rebuild above)
+            const currentColumns = this.db.prepare("PRAGMA table_info(songs)").all();
+            if (!currentColumns.some(col => col.name === 'file_mtime')) {
+                console.log('Adding file_mtime column to songs table...');
+                this.db.exec('ALTER TABLE songs ADD COLUMN file_mtime TEXT');
+                console.log('file_mtime column added successfully');
+            }
+
+            // Add file_hash so moved/renamed files can be recognised
+            if (!currentColumns.some(col => col.name === 'file_hash')) {
+                console.log('Adding file_hash column to songs table...');
+                this.db.exec('ALTER TABLE songs ADD COLUMN file_hash TEXT');
+                console.log('file_hash column added successfully');
+            }
+
+            // Record when a song's tags were last read for lyrics (schema version 2). Left empty for existing
+            // songs, since an empty lyrics_path can't tell a checked song from one added by hand
+            if (!currentColumns.some(col => col.name === 'lyrics_checked_at')) {
+                console.log('Adding lyrics_checked_at column to songs table...');
+                this.db.exec('ALTER TABLE songs ADD COLUMN lyrics_checked_at TEXT');
+                console.log('lyrics_checked_at column added successfully');
+            }
+
+            // Add the extra tag fields (schema version 3)
+            let addedTagColumns = false;
+            for (const [column, type] of Object.entries(TAG_FIELD_COLUMNS)) {
+                if (!currentColumns.some(col => col.name === column)) {
+                    console.log(`Adding ${column} column to songs table...`);
+                    this.db.exec(`ALTER TABLE songs ADD COLUMN ${column} ${type}`);
+                    console.log(`${column} column added successfully`);
+                    addedTagColumns = true;
+                }
+            }
+            if (addedTagColumns) {
+                // The next full scan re-reads every file so the new fields get filled in
+                this.updateAppSettings({ needs_rescan: true });
+            }
+
+            // Add fine tuning to the player settings (schema version 4)
+            const settingsColumns = this.db.prepare("PRAGMA table_info(song_player_settings)").all();
+            for (const column of ['pitch_cents', 'reference_pitch']) {
+                if (!settingsColumns.some(col => col.name === column)) {
+                    console.log(`Adding ${column} column to song_player_settings table...`);
+                    this.db.exec(`ALTER TABLE song_player_settings ADD COLUMN ${column} INTEGER`);
+                    console.log(`${column} column added successfully`);
+                }
+            }
+
+            // Add the audio analysis results (schema version 5)
+            for (const [column, type] of Object.entries(AUDIO_ANALYSIS_COLUMNS)) {
+                if (!currentColumns.some(col => col.name === column)) {
+                    console.log(`Adding ${column} column to songs table...`);
+                    this.db.exec(`ALTER TABLE songs ADD COLUMN ${column} ${type}`);
+                    console.log(`${column} column added successfully`);
+                }
+            }
+
+            // Fold duplicate songs for the same file into the oldest copy, so the unique index on
+            // file_path can be created
+            const duplicates = this.db.prepare(`
+                SELECT id, (SELECT MIN(id) FROM songs first WHERE first.file_path = songs.file_path) AS keep_id
+                FROM songs
+                WHERE file_path IS NOT NULL AND file_path != ''
+            `).all().filter(song => song.id !== song.keep_id);
+            if (duplicates.length > 0) {
+                this.db.transaction(() => {
+                    for (const { id, keep_id: keepId } of duplicates) {
+                        // Rows the kept copy already has an equivalent of stay behind and go with the duplicate
+                        for (const table of [...SONG_CHILD_TABLES, 'song_setlists']) {
+                            this.db.prepare(`UPDATE OR IGNORE ${table} SET song_id = ? WHERE song_id = ?`).run(keepId, id);
+                        }
+                        this.deleteSongRecord(id);
+                    }
+                })();
+                console.log(`Merged ${duplicates.length} duplicate songs into the first copy of their file`);
+            }
         } catch (error) {
             console.error('Error running schema migrations:', error);
             // Don't throw error as this is not critical for app startup
@@ -315,6 +458,19 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Get the ID of every song, including removed ones
+     * @returns {number[]} Song IDs
+     */
+    getSongIds() {
+        try {
+            return this.db.prepare('SELECT id FROM songs').pluck().all();
+        } catch (error) {
+            console.error('Error getting song IDs:', error);
+            return [];
+        }
+    }
+
     getSong(id) {
         try {
             const stmt = this.db.prepare('SELECT * FROM songs WHERE id = ?');
@@ -386,8 +542,7 @@ class DatabaseService {
                 return result.changes > 0;
             } else {
                 // File no longer exists: Delete the record entirely
-                const stmt = this.db.prepare('DELETE FROM songs WHERE id = ?');
-                const result = stmt.run(parseInt(id));
+                const result = this.db.transaction(() => this.deleteSongRecord(song.id))();
                 console.log(`Song deleted from database (file not found): ${song.title} - ${song.file_path}`);
                 return result.changes > 0;
             }
@@ -521,8 +676,9 @@ class DatabaseService {
                     file_name, extracted_title, extracted_artist, metadata_source,
                     file_size, duration, format, bitrate, sample_rate, last_scanned,
                     user_edited, guitar_tab_url, guitar_tab_verified, bass_tab_url,
-                    bass_tab_verified, lyrics_url, lyrics_verified, album
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    bass_tab_verified, lyrics_url, lyrics_verified, album, file_mtime, file_hash,
+                    genre, year, track_number, disc_number, album_artist, composer, bpm, musical_key
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
             stmt.run(
@@ -535,7 +691,11 @@ class DatabaseService {
                 newSong.sample_rate, newSong.last_scanned, newSong.user_edited ? 1 : 0,
                 newSong.guitar_tab_url, newSong.guitar_tab_verified ? 1 : 0,
                 newSong.bass_tab_url, newSong.bass_tab_verified ? 1 : 0,
-                newSong.lyrics_url, newSong.lyrics_verified ? 1 : 0, newSong.album
+                newSong.lyrics_url, newSong.lyrics_verified ? 1 : 0, newSong.album,
+                newSong.file_mtime || null, newSong.file_hash || null,
+                newSong.genre || null, newSong.year || null, newSong.track_number || null,
+                newSong.disc_number || null, newSong.album_artist || null, newSong.composer || null,
+                newSong.bpm || null, newSong.musical_key || null
             );
 
             this.setNextId(nextId + 1);
@@ -558,13 +718,21 @@ class DatabaseService {
                     file_name, extracted_title, extracted_artist, metadata_source,
                     file_size, duration, format, bitrate, sample_rate, last_scanned,
                     user_edited, guitar_tab_url, guitar_tab_verified, bass_tab_url,
-                    bass_tab_verified, lyrics_url, lyrics_verified, album
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    bass_tab_verified, lyrics_url, lyrics_verified, album, file_mtime, file_hash,
+                    genre, year, track_number, disc_number, album_artist, composer, bpm, musical_key,
+                    lyrics_checked_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
+            const findByPath = this.db.prepare('SELECT 1 FROM songs WHERE file_path = ?');
 
             const insertMany = this.db.transaction((songs) => {
                 let currentId = nextId;
                 for (const songMetadata of songs) {
+                    // Checked again here because the file may have been added since the caller looked it up
+                    if (songMetadata.file_path && findByPath.get(songMetadata.file_path)) {
+                        continue;
+                    }
+
                     const newSong = {
                         id: currentId,
                         ...songMetadata
@@ -580,7 +748,12 @@ class DatabaseService {
                         newSong.sample_rate, newSong.last_scanned, newSong.user_edited ? 1 : 0,
                         newSong.guitar_tab_url, newSong.guitar_tab_verified ? 1 : 0,
                         newSong.bass_tab_url, newSong.bass_tab_verified ? 1 : 0,
-                        newSong.lyrics_url, newSong.lyrics_verified ? 1 : 0, newSong.album
+                        newSong.lyrics_url, newSong.lyrics_verified ? 1 : 0, newSong.album,
+                        newSong.file_mtime || null, newSong.file_hash || null,
+                        newSong.genre || null, newSong.year || null, newSong.track_number || null,
+                        newSong.disc_number || null, newSong.album_artist || null, newSong.composer || null,
+                        newSong.bpm || null, newSong.musical_key || null,
+                        newSong.lyrics_checked_at || null
                     );
 
                     newSongs.push(newSong);
@@ -655,23 +828,147 @@ class DatabaseService {
         }
     }
 
+    refreshScannedSong(id, metadata) {
+        try {
+            const song = this.getSong(id);
+            if (!song) {
+                return null;
+            }
+
+            // File properties always follow the file on disk
+            const updates = {
+                file_size: metadata.file_size,
+                file_mtime: metadata.file_mtime,
+                file_hash: metadata.file_hash,
+                duration: metadata.duration,
+                format: metadata.format,
+                bitrate: metadata.bitrate,
+                sample_rate: metadata.sample_rate,
+                extracted_title: metadata.extracted_title,
+                extracted_artist: metadata.extracted_artist,
+                metadata_source: metadata.metadata_source,
+                last_scanned: new Date().toISOString(),
+                lyrics_checked_at: metadata.lyrics_checked_at || null
+            };
+
+            // The extra tag fields can't be edited in the app, so they always mirror the tags
+            for (const column of Object.keys(TAG_FIELD_COLUMNS)) {
+                updates[column] = metadata[column] ?? null;
+            }
+
+            // An analysis of different audio no longer applies; the player redoes it next time
+            if (song.file_hash !== metadata.file_hash) {
+                for (const column of Object.keys(AUDIO_ANALYSIS_COLUMNS)) {
+                    updates[column] = null;
+                }
+            }
+
+            // Display fields are only refreshed when the user hasn't edited the song by hand
+            if (!song.user_edited) {
+                updates.title = metadata.title;
+                updates.artist = metadata.artist;
+                updates.album = metadata.album;
+            }
+
+            // Lyrics from the file only fill a gap; typed or fetched lyrics are kept
+            if (!song.lyrics_content && metadata.lyrics_content) {
+                updates.lyrics_content = metadata.lyrics_content;
+                updates.lyrics_path = metadata.lyrics_path;
+            }
+
+            return this.updateSongMetadata(id, updates);
+        } catch (error) {
+            console.error('Error refreshing scanned song:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the songs whose audio hasn't been analyzed for key and tuning yet
+     * @returns {Array} Songs as { id, title, artist }
+     */
+    getUnanalyzedSongs() {
+        try {
+            return this.db.prepare(`
+                SELECT id, title, artist FROM songs
+                WHERE analyzed_at IS NULL AND is_removed = 0 AND file_path IS NOT NULL AND file_path != ''
+                ORDER BY artist COLLATE NOCASE, title COLLATE NOCASE
+            `).all();
+        } catch (error) {
+            console.error('Error getting unanalyzed songs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the songs whose file is no longer on disk
+     * @param {Object} options - { includeRemoved } also returns songs already marked as removed, e.g. by the library watcher
+     * @returns {Array} Song rows
+     */
+    getSongsWithMissingFiles({ includeRemoved = false } = {}) {
+        try {
+            const songs = includeRemoved
+                ? this.db.prepare("SELECT * FROM songs WHERE file_path IS NOT NULL AND file_path != ''").all()
+                : this.getAllSongs();
+
+            // Manually added songs have no file and are never "missing"
+            return songs.filter(song => song.file_path && !fs.existsSync(song.file_path));
+        } catch (error) {
+            console.error('Error getting songs with missing files:', error);
+            return [];
+        }
+    }
+
+    relocateSong(id, metadata) {
+        try {
+            // Point the existing song at the file's new location, keeping its tabs, notes, setlists and edits;
+            // a song the library watcher hid when its file went away comes back
+            const moved = this.updateSongMetadata(id, {
+                file_path: metadata.file_path,
+                file_name: metadata.file_name,
+                is_removed: 0
+            });
+            if (!moved) {
+                return null;
+            }
+
+            return this.refreshScannedSong(id, metadata);
+        } catch (error) {
+            console.error('Error relocating song:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a song and every row that belongs to it. Foreign keys are not enforced, so the
+     * ON DELETE CASCADE clauses never fire; call this inside a transaction
+     * @param {number} id - Song ID
+     * @returns {Object} better-sqlite3 run info for the song row
+     */
+    deleteSongRecord(id) {
+        for (const table of [...SONG_CHILD_TABLES, 'song_setlists']) {
+            this.db.prepare(`DELETE FROM ${table} WHERE song_id = ?`).run(id);
+        }
+        return this.db.prepare('DELETE FROM songs WHERE id = ?').run(id);
+    }
+
     cleanupMissingSongs() {
         try {
-            const songs = this.getAllSongs();
+            // Includes songs the library watcher hid, which would otherwise never be cleaned up
+            const songs = this.db.prepare("SELECT id, file_path FROM songs WHERE file_path IS NOT NULL AND file_path != ''").all();
             let removedCount = 0;
 
-            const deleteStmt = this.db.prepare('DELETE FROM songs WHERE id = ?');
             const transaction = this.db.transaction((songsToCheck) => {
                 for (const song of songsToCheck) {
                     if (!song.file_path) continue; // Keep manually added songs
                     
                     try {
                         if (!fs.existsSync(song.file_path)) {
-                            deleteStmt.run(song.id);
+                            this.deleteSongRecord(song.id);
                             removedCount++;
                         }
                     } catch (error) {
-                        deleteStmt.run(song.id);
+                        this.deleteSongRecord(song.id);
                         removedCount++;
                     }
                 }
@@ -697,7 +994,6 @@ class DatabaseService {
             const songs = this.getAllSongs();
             let removedCount = 0;
 
-            const deleteStmt = this.db.prepare('DELETE FROM songs WHERE id = ?');
             const transaction = this.db.transaction((songsToCheck) => {
                 for (const song of songsToCheck) {
                     if (!song.file_path) continue; // Keep manually added songs
@@ -705,7 +1001,7 @@ class DatabaseService {
                     for (const excludedPath of excludedPaths) {
                         if (song.file_path.startsWith(excludedPath)) {
                             console.log(`Removing song from excluded path: ${song.title} (${song.file_path})`);
-                            deleteStmt.run(song.id);
+                            this.deleteSongRecord(song.id);
                             removedCount++;
                             break;
                         }
@@ -739,7 +1035,6 @@ class DatabaseService {
             const songs = this.getAllSongs();
             let removedCount = 0;
 
-            const deleteStmt = this.db.prepare('DELETE FROM songs WHERE id = ?');
             
             const transaction = this.db.transaction((songsToCheck) => {
                 for (const song of songsToCheck) {
@@ -759,7 +1054,7 @@ class DatabaseService {
                         // Only remove if not covered by any other enabled path
                         if (!isCoveredByOtherPath) {
                             console.log(`Removing song from removed path: ${song.title} (${song.file_path})`);
-                            deleteStmt.run(song.id);
+                            this.deleteSongRecord(song.id);
                             removedCount++;
                         }
                     }
@@ -961,6 +1256,1435 @@ class DatabaseService {
         }
     }
 
+    /**
+     * TAG METHODS
+     */
+
+    /**
+     * Create a new tag
+     * @param {string} name - Tag name (required, unique, case-insensitive)
+     * @returns {Object|null} Created tag object or null on failure
+     */
+    createTag(name) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO tags (name, created_at)
+                VALUES (?, datetime('now'))
+            `);
+            const result = stmt.run(name);
+
+            if (result.lastInsertRowid) {
+                return this.getTag(result.lastInsertRowid);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a tag by ID
+     * @param {number} id - Tag ID
+     * @returns {Object|null} Tag object or null if not found
+     */
+    getTag(id) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM tags WHERE id = ?');
+            return stmt.get(id) || null;
+        } catch (error) {
+            console.error('Error getting tag:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a tag by name (case-insensitive)
+     * @param {string} name - Tag name
+     * @returns {Object|null} Tag object or null if not found
+     */
+    getTagByName(name) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM tags WHERE name = ?');
+            return stmt.get(name) || null;
+        } catch (error) {
+            console.error('Error getting tag by name:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all tags with song counts
+     * @returns {Array} Array of tag objects with song counts
+     */
+    getAllTags() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT t.*, COUNT(s.id) as song_count
+                FROM tags t
+                LEFT JOIN song_tags st ON t.id = st.tag_id
+                LEFT JOIN songs s ON s.id = st.song_id AND s.is_removed = 0
+                GROUP BY t.id
+                ORDER BY t.name ASC
+            `);
+            return stmt.all();
+        } catch (error) {
+            console.error('Error getting all tags:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Rename a tag
+     * @param {number} id - Tag ID
+     * @param {string} name - New tag name
+     * @returns {Object|null} Updated tag object or null on failure
+     */
+    renameTag(id, name) {
+        try {
+            const stmt = this.db.prepare('UPDATE tags SET name = ? WHERE id = ?');
+            const result = stmt.run(name, id);
+
+            if (result.changes > 0) {
+                return this.getTag(id);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a tag and its song relationships
+     * @param {number} id - Tag ID
+     * @returns {boolean} True if deleted successfully
+     */
+    deleteTag(id) {
+        try {
+            // Foreign keys are not enforced, so clear the junction rows ourselves
+            const transaction = this.db.transaction((tagId) => {
+                this.db.prepare('DELETE FROM song_tags WHERE tag_id = ?').run(tagId);
+                return this.db.prepare('DELETE FROM tags WHERE id = ?').run(tagId);
+            });
+            const result = transaction(id);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting tag:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Add a tag to a song
+     * @param {number} songId - Song ID
+     * @param {number} tagId - Tag ID
+     * @returns {boolean} True if added successfully
+     */
+    addTagToSong(songId, tagId) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO song_tags (song_id, tag_id, added_at)
+                VALUES (?, ?, datetime('now'))
+            `);
+            const result = stmt.run(songId, tagId);
+            return result.changes > 0;
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                // Song already has this tag - not an error
+                return true;
+            }
+            console.error('Error adding tag to song:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a tag from a song
+     * @param {number} songId - Song ID
+     * @param {number} tagId - Tag ID
+     * @returns {boolean} True if removed successfully
+     */
+    removeTagFromSong(songId, tagId) {
+        try {
+            const stmt = this.db.prepare('DELETE FROM song_tags WHERE song_id = ? AND tag_id = ?');
+            const result = stmt.run(songId, tagId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error removing tag from song:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace all tags on a song, creating any tags that don't exist yet
+     * @param {number} songId - Song ID
+     * @param {string[]} tagNames - Tag names to assign
+     * @returns {Array|null} The song's tags after the update or null on failure
+     */
+    setSongTags(songId, tagNames) {
+        try {
+            const insertTag = this.db.prepare(`
+                INSERT OR IGNORE INTO tags (name, created_at)
+                VALUES (?, datetime('now'))
+            `);
+            const linkTag = this.db.prepare(`
+                INSERT OR IGNORE INTO song_tags (song_id, tag_id, added_at)
+                VALUES (?, ?, datetime('now'))
+            `);
+
+            const transaction = this.db.transaction((names) => {
+                this.db.prepare('DELETE FROM song_tags WHERE song_id = ?').run(songId);
+                for (const name of names) {
+                    insertTag.run(name);
+                    const tag = this.getTagByName(name);
+                    if (tag) {
+                        linkTag.run(songId, tag.id);
+                    }
+                }
+            });
+            transaction(tagNames);
+
+            return this.getTagsForSong(songId);
+        } catch (error) {
+            console.error('Error setting song tags:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all tags assigned to a song
+     * @param {number} songId - Song ID
+     * @returns {Array} Array of tag objects
+     */
+    getTagsForSong(songId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT t.*, st.added_at as tag_added_at
+                FROM tags t
+                INNER JOIN song_tags st ON t.id = st.tag_id
+                WHERE st.song_id = ?
+                ORDER BY t.name ASC
+            `);
+            return stmt.all(songId);
+        } catch (error) {
+            console.error('Error getting tags for song:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get all songs with a tag
+     * @param {number} tagId - Tag ID
+     * @returns {Array} Array of song objects
+     */
+    getSongsWithTag(tagId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT s.*, st.added_at as tag_added_at
+                FROM songs s
+                INNER JOIN song_tags st ON s.id = st.song_id
+                WHERE st.tag_id = ? AND s.is_removed = 0
+                ORDER BY s.title ASC
+            `);
+            return stmt.all(tagId);
+        } catch (error) {
+            console.error('Error getting songs with tag:', error);
+            return [];
+        }
+    }
+
+    /**
+     * SONG NOTE METHODS
+     */
+
+    /**
+     * Create a practice note for a song
+     * @param {number} songId - Song ID
+     * @param {string} content - Note text
+     * @param {number|null} position - Playback position in seconds, or null for a general note
+     * @returns {Object|null} Created note object or null on failure
+     */
+    createSongNote(songId, content, position = null) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO song_notes (song_id, content, position, created_at, updated_at)
+                VALUES (?, ?, ?, datetime('now'), datetime('now'))
+            `);
+            const result = stmt.run(songId, content, position);
+
+            if (result.lastInsertRowid) {
+                return this.getSongNote(result.lastInsertRowid);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error creating song note:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a practice note by ID
+     * @param {number} id - Note ID
+     * @returns {Object|null} Note object or null if not found
+     */
+    getSongNote(id) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM song_notes WHERE id = ?');
+            return stmt.get(id) || null;
+        } catch (error) {
+            console.error('Error getting song note:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all practice notes for a song, timestamped notes first in playback order
+     * @param {number} songId - Song ID
+     * @returns {Array} Array of note objects
+     */
+    getNotesForSong(songId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM song_notes
+                WHERE song_id = ?
+                ORDER BY position IS NULL, position ASC, created_at ASC
+            `);
+            return stmt.all(songId);
+        } catch (error) {
+            console.error('Error getting notes for song:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Update a practice note
+     * @param {number} id - Note ID
+     * @param {Object} updates - Fields to update (content, position)
+     * @returns {Object|null} Updated note object or null on failure
+     */
+    updateSongNote(id, updates) {
+        try {
+            const fields = [];
+            const values = [];
+
+            if (updates.content !== undefined) {
+                fields.push('content = ?');
+                values.push(updates.content);
+            }
+            if (updates.position !== undefined) {
+                fields.push('position = ?');
+                values.push(updates.position);
+            }
+            if (fields.length === 0) {
+                return this.getSongNote(id);
+            }
+
+            fields.push("updated_at = datetime('now')");
+            values.push(id);
+
+            const stmt = this.db.prepare(`UPDATE song_notes SET ${fields.join(', ')} WHERE id = ?`);
+            const result = stmt.run(...values);
+
+            if (result.changes > 0) {
+                return this.getSongNote(id);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error updating song note:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a practice note
+     * @param {number} id - Note ID
+     * @returns {boolean} True if deleted successfully
+     */
+    deleteSongNote(id) {
+        try {
+            const stmt = this.db.prepare('DELETE FROM song_notes WHERE id = ?');
+            const result = stmt.run(id);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting song note:', error);
+            return false;
+        }
+    }
+
+    /**
+     * SONG LOOP METHODS
+     */
+
+    /**
+     * Save a named loop region for a song, appended after existing loops
+     * @param {number} songId - Song ID
+     * @param {string} name - Loop name (e.g. "solo")
+     * @param {number} startTime - Loop start in seconds
+     * @param {number} endTime - Loop end in seconds
+     * @returns {Object|null} Created loop object or null on failure
+     */
+    createSongLoop(songId, name, startTime, endTime) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO song_loops (song_id, name, start_time, end_time, sort_order, created_at, updated_at)
+                VALUES (?, ?, ?, ?,
+                    (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM song_loops WHERE song_id = ?),
+                    datetime('now'), datetime('now'))
+            `);
+            const result = stmt.run(songId, name, startTime, endTime, songId);
+
+            if (result.lastInsertRowid) {
+                return this.getSongLoop(result.lastInsertRowid);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error creating song loop:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a loop region by ID
+     * @param {number} id - Loop ID
+     * @returns {Object|null} Loop object or null if not found
+     */
+    getSongLoop(id) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM song_loops WHERE id = ?');
+            return stmt.get(id) || null;
+        } catch (error) {
+            console.error('Error getting song loop:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all loop regions for a song in display order
+     * @param {number} songId - Song ID
+     * @returns {Array} Array of loop objects
+     */
+    getLoopsForSong(songId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM song_loops
+                WHERE song_id = ?
+                ORDER BY sort_order ASC, id ASC
+            `);
+            return stmt.all(songId);
+        } catch (error) {
+            console.error('Error getting loops for song:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Update a loop region
+     * @param {number} id - Loop ID
+     * @param {Object} updates - Fields to update (name, start_time, end_time)
+     * @returns {Object|null} Updated loop object or null on failure
+     */
+    updateSongLoop(id, updates) {
+        try {
+            const allowedFields = ['name', 'start_time', 'end_time'];
+            const fields = [];
+            const values = [];
+
+            for (const field of allowedFields) {
+                if (updates[field] !== undefined) {
+                    fields.push(`${field} = ?`);
+                    values.push(updates[field]);
+                }
+            }
+            if (fields.length === 0) {
+                return this.getSongLoop(id);
+            }
+
+            fields.push("updated_at = datetime('now')");
+            values.push(id);
+
+            const stmt = this.db.prepare(`UPDATE song_loops SET ${fields.join(', ')} WHERE id = ?`);
+            const result = stmt.run(...values);
+
+            if (result.changes > 0) {
+                return this.getSongLoop(id);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error updating song loop:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a loop region
+     * @param {number} id - Loop ID
+     * @returns {boolean} True if deleted successfully
+     */
+    deleteSongLoop(id) {
+        try {
+            const stmt = this.db.prepare('DELETE FROM song_loops WHERE id = ?');
+            const result = stmt.run(id);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting song loop:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reorder a song's loop regions
+     * @param {number} songId - Song ID
+     * @param {number[]} loopIds - Loop IDs in the desired order
+     * @returns {Array|null} The song's loops in their new order or null on failure
+     */
+    reorderSongLoops(songId, loopIds) {
+        try {
+            const stmt = this.db.prepare('UPDATE song_loops SET sort_order = ? WHERE id = ? AND song_id = ?');
+            const transaction = this.db.transaction((ids) => {
+                ids.forEach((loopId, index) => {
+                    stmt.run(index, loopId, songId);
+                });
+            });
+            transaction(loopIds);
+
+            return this.getLoopsForSong(songId);
+        } catch (error) {
+            console.error('Error reordering song loops:', error);
+            return null;
+        }
+    }
+
+    /**
+     * PRACTICE SESSION METHODS
+     */
+
+    /**
+     * Record a practice session
+     * @param {Object} session - Session data (song_id, started_at, ended_at, duration_seconds, speed, pitch, loop_start, loop_end, loop_name)
+     * @returns {Object|null} Created session object or null on failure
+     */
+    logPracticeSession(session) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO practice_sessions (
+                    song_id, started_at, ended_at, duration_seconds,
+                    speed, pitch, loop_start, loop_end, loop_name
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const result = stmt.run(
+                session.song_id, session.started_at, session.ended_at, session.duration_seconds,
+                session.speed, session.pitch, session.loop_start, session.loop_end, session.loop_name
+            );
+
+            if (result.lastInsertRowid) {
+                return this.db.prepare('SELECT * FROM practice_sessions WHERE id = ?').get(result.lastInsertRowid);
+            }
+            return null;
+        } catch (error) {
+            console.error('Error logging practice session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get practice history, most recent first
+     * @param {Object} options - Optional filters (songId, limit)
+     * @returns {Array} Array of session objects with song title and artist
+     */
+    getPracticeSessions(options = {}) {
+        try {
+            const conditions = [];
+            const params = [];
+
+            if (options.songId) {
+                conditions.push('ps.song_id = ?');
+                params.push(options.songId);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            params.push(options.limit || 100);
+
+            const stmt = this.db.prepare(`
+                SELECT ps.*, s.title, s.artist
+                FROM practice_sessions ps
+                LEFT JOIN songs s ON s.id = ps.song_id
+                ${where}
+                ORDER BY ps.started_at DESC
+                LIMIT ?
+            `);
+            return stmt.all(...params);
+        } catch (error) {
+            console.error('Error getting practice sessions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get practice totals for every song in the library, least recently practiced first
+     * (songs that have never been practiced come first)
+     * @returns {Array} Array of per-song totals
+     */
+    getPracticeTotals() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT s.id as song_id, s.title, s.artist,
+                       COUNT(ps.id) as session_count,
+                       COALESCE(SUM(ps.duration_seconds), 0) as total_seconds,
+                       MAX(ps.ended_at) as last_practiced
+                FROM songs s
+                LEFT JOIN practice_sessions ps ON ps.song_id = s.id
+                WHERE s.is_removed = 0
+                GROUP BY s.id
+                ORDER BY last_practiced ASC, s.title ASC
+            `);
+            return stmt.all();
+        } catch (error) {
+            console.error('Error getting practice totals:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get practice totals for a single song
+     * @param {number} songId - Song ID
+     * @returns {Object} Session count, total seconds and last practiced timestamp
+     */
+    getPracticeSummaryForSong(songId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT COUNT(id) as session_count,
+                       COALESCE(SUM(duration_seconds), 0) as total_seconds,
+                       MAX(ended_at) as last_practiced
+                FROM practice_sessions
+                WHERE song_id = ?
+            `);
+            return { song_id: songId, ...stmt.get(songId) };
+        } catch (error) {
+            console.error('Error getting practice summary for song:', error);
+            return { song_id: songId, session_count: 0, total_seconds: 0, last_practiced: null };
+        }
+    }
+
+    /**
+     * PLAYER SETTINGS METHODS
+     */
+
+    /**
+     * Get the saved player settings for a song
+     * @param {number} songId - Song ID
+     * @returns {Object|null} Settings row, or null if nothing has been saved for the song
+     */
+    getSongPlayerSettings(songId) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM song_player_settings WHERE song_id = ?');
+            return stmt.get(songId) || null;
+        } catch (error) {
+            console.error('Error getting player settings:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save player settings for a song, creating the row on first use
+     * @param {number} songId - Song ID
+     * @param {Object} updates - Any of speed, pitch, pitch_cents, reference_pitch, volume, default_speed, default_pitch, default_volume
+     * @returns {Object|null} Updated settings or null if failed
+     */
+    updateSongPlayerSettings(songId, updates) {
+        try {
+            const allowedFields = [
+                'speed', 'pitch', 'pitch_cents', 'reference_pitch', 'volume',
+                'default_speed', 'default_pitch', 'default_volume'
+            ];
+            const fields = [];
+            const values = [];
+
+            for (const field of allowedFields) {
+                if (updates[field] !== undefined) {
+                    fields.push(`${field} = ?`);
+                    values.push(updates[field]);
+                }
+            }
+            if (fields.length === 0) {
+                return this.getSongPlayerSettings(songId);
+            }
+
+            fields.push("updated_at = datetime('now')");
+            values.push(songId);
+
+            const upsert = this.db.transaction(() => {
+                this.db.prepare('INSERT OR IGNORE INTO song_player_settings (song_id) VALUES (?)').run(songId);
+                this.db.prepare(`UPDATE song_player_settings SET ${fields.join(', ')} WHERE song_id = ?`).run(...values);
+            });
+            upsert();
+
+            return this.getSongPlayerSettings(songId);
+        } catch (error) {
+            console.error('Error updating player settings:', error);
+            return null;
+        }
+    }
+
+    /**
+     * WAVEFORM CACHE METHODS
+     */
+
+    /**
+     * Get cached waveform peaks for a song
+     * @param {number} songId - Song ID
+     * @returns {Object|null} Cache row with peaks parsed into an array, or null if not cached
+     */
+    getWaveformCache(songId) {
+        try {
+            const stmt = this.db.prepare('SELECT * FROM waveform_cache WHERE song_id = ?');
+            const row = stmt.get(songId);
+            if (!row) return null;
+
+            return { ...row, peaks: JSON.parse(row.peaks) };
+        } catch (error) {
+            console.error('Error getting waveform cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store waveform peaks for a song, replacing any previous entry
+     * @param {number} songId - Song ID
+     * @param {Object} waveform - { file_size, file_mtime, duration, peaks }
+     * @returns {boolean} True if stored successfully
+     */
+    saveWaveformCache(songId, waveform) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT OR REPLACE INTO waveform_cache (song_id, file_size, file_mtime, duration, peaks, created_at)
+                VALUES (?, ?, ?, ?, ?, datetime('now'))
+            `);
+            stmt.run(
+                songId,
+                waveform.file_size,
+                waveform.file_mtime,
+                waveform.duration,
+                JSON.stringify(waveform.peaks)
+            );
+            return true;
+        } catch (error) {
+            console.error('Error saving waveform cache:', error);
+            return false;
+        }
+    }
+
+    /**
+     * BACKUP AND RESTORE METHODS
+     */
+
+    /**
+     * Get the schema version of the open database
+     * @returns {number} PRAGMA user_version
+     */
+    getSchemaVersion() {
+        return this.db.pragma('user_version', { simple: true });
+    }
+
+    /**
+     * Dump every backed-up table into a versioned backup
+     * @returns {Object|null} { format, backup_version, schema_version, created_at, tables }, or null on failure
+     */
+    exportBackup() {
+        try {
+            const tables = {};
+            // One read transaction, so the tables are consistent with each other
+            const dump = this.db.transaction(() => {
+                for (const table of BACKUP_TABLES) {
+                    tables[table] = this.db.prepare(`SELECT * FROM ${table}`).all();
+                }
+            });
+            dump();
+
+            tables.app_settings = tables.app_settings.filter(row => !RUNTIME_SETTING_KEYS.includes(row.key));
+
+            return {
+                format: 'jamber3-backup',
+                backup_version: BACKUP_FORMAT_VERSION,
+                schema_version: this.getSchemaVersion(),
+                created_at: new Date().toISOString(),
+                tables
+            };
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Bring a backup up to the current format, one version step at a time
+     * @param {Object} backup - Parsed backup file
+     * @returns {Object|null} Backup in the current format, or null if it isn't one this version understands
+     */
+    migrateBackup(backup) {
+        if (!backup || typeof backup !== 'object') {
+            return null;
+        }
+
+        let migrated = backup;
+
+        // Version 1 had no backup_version: { version: '1.0.0', timestamp, songs, setlists?, config }
+        if (!migrated.backup_version) {
+            if (!Array.isArray(migrated.songs)) {
+                return null;
+            }
+
+            const setlists = Array.isArray(migrated.setlists) ? migrated.setlists : [];
+            let nextSetlistId = setlists.reduce((max, setlist) => Number.isInteger(setlist.id) ? Math.max(max, setlist.id) : max, 0) + 1;
+            const setlistRows = [];
+            const memberships = [];
+            for (const { song_ids, song_count, ...setlist } of setlists) {
+                const id = Number.isInteger(setlist.id) ? setlist.id : nextSetlistId++;
+                setlistRows.push({ ...setlist, id });
+                for (const songId of song_ids || []) {
+                    memberships.push({ song_id: songId, setlist_id: id });
+                }
+            }
+
+            migrated = {
+                format: 'jamber3-backup',
+                backup_version: 2,
+                schema_version: 0, // Not recorded in version 1
+                created_at: migrated.timestamp || null,
+                config: migrated.config,
+                tables: {
+                    songs: migrated.songs,
+                    setlists: setlistRows,
+                    song_setlists: memberships
+                }
+            };
+        }
+
+        if (migrated.backup_version > BACKUP_FORMAT_VERSION || !migrated.tables || typeof migrated.tables !== 'object') {
+            return null;
+        }
+        for (const [table, rows] of Object.entries(migrated.tables)) {
+            if (!BACKUP_TABLES.includes(table) || !Array.isArray(rows)) {
+                return null;
+            }
+        }
+        if (!migrated.tables.songs) {
+            return null;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Preview what restoring a backup would change. The restore runs for real inside a transaction
+     * that is then rolled back, so the preview always matches what applyRestore would do
+     * @param {Object} backup - Backup in the current format (see migrateBackup)
+     * @param {Object} options - { mode: 'merge' | 'replace', overwrite_conflicts }
+     * @returns {Object|null} Songs to add, update and remove, conflicts, setlist changes and other rows written
+     */
+    previewRestore(backup, options = {}) {
+        try {
+            return this.runRestore(backup, options, true);
+        } catch (error) {
+            console.error('Error previewing restore:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore a backup in a single transaction; nothing is changed if any part fails
+     * @param {Object} backup - Backup in the current format (see migrateBackup)
+     * @param {Object} options - { mode: 'merge' | 'replace', overwrite_conflicts }
+     * @returns {Object|null} The applied changes, in the same shape as previewRestore, or null on failure
+     */
+    applyRestore(backup, options = {}) {
+        try {
+            return this.runRestore(backup, options, false);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Plan and apply a restore, rolling it back afterwards for a dry run
+     * @param {Object} backup - Backup in the current format
+     * @param {Object} options - { mode, overwrite_conflicts }
+     * @param {boolean} dryRun - Roll back instead of committing
+     * @returns {Object} The restore summary
+     */
+    runRestore(backup, options, dryRun) {
+        const plan = this.buildRestorePlan(backup, options);
+        const rollback = new Error('Dry run');
+
+        const restore = this.db.transaction(() => {
+            plan.preview.rows = plan.mode === 'replace'
+                ? this.applyReplaceRestore(backup, plan)
+                : this.applyMergeRestore(backup, plan);
+
+            if (dryRun) {
+                throw rollback;
+            }
+        });
+
+        try {
+            restore();
+        } catch (error) {
+            if (error !== rollback) throw error;
+        }
+
+        return plan.preview;
+    }
+
+    /**
+     * Match backed-up songs and setlists against the library and work out the changes
+     * @param {Object} backup - Backup in the current format
+     * @param {Object} options - { mode: 'merge' | 'replace', overwrite_conflicts }
+     * @returns {Object} { mode, matches, added, duplicates, restoreIds, preview }
+     */
+    buildRestorePlan(backup, options = {}) {
+        const mode = options.mode === 'replace' ? 'replace' : 'merge';
+        const overwriteConflicts = options.overwrite_conflicts === true;
+        const summarize = (song) => ({ id: song.id, title: song.title, artist: song.artist, file_path: song.file_path || null });
+        const backupSongs = backup.tables.songs;
+
+        // Removed songs are included so a restore doesn't add a second copy of them
+        const localSongs = this.db.prepare('SELECT * FROM songs').all();
+        const byPath = new Map();
+        const manualByName = new Map();
+        for (const song of localSongs) {
+            if (song.file_path) {
+                byPath.set(song.file_path, song);
+            } else {
+                manualByName.set(this.getRestoreNameKey(song), song);
+            }
+        }
+
+        const plan = { mode, matches: [], added: [], duplicates: new Map(), restoreIds: new Map(), preview: null };
+        const preview = {
+            mode,
+            songs: { add: [], update: [], remove: [], unchanged: 0, conflicts: [] },
+            setlists: { add: [], remove: [], memberships: 0 },
+            rows: {}
+        };
+        const matchedLocalIds = new Set();
+        const firstBackupByPath = new Map();
+
+        for (const backupSong of backupSongs) {
+            // A backup taken before file paths were unique can hold the same file twice; its later
+            // copies are folded into the first
+            if (backupSong.file_path) {
+                const first = firstBackupByPath.get(backupSong.file_path);
+                if (first) {
+                    plan.duplicates.set(backupSong, first);
+                    continue;
+                }
+                firstBackupByPath.set(backupSong.file_path, backupSong);
+            }
+
+            const local = backupSong.file_path
+                ? byPath.get(backupSong.file_path)
+                : manualByName.get(this.getRestoreNameKey(backupSong));
+
+            if (!local || matchedLocalIds.has(local.id)) {
+                plan.added.push(backupSong);
+                preview.songs.add.push(summarize(backupSong));
+                continue;
+            }
+            matchedLocalIds.add(local.id);
+
+            let changes = {};
+            let conflicts = [];
+            if (mode === 'merge') {
+                ({ changes, conflicts } = this.mergeRestoredSong(local, backupSong, overwriteConflicts));
+            } else {
+                // The whole row is replaced; this is only what the preview reports as changed
+                for (const field of RESTORABLE_SONG_FIELDS) {
+                    const backupValue = this.normalizeRestoreValue(backupSong[field]);
+                    if (this.normalizeRestoreValue(local[field]) !== backupValue) {
+                        changes[field] = backupValue;
+                    }
+                }
+            }
+            plan.matches.push({ local, backupSong, changes });
+
+            const fields = Object.keys(changes);
+            if (fields.length > 0) {
+                preview.songs.update.push({ ...summarize(local), fields });
+            } else {
+                preview.songs.unchanged++;
+            }
+
+            for (const conflict of conflicts) {
+                preview.songs.conflicts.push({
+                    ...summarize(local),
+                    ...conflict,
+                    resolution: overwriteConflicts ? 'backup' : 'library'
+                });
+            }
+        }
+
+        const localSetlists = this.db.prepare('SELECT * FROM setlists').all();
+        const backupSetlists = backup.tables.setlists || [];
+        const backupMemberships = backup.tables.song_setlists || [];
+        const backupSongIds = new Set(backupSongs.map(song => song.id));
+        const backupSetlistIds = new Set(backupSetlists.map(setlist => setlist.id));
+
+        if (mode === 'replace') {
+            preview.songs.remove = localSongs
+                .filter(song => !matchedLocalIds.has(song.id))
+                .map(summarize);
+
+            // Keep backed-up IDs so child rows and setlist memberships line up; fill gaps for songs without one
+            let nextId = backupSongs.reduce((max, song) => Number.isInteger(song.id) ? Math.max(max, song.id) : max, 0) + 1;
+            const usedIds = new Set();
+            for (const backupSong of backupSongs) {
+                if (plan.duplicates.has(backupSong)) continue;
+
+                const keepId = Number.isInteger(backupSong.id) && backupSong.id > 0 && !usedIds.has(backupSong.id);
+                const id = keepId ? backupSong.id : nextId++;
+                usedIds.add(id);
+                plan.restoreIds.set(backupSong, id);
+            }
+
+            const backupNames = new Set(backupSetlists.map(setlist => setlist.name));
+            preview.setlists.add = backupSetlists
+                .filter(setlist => !localSetlists.some(local => local.name === setlist.name))
+                .map(setlist => setlist.name);
+            preview.setlists.remove = localSetlists
+                .filter(setlist => !backupNames.has(setlist.name))
+                .map(setlist => setlist.name);
+            preview.setlists.memberships = backupMemberships
+                .filter(membership => backupSongIds.has(membership.song_id) && backupSetlistIds.has(membership.setlist_id))
+                .length;
+        } else {
+            const localIdByBackupId = new Map(plan.matches.map(match => [match.backupSong.id, match.local.id]));
+            const hasMembership = this.db.prepare('SELECT 1 FROM song_setlists WHERE song_id = ? AND setlist_id = ?');
+
+            for (const setlist of backupSetlists) {
+                const local = localSetlists.find(existing => existing.name === setlist.name);
+                if (!local) {
+                    preview.setlists.add.push(setlist.name);
+                }
+
+                for (const membership of backupMemberships) {
+                    if (membership.setlist_id !== setlist.id || !backupSongIds.has(membership.song_id)) continue;
+
+                    const localSongId = localIdByBackupId.get(membership.song_id);
+                    if (!local || !localSongId || !hasMembership.get(localSongId, local.id)) {
+                        preview.setlists.memberships++;
+                    }
+                }
+            }
+        }
+
+        plan.preview = preview;
+        return plan;
+    }
+
+    /**
+     * Field-level merge of a backed-up song into its library copy. Empty library fields are filled in;
+     * for title, artist, album and cover, a user-edited value beats a scanned one; anything else that
+     * differs is a conflict
+     * @param {Object} local - Library song row
+     * @param {Object} backupSong - Song from the backup
+     * @param {boolean} overwriteConflicts - Take the backup's value for conflicting fields
+     * @returns {Object} { changes, conflicts }
+     */
+    mergeRestoredSong(local, backupSong, overwriteConflicts) {
+        const changes = {};
+        const conflicts = [];
+        const localEdited = Boolean(local.user_edited);
+        const backupEdited = Boolean(backupSong.user_edited);
+        let tookEditedValue = false;
+
+        for (const field of RESTORABLE_SONG_FIELDS) {
+            const localValue = this.normalizeRestoreValue(local[field]);
+            const backupValue = this.normalizeRestoreValue(backupSong[field]);
+            if (backupValue === null || backupValue === localValue) continue;
+
+            let take = localValue === null;
+            if (!take && EDITABLE_SONG_FIELDS.includes(field)) {
+                if (backupEdited && !localEdited) {
+                    take = true;
+                } else if (!backupEdited) {
+                    // The backup only has what a scan found, and the library's copy is at least as good
+                    continue;
+                }
+            }
+
+            if (!take) {
+                conflicts.push({ field, library: localValue, backup: backupValue });
+                if (!overwriteConflicts) continue;
+            }
+
+            changes[field] = backupValue;
+            if (VERIFIED_FLAG_FIELDS[field]) {
+                changes[VERIFIED_FLAG_FIELDS[field]] = backupSong[VERIFIED_FLAG_FIELDS[field]] ? 1 : 0;
+            }
+            if (EDITABLE_SONG_FIELDS.includes(field) && backupEdited) {
+                tookEditedValue = true;
+            }
+        }
+
+        if (tookEditedValue && !localEdited) {
+            changes.user_edited = 1;
+        }
+
+        return { changes, conflicts };
+    }
+
+    /**
+     * Apply a merge restore: update matched songs, add the rest, and add setlists, tags, notes, loops,
+     * practice history and player settings the library doesn't have yet. App settings are left alone
+     * @param {Object} backup - Backup being restored
+     * @param {Object} plan - Plan from buildRestorePlan
+     * @returns {Object} Rows added per table, besides songs and setlists
+     */
+    applyMergeRestore(backup, plan) {
+        const { tables } = backup;
+        const rows = {};
+        const localIdByBackupId = new Map();
+
+        for (const { local, backupSong, changes } of plan.matches) {
+            const fields = Object.keys(changes);
+            if (fields.length > 0) {
+                this.db.prepare(`UPDATE songs SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`)
+                    .run(...fields.map(field => changes[field]), local.id);
+            }
+            localIdByBackupId.set(backupSong.id, local.id);
+        }
+
+        const maxId = this.db.prepare('SELECT MAX(id) AS max_id FROM songs').get().max_id || 0;
+        let nextId = Math.max(this.getNextId(), maxId + 1);
+        for (const backupSong of plan.added) {
+            this.insertRestoredRow('songs', { ...backupSong, id: nextId });
+            localIdByBackupId.set(backupSong.id, nextId);
+            nextId++;
+        }
+        this.setNextId(nextId);
+
+        for (const [backupSong, first] of plan.duplicates) {
+            if (!localIdByBackupId.has(backupSong.id)) {
+                localIdByBackupId.set(backupSong.id, localIdByBackupId.get(first.id));
+            }
+        }
+
+        // Setlists and tags are matched by name
+        const setlistIdMap = new Map();
+        const findSetlist = this.db.prepare('SELECT id FROM setlists WHERE name = ?');
+        for (const { id, ...setlist } of tables.setlists || []) {
+            const existing = findSetlist.get(setlist.name);
+            setlistIdMap.set(id, existing ? existing.id : this.insertRestoredRow('setlists', setlist).lastInsertRowid);
+        }
+        for (const membership of tables.song_setlists || []) {
+            const songId = localIdByBackupId.get(membership.song_id);
+            const setlistId = setlistIdMap.get(membership.setlist_id);
+            if (songId && setlistId) {
+                this.insertRestoredRow('song_setlists', { ...membership, id: undefined, song_id: songId, setlist_id: setlistId }, 'OR IGNORE');
+            }
+        }
+
+        const tagIdMap = new Map();
+        if (tables.tags) {
+            rows.tags = 0;
+            const findTag = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+            for (const { id, ...tag } of tables.tags) {
+                const existing = findTag.get(tag.name);
+                if (existing) {
+                    tagIdMap.set(id, existing.id);
+                } else {
+                    tagIdMap.set(id, this.insertRestoredRow('tags', tag).lastInsertRowid);
+                    rows.tags++;
+                }
+            }
+        }
+
+        for (const table of SONG_CHILD_TABLES) {
+            if (!tables[table]) continue;
+
+            rows[table] = 0;
+            const keys = MERGE_ROW_KEYS[table];
+            const exists = keys && this.db.prepare(
+                `SELECT 1 FROM ${table} WHERE song_id = ? AND ${keys.map(key => `${key} IS ?`).join(' AND ')}`
+            );
+
+            for (const { id, ...row } of tables[table]) {
+                const songId = localIdByBackupId.get(row.song_id);
+                if (!songId) continue;
+
+                const restored = { ...row, song_id: songId };
+                if (table === 'song_tags') {
+                    restored.tag_id = tagIdMap.get(row.tag_id);
+                    if (!restored.tag_id) continue;
+                }
+                if (exists && exists.get(songId, ...keys.map(key => restored[key]))) continue;
+
+                // Tags and player settings are unique per song, so existing ones are kept
+                rows[table] += this.insertRestoredRow(table, restored, 'OR IGNORE').changes;
+            }
+        }
+
+        if (tables.scan_directories) {
+            rows.scan_directories = 0;
+            for (const { id, ...directory } of tables.scan_directories) {
+                rows.scan_directories += this.insertRestoredRow('scan_directories', directory, 'OR IGNORE').changes;
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Apply a replace restore: the library becomes exactly what the backup holds. For tables an older
+     * backup doesn't include, rows of songs that survive follow them to their restored ID and the rest go
+     * @param {Object} backup - Backup being restored
+     * @param {Object} plan - Plan from buildRestorePlan
+     * @returns {Object} Rows written per table, besides songs and setlists
+     */
+    applyReplaceRestore(backup, plan) {
+        const { tables } = backup;
+        const rows = {};
+
+        // Child rows point at songs that don't exist until the end of the transaction
+        this.db.pragma('defer_foreign_keys = ON');
+
+        // Park the rows of surviving songs under their new ID, negated so they neither collide with rows
+        // that haven't moved yet nor get caught by the cascade when the songs are deleted
+        for (const table of SONG_CHILD_TABLES) {
+            if (tables[table]) {
+                this.db.prepare(`DELETE FROM ${table}`).run();
+                continue;
+            }
+
+            const move = this.db.prepare(`UPDATE ${table} SET song_id = ? WHERE song_id = ?`);
+            for (const { local, backupSong } of plan.matches) {
+                move.run(-plan.restoreIds.get(backupSong), local.id);
+            }
+            this.db.prepare(`DELETE FROM ${table} WHERE song_id > 0`).run();
+        }
+
+        this.db.prepare('DELETE FROM song_setlists').run();
+        this.db.prepare('DELETE FROM setlists').run();
+        this.db.prepare('DELETE FROM songs').run();
+        if (tables.tags) {
+            this.db.prepare('DELETE FROM tags').run();
+        }
+
+        const restoredIdByBackupId = new Map();
+        for (const backupSong of tables.songs) {
+            const first = plan.duplicates.get(backupSong);
+            const id = plan.restoreIds.get(first || backupSong);
+            if (!first) {
+                this.insertRestoredRow('songs', { ...backupSong, id });
+            }
+            if (!restoredIdByBackupId.has(backupSong.id)) {
+                restoredIdByBackupId.set(backupSong.id, id);
+            }
+        }
+
+        for (const table of SONG_CHILD_TABLES) {
+            if (!tables[table]) {
+                this.db.prepare(`UPDATE ${table} SET song_id = -song_id WHERE song_id < 0`).run();
+            }
+        }
+
+        const maxId = this.db.prepare('SELECT MAX(id) AS max_id FROM songs').get().max_id || 0;
+        this.setNextId(maxId + 1);
+
+        const setlistIds = new Set();
+        for (const setlist of tables.setlists || []) {
+            setlistIds.add(this.insertRestoredRow('setlists', setlist).lastInsertRowid);
+        }
+        for (const membership of tables.song_setlists || []) {
+            const songId = restoredIdByBackupId.get(membership.song_id);
+            if (songId && setlistIds.has(membership.setlist_id)) {
+                this.insertRestoredRow('song_setlists', { ...membership, song_id: songId }, 'OR IGNORE');
+            }
+        }
+
+        if (tables.tags) {
+            rows.tags = 0;
+            for (const tag of tables.tags) {
+                rows.tags += this.insertRestoredRow('tags', tag).changes;
+            }
+        }
+
+        for (const table of SONG_CHILD_TABLES) {
+            if (!tables[table]) continue;
+
+            rows[table] = 0;
+            for (const row of tables[table]) {
+                const songId = restoredIdByBackupId.get(row.song_id);
+                if (songId) {
+                    rows[table] += this.insertRestoredRow(table, { ...row, song_id: songId }, 'OR IGNORE').changes;
+                }
+            }
+        }
+
+        if (tables.scan_directories) {
+            this.db.prepare('DELETE FROM scan_directories').run();
+            rows.scan_directories = 0;
+            for (const directory of tables.scan_directories) {
+                rows.scan_directories += this.insertRestoredRow('scan_directories', directory, 'OR IGNORE').changes;
+            }
+        }
+
+        if (tables.app_settings) {
+            const runtimeKeys = RUNTIME_SETTING_KEYS.map(() => '?').join(', ');
+            this.db.prepare(`DELETE FROM app_settings WHERE key NOT IN (${runtimeKeys})`).run(...RUNTIME_SETTING_KEYS);
+            rows.app_settings = 0;
+            for (const setting of tables.app_settings) {
+                if (RUNTIME_SETTING_KEYS.includes(setting.key)) continue;
+                rows.app_settings += this.insertRestoredRow('app_settings', setting, 'OR REPLACE').changes;
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Insert a backed-up row, keeping only columns the table has; a missing or undefined id lets SQLite assign one
+     * @param {string} table - Table name
+     * @param {Object} row - Row from the backup
+     * @param {string} conflictClause - Optional 'OR IGNORE' / 'OR REPLACE'
+     * @returns {Object} better-sqlite3 run info ({ changes, lastInsertRowid })
+     */
+    insertRestoredRow(table, row, conflictClause = '') {
+        if (!this.tableColumns[table]) {
+            this.tableColumns[table] = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        }
+
+        const fields = this.tableColumns[table].filter(column => row[column] !== undefined);
+        const values = fields.map(field => {
+            const value = row[field];
+            if (typeof value === 'boolean') {
+                return value ? 1 : 0;
+            }
+            if (typeof value !== 'string' && typeof value !== 'number' && value !== null) {
+                return String(value);
+            }
+            return value;
+        });
+
+        return this.db.prepare(
+            `INSERT ${conflictClause} INTO ${table} (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`
+        ).run(...values);
+    }
+
+    /**
+     * Normalize a song field for comparison: booleans become 0/1, blanks become null
+     * @param {*} value - Field value
+     * @returns {*} Normalized value
+     */
+    normalizeRestoreValue(value) {
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (value === undefined || value === '') {
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Key used to match songs that have no file, by title and artist
+     * @param {Object} song - Song
+     * @returns {string} Case-insensitive key
+     */
+    getRestoreNameKey(song) {
+        return `${(song.title || '').toLowerCase()}\n${(song.artist || '').toLowerCase()}`;
+    }
+
+    /**
+     * Folder that cover art thumbnails are cached in
+     * @returns {string} Directory path
+     */
+    getArtworkDirectory() {
+        return path.join(getDataPath(), 'artwork');
+    }
+
+    /**
+     * Folder for audio converted to WAV because the player can't decode the original
+     * @returns {string} Directory path
+     */
+    getTranscodeDirectory() {
+        return path.join(getDataPath(), 'transcoded');
+    }
+
+    /**
+     * Folder that database snapshots are written to
+     * @returns {string} Directory path
+     */
+    getBackupDirectory() {
+        return path.join(getDataPath(), 'backups');
+    }
+
+    /**
+     * Copy the live database to a timestamped file in the backups folder
+     * @param {string} label - Short reason, included in the file name
+     * @returns {Promise<string|null>} Path of the snapshot, or null on failure
+     */
+    async snapshotDatabase(label) {
+        try {
+            const backupDir = this.getBackupDirectory();
+            fs.mkdirSync(backupDir, { recursive: true });
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const snapshotPath = path.join(backupDir, `jamber3-${label}-${stamp}.db`);
+            await this.db.backup(snapshotPath);
+            return snapshotPath;
+        } catch (error) {
+            console.error('Error snapshotting database:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the live database with a snapshot file. The snapshot is checked before anything is
+     * touched, and reopening runs the schema migrations so snapshots from older versions still load
+     * @param {string} snapshotPath - Snapshot written by snapshotDatabase
+     * @returns {boolean} True if the snapshot is now the live database
+     */
+    restoreDatabaseFile(snapshotPath) {
+        try {
+            const snapshot = new Database(snapshotPath, { readonly: true, fileMustExist: true });
+            let check;
+            try {
+                check = snapshot.pragma('quick_check', { simple: true });
+            } finally {
+                snapshot.close();
+            }
+            if (check !== 'ok') {
+                console.error(`Snapshot ${snapshotPath} failed its integrity check: ${check}`);
+                return false;
+            }
+
+            const dbPath = this.getDatabasePath();
+            this.db.close();
+            for (const suffix of ['-wal', '-shm']) {
+                fs.rmSync(dbPath + suffix, { force: true });
+            }
+            fs.copyFileSync(snapshotPath, dbPath);
+
+            this.tableColumns = {};
+            this.setupDatabase();
+            return true;
+        } catch (error) {
+            console.error('Error restoring database file:', error);
+
+            // Keep the app usable with whatever is on disk if the swap failed part way
+            if (!this.db || !this.db.open) {
+                try {
+                    this.setupDatabase();
+                } catch (reopenError) {
+                    console.error('Error reopening database:', reopenError);
+                }
+            }
+            return false;
+        }
+    }
+
     close() {
         if (this.db) {
             this.db.close();
@@ -7,6 +7,7 @@ class Jamber3App {
         this.currentTheme = 'light';
         this.shortcuts = new Map();
         this.isScanning = false;
+        this.isAnalyzingLibrary = false;
         
         this.initializeApp();
     }
@@ -72,8 +73,9 @@ class Jamber3App {
                 const songs = await response.json();
                 window.songExplorer.loadSongs(songs);
                 
-                // Also refresh setlists dropdown
+                // Also refresh setlists and tags dropdowns
                 await this.loadSetlists();
+                await this.loadTags();
             }
         } catch (error) {
             console.error('Error loading songs:', error);
@@ -122,8 +124,9 @@ class Jamber3App {
                 
                 window.songExplorer.loadSongs(songs);
 
-                // Also refresh setlists dropdown
+                // Also refresh setlists and tags dropdowns
                 await this.loadSetlists();
+                await this.loadTags();
 
                 window.progressIndicator.update('loading-songs', {
                     message: `Loaded ${songs.length} songs`,
@@ -231,6 +234,56 @@ class Jamber3App {
         }
     }
 
+    /**
+     * Load tags and populate dropdown
+     */
+    async loadTags() {
+        try {
+            // Skip tags loading in packaged mode
+            if (window.location.protocol === 'file:') {
+                this.populateTagDropdown([]);
+                return;
+            }
+            
+            const response = await fetch('/api/tags');
+            if (response.ok) {
+                const tags = await response.json();
+                this.populateTagDropdown(tags);
+            }
+        } catch (error) {
+            console.error('Error loading tags:', error);
+            this.populateTagDropdown([]);
+        }
+    }
+
+    /**
+     * Populate the tag filter dropdown
+     * @param {Array} tags - Array of tag objects
+     */
+    populateTagDropdown(tags) {
+        const tagFilter = document.getElementById('tagFilter');
+        if (!tagFilter) return;
+
+        // Store current selection to preserve it
+        const currentSelection = tagFilter.value;
+
+        tagFilter.innerHTML = '<option value="">- tag filter is off -</option>';
+
+        tags.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag.id;
+            option.textContent = `${tag.name} (${tag.song_count || 0})`;
+            tagFilter.appendChild(option);
+        });
+
+        // Restore previous selection if it still exists, otherwise turn the filter off
+        if (currentSelection && tagFilter.querySelector(`option[value="${currentSelection}"]`)) {
+            tagFilter.value = currentSelection;
+        } else if (currentSelection && window.songExplorer) {
+            window.songExplorer.handleTagFilter('');
+        }
+    }
+
     /**
      * Initialize event listeners
      */
@@ -253,6 +306,22 @@ class Jamber3App {
             }
         }
 
+        // Analyze library button
+        const analyzeLibraryBtn = document.getElementById('analyzeLibraryBtn');
+        if (analyzeLibraryBtn) {
+            if (isPackaged) {
+                analyzeLibraryBtn.style.opacity = '0.5';
+                analyzeLibraryBtn.style.cursor = 'not-allowed';
+                analyzeLibraryBtn.title = 'Library analysis not available in packaged version';
+                analyzeLibraryBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.showPackagedModeMessage('Library analysis is not available in the packaged version. Please use the development version for full functionality.');
+                });
+            } else {
+                analyzeLibraryBtn.addEventListener('click', () => this.startLibraryAnalysis());
+            }
+        }
+
         // Help button
         const helpBtn = document.getElementById('helpBtn');
         if (helpBtn) {
@@ -285,6 +354,26 @@ class Jamber3App {
         });
 
         // Theme toggle is handled by keyboard shortcuts
+
+        if (!isPackaged) {
+            this.watchLibraryChanges();
+        }
+    }
+
+    /**
+     * Reload the song list when the folder watcher or a scheduled scan changes the library
+     */
+    watchLibraryChanges() {
+        const events = new EventSource('/api/library/events');
+
+        events.onmessage = (event) => {
+            // A manual scan reloads the list itself when it finishes
+            if (this.isScanning) return;
+
+            const change = JSON.parse(event.data);
+            console.log(`Library changed (${change.source}):`, change);
+            this.loadSongs();
+        };
     }
 
     /**
@@ -307,8 +396,10 @@ class Jamber3App {
             phases: ['Discover', 'Analyze', 'Process', 'Complete'],
             cancellable: true,
             onCancel: () => {
-                // Could implement scan cancellation here
-                window.progressIndicator.hide('music-scan');
+                // The job keeps what it has processed so far; the summary is shown once it stops
+                fetch('/api/scan/cancel', { method: 'POST' }).catch(error => {
+                    console.error('Error cancelling scan:', error);
+                });
             }
         });
 
@@ -361,31 +452,27 @@ class Jamber3App {
                 return;
             }
 
-            // Phase 3: Process selected directories
-            window.progressIndicator.update('music-scan', {
-                phase: 2,
-                message: `Processing ${allDirectories.length} directories...`,
-                progress: 50
-            });
-
-            const processResponse = await fetch('/api/scan/process', {
+            // Phase 3: Run the scan as a background job on the server and follow its progress
+            const startResponse = await fetch('/api/scan/start', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ directories: allDirectories })
             });
 
-            if (!processResponse.ok) {
-                throw new Error('Failed to process music files');
+            // 409 means a scan is already running (e.g. started at launch); follow that one instead
+            if (!startResponse.ok && startResponse.status !== 409) {
+                throw new Error('Failed to start music scan');
             }
 
-            const processResults = await processResponse.json();
+            const finalStatus = await this.followScanJob();
+            if (finalStatus.state === 'failed' || !finalStatus.result) {
+                throw new Error(finalStatus.message || 'Failed to process music files');
+            }
 
-            // Phase 4: Complete
-            window.progressIndicator.update('music-scan', {
-                phase: 3,
-                message: `Scan complete: Found ${processResults.new} new songs`,
-                progress: 100
-            });
+            const processResults = finalStatus.result;
+            const heading = finalStatus.state === 'cancelled'
+                ? 'Scan cancelled - songs processed before cancelling were kept.'
+                : 'Scan complete!';
 
             // Reload songs in the explorer
             await this.loadSongs();
@@ -394,8 +481,8 @@ class Jamber3App {
                 window.progressIndicator.hide('music-scan');
                 
                 let message = '';
-                if (processResults.new > 0 || processResults.removed > 0) {
-                    message = `Scan complete!\n\nDiscovered: ${processResults.discovered} files\nProcessed: ${processResults.processed || processResults.discovered} files\nNew songs: ${processResults.new}\nAlready in library: ${processResults.existing}`;
+                if (processResults.new > 0 || processResults.removed > 0 || processResults.updated > 0 || processResults.relocated > 0) {
+                    message = `${heading}\n\nDiscovered: ${processResults.discovered} files\nProcessed: ${processResults.processed || processResults.discovered} files\nNew songs: ${processResults.new}\nUpdated (changed on disk): ${processResults.updated}\nMoved or renamed: ${processResults.relocated}\nAlready in library: ${processResults.existing}`;
                     
                     if (processResults.removed > 0) {
                         message += `\n\nRemoved ${processResults.removed} songs:`;
@@ -407,7 +494,7 @@ class Jamber3App {
                         }
                     }
                 } else {
-                    message = `Scan complete!\n\nDiscovered: ${processResults.discovered} files\nProcessed: ${processResults.processed || processResults.discovered} files\nNo new songs found. ${processResults.existing} songs were already in your library.`;
+                    message = `${heading}\n\nDiscovered: ${processResults.discovered} files\nProcessed: ${processResults.processed || processResults.discovered} files\nNo new songs found. ${processResults.existing} songs were already in your library.`;
                     
                     if (processResults.removed > 0) {
                         message += `\n\nRemoved ${processResults.removed} songs:`;
@@ -420,8 +507,8 @@ class Jamber3App {
                     }
                 }
                 
-                if (processResults.truncated) {
-                    message += `\n\n⚠️ Large collection detected!\nOnly the first 1000 files were processed.\nRun scan again to process more files.`;
+                if (processResults.errors > 0) {
+                    message += `\n\n⚠️ ${processResults.errors} files or folders could not be processed. See the log for details.`;
                 }
                 
                 // Use a custom modal instead of alert to avoid breaking input focus
@@ -459,6 +546,185 @@ class Jamber3App {
         }
     }
 
+    /**
+     * Follow the server's scan job over Server-Sent Events until it stops
+     * @returns {Promise<Object>} Final job status
+     */
+    followScanJob() {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource('/api/scan/events');
+
+            events.onmessage = (event) => {
+                const status = JSON.parse(event.data);
+                if (status.state === 'idle') return;
+
+                this.updateScanProgress(status);
+                if (status.state !== 'running') {
+                    events.close();
+                    resolve(status);
+                }
+            };
+
+            events.onerror = () => {
+                // EventSource reconnects on its own; only give up once it has closed for good
+                if (events.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to the scan progress stream'));
+                }
+            };
+        });
+    }
+
+    /**
+     * Reflect a scan job status in the scan progress indicator
+     * @param {Object} status - Job status from the server
+     */
+    updateScanProgress(status) {
+        const phases = { discover: 0, analyze: 1, process: 2, complete: 3 };
+
+        let progress = 10;
+        if (status.phase === 'analyze') {
+            progress = 10 + (status.files_found > 0 ? 20 * (status.analyzed / status.files_found) : 20);
+        } else if (status.phase === 'process') {
+            progress = 30 + (status.to_process > 0 ? 70 * (status.processed / status.to_process) : 70);
+        } else if (status.phase === 'complete') {
+            progress = 100;
+        }
+
+        const details = [`${status.files_found} files found`];
+        if (status.phase === 'analyze') {
+            details.push(`${status.analyzed} checked`);
+        } else if (status.to_process > 0) {
+            details.push(`${status.processed} of ${status.to_process} processed`);
+        }
+        if (status.error_count > 0) {
+            details.push(`${status.error_count} errors`);
+        }
+
+        window.progressIndicator.update('music-scan', {
+            phase: phases[status.phase],
+            message: status.message,
+            progress,
+            details: details.join(' · ')
+        });
+    }
+
+    /**
+     * Estimate the key and tuning of every song not analyzed yet, one at a time in the background
+     */
+    async startLibraryAnalysis() {
+        if (this.isAnalyzingLibrary) {
+            console.warn('Library analysis already in progress, ignoring duplicate request');
+            return;
+        }
+
+        this.isAnalyzingLibrary = true;
+        let cancelled = false;
+
+        window.progressIndicator.show('library-analysis', {
+            title: 'Analyzing Key and Tuning',
+            message: 'Finding songs to analyze...',
+            compact: true,
+            cancellable: true,
+            onCancel: () => {
+                // The song being analyzed is finished and saved; the rest wait for the next run
+                cancelled = true;
+            }
+        });
+
+        try {
+            const response = await fetch('/api/analysis/pending');
+            if (!response.ok) {
+                throw new Error('Failed to load songs to analyze');
+            }
+            const songs = await response.json();
+
+            const analyzer = new AudioAnalyzer();
+            let analyzed = 0;
+            let noPitch = 0;
+            let failed = 0;
+            for (const [index, song] of songs.entries()) {
+                if (cancelled) break;
+
+                window.progressIndicator.update('library-analysis', {
+                    message: song.artist ? `${song.artist} - ${song.title}` : song.title,
+                    progress: (index / songs.length) * 100,
+                    details: `${index} of ${songs.length} songs`
+                });
+
+                try {
+                    const saved = await this.analyzeLibrarySong(analyzer, song.id);
+                    if (saved.detected_key) {
+                        analyzed++;
+                    } else {
+                        noPitch++;
+                    }
+                } catch (error) {
+                    console.error(`Error analyzing song ${song.id}:`, error);
+                    failed++;
+                }
+            }
+
+            window.progressIndicator.hide('library-analysis');
+
+            let message;
+            if (songs.length === 0) {
+                message = 'Every song has already been analyzed.';
+            } else {
+                message = cancelled
+                    ? `Analysis cancelled after ${analyzed} of ${songs.length} songs.`
+                    : `Analyzed ${analyzed} of ${songs.length} songs.`;
+                if (noPitch > 0) {
+                    message += ` ${noPitch} had no pitched sound to analyze.`;
+                }
+                if (failed > 0) {
+                    message += ` ${failed} could not be decoded.`;
+                }
+            }
+            window.progressIndicator.showNotification(message, 5000);
+        } catch (error) {
+            console.error('Error analyzing library:', error);
+            window.progressIndicator.hide('library-analysis');
+            this.showError(error.message || 'Failed to analyze library');
+        } finally {
+            this.isAnalyzingLibrary = false;
+        }
+    }
+
+    /**
+     * Analyze one song for the library analysis and save the result
+     * @param {AudioAnalyzer} analyzer - Analyzer to use
+     * @param {number} songId - Song ID
+     * @returns {Promise<Object>} The song with its saved analysis
+     */
+    async analyzeLibrarySong(analyzer, songId) {
+        let analysis;
+        try {
+            analysis = await analyzer.analyze(`http://localhost:8081/audio/${songId}`);
+        } catch (error) {
+            // Formats the browser can't decode are analyzed from a converted copy, as the player does
+            const response = await fetch(`/api/songs/${songId}/transcode`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            analysis = await analyzer.analyze(`http://localhost:8081${result.url}`);
+        }
+
+        const response = await fetch(`/api/songs/${songId}/analysis`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(analysis)
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save audio analysis');
+        }
+
+        const song = await response.json();
+        document.dispatchEvent(new CustomEvent('songAnalyzed', { detail: { song } }));
+        return song;
+    }
+
     /**
      * Open settings dialog
      */
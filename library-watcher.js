@@ -0,0 +1,402 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class LibraryWatcher extends EventEmitter {
+    constructor({ db, mp3Scanner, metadataExtractor, configManager, scanJobManager }) {
+        super();
+        this.db = db;
+        this.mp3Scanner = mp3Scanner;
+        this.metadataExtractor = metadataExtractor;
+        this.configManager = configManager;
+        this.scanJobManager = scanJobManager;
+
+        this.enabled = false;
+        this.watchers = new Map(); // Directory path -> { watcher, depth, realPath }
+        this.roots = [];
+        this.pending = new Set(); // Paths changed since the last flush
+        this.flushTimer = null;
+        this.flushing = false;
+        this.lastChange = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Start watching the configured scan directories
+     * @returns {Object} Watcher status
+     */
+    start() {
+        if (this.enabled) {
+            return this.getStatus();
+        }
+
+        this.enabled = true;
+        this.lastError = null;
+        this.roots = this.configManager.getScanDirectories()
+            .filter(dir => !this.configManager.isPathExcluded(dir));
+
+        for (const root of this.roots) {
+            this.watchTree(root, 0);
+        }
+
+        console.log(`[LibraryWatcher]: Watching ${this.watchers.size} directories under ${this.roots.length} scan paths`);
+        return this.getStatus();
+    }
+
+    /**
+     * Stop watching and drop any changes that haven't been applied yet
+     * @returns {Object} Watcher status
+     */
+    stop() {
+        this.enabled = false;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending.clear();
+
+        for (const dirPath of [...this.watchers.keys()]) {
+            this.unwatch(dirPath);
+        }
+        this.roots = [];
+
+        return this.getStatus();
+    }
+
+    /**
+     * Pick up changed scan paths or exclusions, if the watcher is running
+     */
+    refresh() {
+        if (!this.enabled) return;
+
+        this.stop();
+        this.start();
+    }
+
+    /**
+     * Get a snapshot of the watcher state
+     * @returns {Object} Watcher status
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            roots: [...this.roots],
+            watched_directories: this.watchers.size,
+            pending_changes: this.pending.size,
+            debounce_ms: this.getDebounceMs(),
+            last_change: this.lastChange,
+            last_error: this.lastError
+        };
+    }
+
+    /**
+     * Quiet period to wait after the last filesystem event before applying changes
+     * @returns {number} Milliseconds
+     */
+    getDebounceMs() {
+        const scanning = this.configManager.getScanningSettings();
+        return scanning.watch_debounce_ms > 0 ? scanning.watch_debounce_ms : 2000;
+    }
+
+    /**
+     * Deepest subdirectory level to watch below a scan path
+     * @returns {number} Maximum depth
+     */
+    getMaxDepth() {
+        const scanDirectories = this.configManager.getConfig().scan_directories;
+        if (scanDirectories.include_subdirectories === false) {
+            return 0;
+        }
+        return Number.isInteger(scanDirectories.max_depth) ? scanDirectories.max_depth : 10;
+    }
+
+    /**
+     * Check whether a subdirectory should be watched, following the same rules as a scan
+     * @param {string} dirPath - Directory path
+     * @returns {boolean} True if it should be skipped
+     */
+    isSkippedDirectory(dirPath) {
+        return this.mp3Scanner.isSystemDirectory(path.basename(dirPath)) ||
+            this.configManager.isPathExcluded(dirPath);
+    }
+
+    /**
+     * Watch a directory and its subdirectories down to the configured depth
+     * @param {string} dirPath - Directory path
+     * @param {number} depth - Depth below the scan path
+     */
+    watchTree(dirPath, depth) {
+        if (depth > this.getMaxDepth() || this.watchers.has(dirPath)) return;
+
+        let realPath;
+        try {
+            realPath = fs.realpathSync(dirPath);
+        } catch (error) {
+            return;
+        }
+
+        // A followed symlink can point back up the tree
+        for (const entry of this.watchers.values()) {
+            if (entry.realPath === realPath) return;
+        }
+
+        try {
+            const watcher = fs.watch(dirPath, (eventType, fileName) => {
+                this.handleEvent(dirPath, fileName);
+            });
+            watcher.on('error', (error) => {
+                console.error(`[LibraryWatcher]: Error watching ${dirPath}:`, error.message);
+                this.unwatch(dirPath);
+                this.queue(dirPath);
+            });
+            this.watchers.set(dirPath, { watcher, depth, realPath });
+        } catch (error) {
+            // Usually the OS watch limit; the rest of the library is still watched
+            console.error(`[LibraryWatcher]: Cannot watch ${dirPath}:`, error.message);
+            this.lastError = { path: dirPath, message: error.message, at: new Date().toISOString() };
+            return;
+        }
+
+        for (const subdir of this.listSubdirectories(dirPath)) {
+            this.watchTree(subdir, depth + 1);
+        }
+    }
+
+    /**
+     * Stop watching a directory and everything below it
+     * @param {string} dirPath - Directory path
+     */
+    unwatch(dirPath) {
+        for (const [watchedPath, entry] of this.watchers) {
+            if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+                entry.watcher.close();
+                this.watchers.delete(watchedPath);
+            }
+        }
+    }
+
+    /**
+     * List the subdirectories of a directory that a scan would descend into
+     * @param {string} dirPath - Directory path
+     * @returns {string[]} Subdirectory paths
+     */
+    listSubdirectories(dirPath) {
+        const followSymlinks = this.configManager.getConfig().scan_directories.follow_symlinks === true;
+        const subdirs = [];
+
+        let entries;
+        try {
+            entries = fs.readdirSync(dirPath, { withFileTypes: true });
+        } catch (error) {
+            return subdirs;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(dirPath, entry.name);
+            let isDirectory = entry.isDirectory();
+            if (entry.isSymbolicLink() && followSymlinks) {
+                try {
+                    isDirectory = fs.statSync(entryPath).isDirectory();
+                } catch (error) {
+                    isDirectory = false; // Broken link
+                }
+            }
+
+            if (isDirectory && !this.isSkippedDirectory(entryPath)) {
+                subdirs.push(entryPath);
+            }
+        }
+
+        return subdirs;
+    }
+
+    /**
+     * List the music files in a directory tree, down to the watched depth
+     * @param {string} dirPath - Directory path
+     * @returns {string[]} File paths
+     */
+    listMusicFiles(dirPath) {
+        const files = [];
+        const walk = (currentPath, depth) => {
+            if (depth > this.getMaxDepth()) return;
+
+            let entries;
+            try {
+                entries = fs.readdirSync(currentPath, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const entry of entries) {
+                if (!entry.isDirectory() && this.mp3Scanner.isMusicFile(entry.name)) {
+                    files.push(path.join(currentPath, entry.name));
+                }
+            }
+            for (const subdir of this.listSubdirectories(currentPath)) {
+                walk(subdir, depth + 1);
+            }
+        };
+
+        const watched = this.watchers.get(dirPath);
+        walk(dirPath, watched ? watched.depth : 0);
+        return files;
+    }
+
+    /**
+     * Handle a raw filesystem event from one of the directory watchers
+     * @param {string} dirPath - Watched directory
+     * @param {string|null} fileName - Changed entry, or null if the platform didn't say
+     */
+    handleEvent(dirPath, fileName) {
+        this.queue(fileName ? path.join(dirPath, fileName.toString()) : dirPath);
+    }
+
+    /**
+     * Queue a changed path and restart the quiet period
+     * @param {string} changedPath - File or directory that changed
+     */
+    queue(changedPath) {
+        if (!this.enabled) return;
+
+        this.pending.add(changedPath);
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), this.getDebounceMs());
+    }
+
+    /**
+     * Apply the queued changes once things have gone quiet
+     */
+    async flush() {
+        this.flushTimer = null;
+        if (!this.enabled || this.pending.size === 0) return;
+
+        // A running scan will see these files anyway; try again once it has finished
+        if (this.flushing || this.scanJobManager.isRunning()) {
+            this.flushTimer = setTimeout(() => this.flush(), this.getDebounceMs());
+            return;
+        }
+
+        const changedPaths = [...this.pending];
+        this.pending.clear();
+        this.flushing = true;
+
+        try {
+            const changes = await this.scanJobManager.runLibraryUpdate(() => this.applyChanges(changedPaths));
+            const total = changes.added + changes.updated + changes.restored + changes.relocated + changes.removed;
+            if (total > 0) {
+                this.lastChange = { ...changes, at: new Date().toISOString() };
+                console.log('[LibraryWatcher]: Applied changes:', changes);
+                this.emit('change', this.lastChange);
+            }
+        } catch (error) {
+            console.error('[LibraryWatcher]: Error applying changes:', error);
+            this.lastError = { path: null, message: error.message, at: new Date().toISOString() };
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Bring the library in line with a set of changed paths
+     * @param {string[]} changedPaths - Files and directories reported by the watchers
+     * @returns {Promise<Object>} Counts of added, updated, restored, relocated and removed songs
+     */
+    async applyChanges(changedPaths) {
+        const changes = { added: 0, updated: 0, restored: 0, relocated: 0, removed: 0 };
+        const presentFiles = new Set();
+        const vanishedPaths = [];
+
+        for (const changedPath of changedPaths) {
+            let stat = null;
+            try {
+                stat = fs.statSync(changedPath);
+            } catch (error) {
+                // Deleted, or moved away
+            }
+
+            if (!stat) {
+                this.unwatch(changedPath);
+                vanishedPaths.push(changedPath);
+            } else if (stat.isDirectory()) {
+                if (this.isSkippedDirectory(changedPath) && !this.watchers.has(changedPath)) continue;
+
+                // A new directory, or one whose contents changed without naming the file
+                const parent = this.watchers.get(path.dirname(changedPath));
+                if (parent) {
+                    this.watchTree(changedPath, parent.depth + 1);
+                }
+                this.listMusicFiles(changedPath).forEach(file => presentFiles.add(file));
+                vanishedPaths.push(changedPath);
+            } else if (stat.isFile() && this.mp3Scanner.isMusicFile(changedPath) &&
+                       !this.configManager.isPathExcluded(changedPath)) {
+                presentFiles.add(changedPath);
+            }
+        }
+
+        // Songs whose file was at, or somewhere below, a path that changed and is now gone
+        const goneSongs = this.db.getAllSongs().filter(song =>
+            song.file_path &&
+            vanishedPaths.some(p => song.file_path === p || song.file_path.startsWith(p + path.sep)) &&
+            !fs.existsSync(song.file_path)
+        );
+
+        const newFiles = [];
+        for (const filePath of presentFiles) {
+            const existing = this.db.getSongByFilePath(filePath);
+            if (!existing) {
+                newFiles.push(filePath);
+                continue;
+            }
+
+            if (existing.is_removed && this.db.unmarkSongAsRemoved(existing.id)) {
+                changes.restored++;
+            }
+            if (this.scanJobManager.hasFileChanged(existing, filePath)) {
+                try {
+                    const metadata = await this.metadataExtractor.extractMetadata(filePath);
+                    if (this.db.refreshScannedSong(existing.id, metadata)) {
+                        changes.updated++;
+                    }
+                } catch (error) {
+                    console.error(`[LibraryWatcher]: Error updating ${filePath}:`, error.message);
+                }
+            }
+        }
+
+        // A rename shows up as one path vanishing and another appearing
+        const relocatedIds = new Set();
+        const songsMetadata = [];
+        const missingByHash = newFiles.length > 0
+            ? this.scanJobManager.indexSongsByFingerprint(this.db.getSongsWithMissingFiles({ includeRemoved: true }))
+            : new Map();
+
+        for (const filePath of newFiles) {
+            try {
+                const match = await this.scanJobManager.matchMovedFile(filePath, missingByHash);
+                if (match && this.db.relocateSong(match.song.id, match.metadata)) {
+                    console.log(`[LibraryWatcher]: Song ${match.song.id} moved from ${match.song.file_path} to ${filePath}`);
+                    relocatedIds.add(match.song.id);
+                    changes.relocated++;
+                } else {
+                    songsMetadata.push(await this.metadataExtractor.extractMetadata(filePath));
+                }
+            } catch (error) {
+                console.error(`[LibraryWatcher]: Error adding ${filePath}:`, error.message);
+            }
+        }
+
+        if (songsMetadata.length > 0) {
+            const addedSongs = this.db.addSongsBatch(songsMetadata);
+            changes.added += addedSongs ? addedSongs.length : 0;
+        }
+
+        // Marked rather than deleted, so a file that comes back keeps its tabs, notes and setlists
+        for (const song of goneSongs) {
+            if (!relocatedIds.has(song.id) && this.db.markSongAsRemoved(song.id)) {
+                changes.removed++;
+            }
+        }
+
+        return changes;
+    }
+}
+
+module.exports = LibraryWatcher;
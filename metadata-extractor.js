@@ -12,10 +12,13 @@ try {
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 class MetadataExtractor {
     constructor() {
         this.supportedFormats = ['.mp3', '.m4a', '.wav', '.flac', '.ogg'];
+        this.fingerprintSampleSize = 64 * 1024; // Bytes hashed from the start, middle and end of a file
+        this.lyricsExtensions = ['.lrc', '.txt']; // Sidecar lyrics files, synced first
         this.metadataReady = this.initializeMetadata();
     }
 
@@ -70,6 +73,58 @@ class MetadataExtractor {
         }
     }
 
+    /**
+     * Read the tag values of an audio file as they are, without filename fallbacks
+     * @param {string} filePath - Full path to the audio file
+     * @returns {Promise<Object>} { title, artist, album, lyrics }, empty strings for missing tags
+     */
+    async readTags(filePath) {
+        await this.metadataReady;
+        if (!parseFile) {
+            throw new Error('music-metadata is not available');
+        }
+
+        const { common } = await parseFile(filePath, { duration: false, skipCovers: true });
+        const lyrics = (common.lyrics || [])
+            .map(entry => typeof entry === 'string'
+                ? entry
+                : entry.text || (entry.syncText || []).map(line => line.text).join('\n'))
+            .find(text => text);
+
+        return {
+            title: common.title || '',
+            artist: common.artist || '',
+            album: common.album || '',
+            lyrics: lyrics || ''
+        };
+    }
+
+    /**
+     * Read the embedded cover image of an audio file
+     * @param {string} filePath - Full path to the audio file
+     * @returns {Promise<Object|null>} { data, mimeType }, preferring the front cover, or null if there is none
+     */
+    async extractArtwork(filePath) {
+        try {
+            await this.metadataReady;
+            if (!parseFile) {
+                return null;
+            }
+
+            const { common } = await parseFile(filePath, { duration: false });
+            const pictures = common.picture || [];
+            const picture = pictures.find(entry => entry.type === 'Cover (front)') || pictures[0];
+            if (!picture || !picture.data || picture.data.length === 0) {
+                return null;
+            }
+
+            return { data: Buffer.from(picture.data), mimeType: picture.format || 'image/jpeg' };
+        } catch (error) {
+            console.warn(`Failed to read artwork from ${filePath}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Process raw metadata into our standardized format
      * @param {string} filePath - Full path to the file
@@ -104,15 +159,20 @@ class MetadataExtractor {
             album: album || '',
             extracted_title: title || '',
             extracted_artist: artist || '',
+            ...this.extractTagFields(common),
+            ...this.extractLyrics(filePath, common),
             metadata_source: (common.title && common.artist) ? 'id3' : 
                            (title || artist) ? 'filename' : 'fallback',
             file_size: stats.size,
+            file_mtime: stats.mtime.toISOString(),
+            file_hash: this.computeFingerprint(filePath),
             duration: format.duration ? Math.round(format.duration) : null,
             format: format.container || path.extname(filePath).substring(1),
             bitrate: format.bitrate || null,
             sample_rate: format.sampleRate || null,
             added_at: new Date().toISOString(),
             last_scanned: new Date().toISOString(),
+            lyrics_checked_at: new Date().toISOString(),
             user_edited: false,
             // Initialize resource URLs as empty - will be populated later
             guitar_tab_url: '',
@@ -124,6 +184,182 @@ class MetadataExtractor {
         };
     }
 
+    /**
+     * Read the tag fields kept alongside title, artist and album
+     * @param {Object} common - Common tags from music-metadata
+     * @returns {Object} genre, year, track_number, disc_number, album_artist, composer, bpm and musical_key; null when untagged
+     */
+    extractTagFields(common) {
+        // Genre and composer can hold several values; the first one is the one players show
+        const firstValue = (value) => {
+            const entry = Array.isArray(value) ? value[0] : value;
+            return typeof entry === 'string' && entry.trim() ? entry.trim() : null;
+        };
+        const positiveNumber = (value) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) && number > 0 ? number : null;
+        };
+
+        const bpm = positiveNumber(common.bpm);
+
+        return {
+            genre: firstValue(common.genre),
+            year: positiveNumber(common.year),
+            track_number: common.track ? positiveNumber(common.track.no) : null,
+            disc_number: common.disk ? positiveNumber(common.disk.no) : null,
+            album_artist: firstValue(common.albumartist),
+            composer: firstValue(common.composer),
+            bpm: bpm === null ? null : Math.round(bpm * 100) / 100,
+            musical_key: firstValue(common.key)
+        };
+    }
+
+    /**
+     * Pick a song's lyrics from a sidecar file or its tags, preferring synced lyrics:
+     * a .lrc file, then embedded synced lyrics, then embedded plain lyrics, then a .txt file
+     * @param {string} filePath - Full path to the audio file
+     * @param {Object} common - Common tags from music-metadata
+     * @returns {Object} { lyrics_content, lyrics_path }; lyrics_path is the sidecar file, or '' for embedded or no lyrics
+     */
+    extractLyrics(filePath, common) {
+        const sidecar = this.readLyricsSidecar(filePath);
+        if (sidecar && sidecar.synced) {
+            return { lyrics_content: sidecar.lyrics_content, lyrics_path: sidecar.lyrics_path };
+        }
+
+        const embedded = this.getEmbeddedLyrics(common.lyrics || []);
+        if (embedded) {
+            return { lyrics_content: embedded, lyrics_path: '' };
+        }
+
+        if (sidecar) {
+            return { lyrics_content: sidecar.lyrics_content, lyrics_path: sidecar.lyrics_path };
+        }
+        return { lyrics_content: '', lyrics_path: '' };
+    }
+
+    /**
+     * Parse an audio file and pick its lyrics, for songs whose tags were never read for lyrics
+     * @param {string} filePath - Full path to the audio file
+     * @returns {Promise<Object|null>} { lyrics_content, lyrics_path }, or null if it has none
+     */
+    async readLyrics(filePath) {
+        let common = {};
+        try {
+            await this.metadataReady;
+            if (parseFile) {
+                ({ common } = await parseFile(filePath, { duration: false, skipCovers: true }));
+            }
+        } catch (error) {
+            console.warn(`Failed to read lyrics from ${filePath}:`, error.message);
+        }
+
+        const lyrics = this.extractLyrics(filePath, common);
+        return lyrics.lyrics_content ? lyrics : null;
+    }
+
+    /**
+     * Read a .lrc or .txt file with the same base name as an audio file
+     * @param {string} filePath - Full path to the audio file
+     * @returns {Object|null} { lyrics_content, lyrics_path, synced }, or null if there is none
+     */
+    readLyricsSidecar(filePath) {
+        const basePath = filePath.slice(0, filePath.length - path.extname(filePath).length);
+
+        for (const ext of this.lyricsExtensions) {
+            for (const candidate of [basePath + ext, basePath + ext.toUpperCase()]) {
+                let content;
+                try {
+                    content = fs.readFileSync(candidate, 'utf8');
+                } catch (error) {
+                    continue;
+                }
+
+                content = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+                if (!content) continue;
+
+                return {
+                    lyrics_content: content,
+                    lyrics_path: candidate,
+                    synced: ext === '.lrc' && /^\[\d+:\d{2}(?:[.:]\d+)?\]/m.test(content)
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Turn embedded lyrics tags into text, writing synced lyrics as LRC lines
+     * @param {Array} lyricsTags - common.lyrics from music-metadata
+     * @returns {string} Lyrics, or '' if there are none
+     */
+    getEmbeddedLyrics(lyricsTags) {
+        const tags = lyricsTags.filter(tag => tag);
+
+        const synced = tags.find(tag => typeof tag === 'object' &&
+            Array.isArray(tag.syncText) && tag.syncText.some(line => typeof line.timestamp === 'number'));
+        if (synced) {
+            return synced.syncText
+                .filter(line => typeof line.timestamp === 'number')
+                .map(line => `[${this.formatLrcTimestamp(line.timestamp)}]${(line.text || '').trim()}`)
+                .join('\n');
+        }
+
+        for (const tag of tags) {
+            const text = typeof tag === 'string' ? tag : tag.text;
+            if (text && text.trim()) {
+                return text.replace(/\r\n?/g, '\n').trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Format a time as an LRC timestamp
+     * @param {number} milliseconds - Time from the start of the song
+     * @returns {string} mm:ss.xx
+     */
+    formatLrcTimestamp(milliseconds) {
+        const hundredths = Math.round(milliseconds / 10);
+        const minutes = Math.floor(hundredths / 6000);
+        const seconds = Math.floor(hundredths / 100) % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Fingerprint a file by hashing its size and sampled regions, so it can be
+     * recognised after a move or rename without reading the whole file
+     * @param {string} filePath - Full path to the file
+     * @returns {string|null} Hex digest, or null if the file can't be read
+     */
+    computeFingerprint(filePath) {
+        let fd = null;
+        try {
+            const { size } = fs.statSync(filePath);
+            const sampleSize = Math.min(this.fingerprintSampleSize, size);
+            const offsets = [0, Math.floor((size - sampleSize) / 2), size - sampleSize];
+
+            const hash = crypto.createHash('sha1');
+            hash.update(String(size));
+
+            fd = fs.openSync(filePath, 'r');
+            const buffer = Buffer.alloc(sampleSize);
+            for (const offset of offsets) {
+                const bytesRead = fs.readSync(fd, buffer, 0, sampleSize, offset);
+                hash.update(buffer.subarray(0, bytesRead));
+            }
+
+            return hash.digest('hex');
+        } catch (error) {
+            console.warn(`Failed to fingerprint ${filePath}:`, error.message);
+            return null;
+        } finally {
+            if (fd !== null) {
+                fs.closeSync(fd);
+            }
+        }
+    }
+
     /**
      * Parse filename to extract artist and title
      * Common patterns:
@@ -219,8 +455,12 @@ class MetadataExtractor {
             album: '',
             extracted_title: filenameData.title || '',
             extracted_artist: filenameData.artist || '',
+            ...this.extractTagFields({}),
+            ...this.extractLyrics(filePath, {}),
             metadata_source: 'fallback',
             file_size: stats.size,
+            file_mtime: stats.mtime ? stats.mtime.toISOString() : null,
+            file_hash: this.computeFingerprint(filePath),
             duration: null,
             format: path.extname(filePath).substring(1),
             bitrate: null,
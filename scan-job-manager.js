@@ -0,0 +1,582 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+class ScanJobManager extends EventEmitter {
+    constructor({ db, mp3Scanner, metadataExtractor, configManager, errorLogger }) {
+        super();
+        this.db = db;
+        this.mp3Scanner = mp3Scanner;
+        this.metadataExtractor = metadataExtractor;
+        this.configManager = configManager;
+        this.errorLogger = errorLogger;
+
+        this.job = null; // Current or most recent job
+        this.jobPromise = null;
+        this.libraryUpdate = null; // Promise for library changes made outside a scan, e.g. by the library watcher
+        this.batchSize = 50; // New songs are written to the database in batches of this size
+        this.analyzeYieldEvery = 20; // Files checked between yields to the event loop while analyzing
+        this.maxErrorsKept = 50;
+        this.progressIntervalMs = 250;
+        this.lastProgressEmit = 0;
+
+        // Set by a schema migration that added fields only a fresh read of each file can fill in
+        this.needsRescan = this.db.getAppSettings().needs_rescan === true;
+
+        // A scan can't survive a restart, so clear a flag left behind by a crash
+        this.db.updateAppSettings({ scan_in_progress: false });
+    }
+
+    /**
+     * Check whether a scan job is currently running
+     * @returns {boolean} True if a job is running
+     */
+    isRunning() {
+        return !!this.job && this.job.state === 'running';
+    }
+
+    /**
+     * Change the library outside a scan. Scans wait for the change to finish before they start
+     * looking at files, so the two never add the same file at once
+     * @param {Function} task - Async function making the changes
+     * @returns {Promise<*>} Whatever the task returns
+     */
+    async runLibraryUpdate(task) {
+        if (this.isRunning()) {
+            throw new Error('A scan is in progress');
+        }
+
+        const update = task();
+        const settled = update.catch(() => {});
+        this.libraryUpdate = settled;
+        try {
+            return await update;
+        } finally {
+            if (this.libraryUpdate === settled) {
+                this.libraryUpdate = null;
+            }
+        }
+    }
+
+    /**
+     * Start a background scan job
+     * @param {Array|null} directories - Directory paths or { path } objects; defaults to the configured scan directories
+     * @returns {Object} Status of the new job
+     */
+    start(directories = null) {
+        if (this.isRunning()) {
+            throw new Error('A scan is already in progress');
+        }
+
+        this.job = {
+            id: Date.now(),
+            state: 'running',
+            phase: 'discover',
+            message: 'Finding music files...',
+            directories: directories || this.configManager.getScanDirectories(),
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            files_found: 0,
+            analyzed: 0,
+            to_process: 0,
+            processed: 0,
+            new: 0,
+            updated: 0,
+            restored: 0,
+            relocated: 0,
+            error_count: 0,
+            errors: [],
+            current_file: null,
+            result: null,
+            cancelRequested: false
+        };
+
+        this.jobPromise = this.run(this.job);
+        this.emitProgress(true);
+
+        return this.getStatus();
+    }
+
+    /**
+     * Ask the running job to stop at the next file
+     * @returns {Object} Job status
+     */
+    cancel() {
+        if (!this.isRunning()) {
+            throw new Error('No scan is in progress');
+        }
+
+        this.job.cancelRequested = true;
+        this.job.message = 'Cancelling scan...';
+        this.mp3Scanner.stopScanning();
+        this.emitProgress(true);
+
+        return this.getStatus();
+    }
+
+    /**
+     * Wait for the current job to finish
+     * @returns {Promise<Object>} Final job status
+     */
+    async waitForCompletion() {
+        if (this.jobPromise) {
+            await this.jobPromise;
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Get a snapshot of the current or most recent job
+     * @returns {Object} Job status, or { state: 'idle' } if no scan has run
+     */
+    getStatus() {
+        if (!this.job) {
+            return { state: 'idle' };
+        }
+
+        const { cancelRequested, directories, ...status } = this.job;
+        return { ...status, errors: [...status.errors], cancel_requested: cancelRequested };
+    }
+
+    /**
+     * Apply changes to the job and notify listeners, throttled except for phase changes
+     * @param {Object} changes - Fields to update
+     * @param {boolean} force - Emit even if the last emit was very recent
+     */
+    update(changes, force = false) {
+        Object.assign(this.job, changes);
+        this.emitProgress(force || changes.phase !== undefined);
+    }
+
+    /**
+     * Emit a progress event with the current status
+     * @param {boolean} force - Ignore the throttle interval
+     */
+    emitProgress(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastProgressEmit < this.progressIntervalMs) {
+            return;
+        }
+        this.lastProgressEmit = now;
+        this.emit('progress', this.getStatus());
+    }
+
+    /**
+     * Record a non-fatal error against the job
+     * @param {string} file - File or directory the error relates to
+     * @param {Error} error - The error
+     */
+    recordError(file, error) {
+        this.job.error_count++;
+        this.job.errors.push({ file, message: error.message });
+        if (this.job.errors.length > this.maxErrorsKept) {
+            this.job.errors.shift();
+        }
+        this.emitProgress();
+    }
+
+    /**
+     * Run a scan job to completion
+     * @param {Object} job - Job state
+     */
+    async run(job) {
+        this.db.updateAppSettings({ scan_in_progress: true });
+
+        try {
+            if (this.libraryUpdate) {
+                this.update({ message: 'Waiting for library changes to finish...' }, true);
+                await this.libraryUpdate;
+                this.update({ message: 'Finding music files...' }, true);
+            }
+
+            // Phase 1: find every music file in the selected directories
+            const allFiles = [];
+            for (const dir of job.directories) {
+                if (job.cancelRequested) break;
+
+                const dirPath = typeof dir === 'string' ? dir : dir.path;
+                if (this.configManager.isPathExcluded(dirPath)) {
+                    continue;
+                }
+
+                try {
+                    const scanResult = await this.mp3Scanner.scanDirectoryForMusic(dirPath, (progress) => {
+                        this.update({
+                            files_found: allFiles.length + progress.filesFound,
+                            current_file: progress.currentPath
+                        });
+                    });
+
+                    const dirFiles = this.mp3Scanner.getAllMusicFiles(scanResult.directories);
+                    allFiles.push(...dirFiles.filter(filePath => !this.configManager.isPathExcluded(filePath)));
+                    this.update({ files_found: allFiles.length });
+                } catch (dirError) {
+                    console.error(`Error scanning directory ${dirPath}:`, dirError);
+                    this.recordError(dirPath, dirError);
+                }
+
+                // Directory walking is synchronous; give queued progress events a chance to go out
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            if (job.cancelRequested) {
+                return this.finish('cancelled', this.buildResult(allFiles.length, 0, 0, 0));
+            }
+
+            // Phase 2: clean up the library and work out what needs processing
+            this.update({ phase: 'analyze', message: `Analyzing ${allFiles.length} files...`, current_file: null });
+
+            // Reload configuration to pick up any changes to excluded paths
+            this.configManager.reloadConfig();
+
+            const config = this.configManager.getConfig();
+            const excludedPaths = config.scan_directories.excluded_paths || [];
+            const removedExcluded = this.db.cleanupExcludedPaths(excludedPaths);
+            if (removedExcluded > 0) {
+                console.log(`[ScanJob]: Removed ${removedExcluded} songs from excluded paths`);
+            }
+
+            let unprocessedFiles = [];
+            const changedSongs = [];
+            const songsWithoutLyrics = [];
+            for (const filePath of allFiles) {
+                if (job.cancelRequested) break;
+
+                const existing = this.db.getSongByFilePath(filePath);
+                if (!existing) {
+                    // File not in database - needs processing
+                    unprocessedFiles.push(filePath);
+                } else if (existing.is_removed) {
+                    // File was previously marked as removed - restore it
+                    if (this.db.unmarkSongAsRemoved(existing.id)) {
+                        job.restored++;
+                    }
+                } else {
+                    if (!existing.file_hash) {
+                        // Songs added before fingerprinting get one now, so a later move can be detected
+                        this.db.updateSongMetadata(existing.id, {
+                            file_hash: this.metadataExtractor.computeFingerprint(filePath)
+                        });
+                    }
+                    if (this.hasFileChanged(existing, filePath)) {
+                        changedSongs.push(existing);
+                    } else if (!existing.lyrics_content) {
+                        songsWithoutLyrics.push(existing);
+                    }
+                }
+
+                // Stats and fingerprints are synchronous reads; yield regularly so progress events,
+                // cancel requests and audio streaming aren't held up on a large library
+                this.update({ analyzed: job.analyzed + 1, current_file: filePath });
+                if (job.analyzed % this.analyzeYieldEvery === 0) {
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+
+            if (job.cancelRequested) {
+                return this.finish('cancelled', this.buildResult(allFiles.length, 0, removedExcluded, unprocessedFiles.length));
+            }
+
+            // Before songs with missing files are dropped, check whether any "new" files are those songs after a move
+            unprocessedFiles = await this.relocateMovedFiles(unprocessedFiles);
+
+            // Stopping here keeps missing songs whose new location hasn't been checked yet
+            if (job.cancelRequested) {
+                return this.finish('cancelled', this.buildResult(allFiles.length, 0, removedExcluded, unprocessedFiles.length));
+            }
+
+            // Songs whose files were deleted from disk
+            const removedMissing = this.db.cleanupMissingSongs();
+            if (removedMissing > 0) {
+                console.log(`[ScanJob]: Removed ${removedMissing} songs with missing files`);
+            }
+
+            // Phase 3: extract metadata for changed and new files, and read the tags of songs never checked for lyrics
+            const lyricsToRead = songsWithoutLyrics.filter(song => !song.lyrics_checked_at).length;
+            const toProcess = changedSongs.length + lyricsToRead + unprocessedFiles.length;
+            this.update({
+                phase: 'process',
+                message: `Processing ${toProcess} files...`,
+                to_process: toProcess
+            });
+
+            for (const song of changedSongs) {
+                if (job.cancelRequested) break;
+
+                try {
+                    const metadata = await this.metadataExtractor.extractMetadata(song.file_path);
+                    if (this.db.refreshScannedSong(song.id, metadata)) {
+                        job.updated++;
+                    }
+                } catch (error) {
+                    this.recordError(song.file_path, error);
+                }
+                this.update({ processed: job.processed + 1, current_file: song.file_path });
+            }
+
+            let lyricsImported = 0;
+            for (const [index, song] of songsWithoutLyrics.entries()) {
+                if (job.cancelRequested) break;
+
+                const readsTags = !song.lyrics_checked_at;
+                if (await this.importLyrics(song)) {
+                    lyricsImported++;
+                }
+                if (readsTags) {
+                    this.update({ processed: job.processed + 1, current_file: song.file_path });
+                }
+
+                // Looking for sidecar files is synchronous; yield now and then as in the analyze phase
+                if ((index + 1) % this.analyzeYieldEvery === 0) {
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+            if (lyricsImported > 0) {
+                console.log(`[ScanJob]: Imported lyrics for ${lyricsImported} songs`);
+            }
+
+            for (let i = 0; i < unprocessedFiles.length && !job.cancelRequested; i += this.batchSize) {
+                const batch = unprocessedFiles.slice(i, i + this.batchSize);
+                const songsMetadata = [];
+
+                for (const filePath of batch) {
+                    if (job.cancelRequested) break;
+
+                    try {
+                        songsMetadata.push(await this.metadataExtractor.extractMetadata(filePath));
+                    } catch (error) {
+                        this.recordError(filePath, error);
+                    }
+                    this.update({ processed: job.processed + 1, current_file: filePath });
+                }
+
+                if (songsMetadata.length > 0) {
+                    const addedSongs = this.db.addSongsBatch(songsMetadata);
+                    if (addedSongs) {
+                        job.new += addedSongs.length;
+                    } else {
+                        this.recordError(batch[0], new Error(`Failed to add ${songsMetadata.length} songs to the database`));
+                    }
+                }
+            }
+
+            // Lock configuration after the first scan that adds songs
+            if (job.new > 0 && !this.configManager.isLocked()) {
+                this.configManager.lockConfiguration();
+            }
+
+            const result = this.buildResult(allFiles.length, removedMissing, removedExcluded, unprocessedFiles.length);
+            return this.finish(job.cancelRequested ? 'cancelled' : 'completed', result);
+        } catch (error) {
+            console.error('Error running scan job:', error);
+            this.errorLogger.logError('ScanJob', 'run', error, {
+                directories: job.directories
+            });
+            this.recordError(null, error);
+            return this.finish('failed', null, error.message);
+        }
+    }
+
+    /**
+     * Match files that aren't in the library against songs whose files have gone missing,
+     * by fingerprint and duration, and move those songs to the new path
+     * @param {string[]} files - Paths of files not in the library
+     * @returns {Promise<string[]>} The files that are genuinely new
+     */
+    async relocateMovedFiles(files) {
+        const missingSongs = this.db.getSongsWithMissingFiles({ includeRemoved: true }).filter(song => song.file_hash);
+        if (missingSongs.length === 0 || files.length === 0) {
+            return files;
+        }
+
+        this.update({ message: `Checking ${files.length} new files against ${missingSongs.length} missing songs...` });
+
+        const missingByHash = this.indexSongsByFingerprint(missingSongs);
+        const newFiles = [];
+        for (const filePath of files) {
+            if (this.job.cancelRequested) {
+                newFiles.push(filePath);
+                continue;
+            }
+
+            try {
+                const match = await this.matchMovedFile(filePath, missingByHash);
+                if (match && this.db.relocateSong(match.song.id, match.metadata)) {
+                    console.log(`[ScanJob]: Song ${match.song.id} moved from ${match.song.file_path} to ${filePath}`);
+                    this.update({ relocated: this.job.relocated + 1, current_file: filePath });
+                } else {
+                    newFiles.push(filePath);
+                }
+            } catch (error) {
+                this.recordError(filePath, error);
+                newFiles.push(filePath);
+            }
+        }
+
+        return newFiles;
+    }
+
+    /**
+     * Group songs by file fingerprint for moved-file matching
+     * @param {Object[]} songs - Songs with a file_hash
+     * @returns {Map<string, Object[]>} Songs keyed by fingerprint
+     */
+    indexSongsByFingerprint(songs) {
+        const byHash = new Map();
+        for (const song of songs) {
+            if (!song.file_hash) continue;
+            if (!byHash.has(song.file_hash)) {
+                byHash.set(song.file_hash, []);
+            }
+            byHash.get(song.file_hash).push(song);
+        }
+        return byHash;
+    }
+
+    /**
+     * Find the missing song a file was moved from, if any; a matched song is taken out of the index
+     * @param {string} filePath - Path of a file that isn't in the library
+     * @param {Map<string, Object[]>} missingByHash - Missing songs from indexSongsByFingerprint
+     * @returns {Promise<Object|null>} { song, metadata } for a match, otherwise null
+     */
+    async matchMovedFile(filePath, missingByHash) {
+        const candidates = missingByHash.get(this.metadataExtractor.computeFingerprint(filePath));
+        if (!candidates || candidates.length === 0) {
+            return null;
+        }
+
+        // The duration check guards against files that only differ outside the sampled regions
+        const metadata = await this.metadataExtractor.extractMetadata(filePath);
+        const index = candidates.findIndex(song =>
+            !song.duration || !metadata.duration || Math.abs(song.duration - metadata.duration) <= 1
+        );
+        if (index === -1) {
+            return null;
+        }
+
+        const [song] = candidates.splice(index, 1);
+        return { song, metadata };
+    }
+
+    /**
+     * Fill in the lyrics of an unchanged song from its tags or a sidecar file
+     * Songs whose tags were never read for lyrics (no lyrics_checked_at) have them read once;
+     * after that only a newly added .lrc or .txt file is picked up
+     * @param {Object} song - Song row without lyrics
+     * @returns {Promise<boolean>} True if lyrics were found
+     */
+    async importLyrics(song) {
+        try {
+            const neverChecked = !song.lyrics_checked_at;
+            const lyrics = neverChecked
+                ? await this.metadataExtractor.readLyrics(song.file_path)
+                : this.metadataExtractor.readLyricsSidecar(song.file_path);
+
+            const updates = neverChecked ? { lyrics_checked_at: new Date().toISOString() } : {};
+            if (lyrics) {
+                updates.lyrics_content = lyrics.lyrics_content;
+                updates.lyrics_path = lyrics.lyrics_path;
+            }
+            if (Object.keys(updates).length === 0) {
+                return false;
+            }
+            return !!this.db.updateSongMetadata(song.id, updates) && !!lyrics;
+        } catch (error) {
+            this.recordError(song.file_path, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a known file changed on disk since it was last scanned
+     * @param {Object} song - Song row
+     * @param {string} filePath - Path of the file on disk
+     * @returns {boolean} True if its metadata should be re-extracted, which is always the case while a rescan is pending
+     */
+    hasFileChanged(song, filePath) {
+        if (this.needsRescan) {
+            return true;
+        }
+
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (error) {
+            return false;
+        }
+
+        const mtime = stat.mtime.toISOString();
+        if (song.file_mtime) {
+            return song.file_mtime !== mtime || song.file_size !== stat.size;
+        }
+
+        // Songs scanned before mtimes were stored fall back to last_scanned
+        const changed = song.file_size !== stat.size ||
+            (!!song.last_scanned && stat.mtime > new Date(song.last_scanned));
+        if (!changed) {
+            this.db.updateSongMetadata(song.id, { file_mtime: mtime });
+        }
+        return changed;
+    }
+
+    /**
+     * Build the summary reported when a job ends
+     * @param {number} discovered - Music files found
+     * @param {number} removedMissing - Songs removed because their files are gone
+     * @param {number} removedExcluded - Songs removed because they are in excluded paths
+     * @param {number} newFiles - Files that were not in the library (after moved files were matched)
+     * @returns {Object} Scan summary
+     */
+    buildResult(discovered, removedMissing, removedExcluded, newFiles) {
+        const job = this.job;
+        return {
+            discovered,
+            processed: job.processed,
+            new: job.new,
+            existing: discovered - newFiles - job.restored - job.updated - job.relocated,
+            updated: job.updated,
+            restored: job.restored,
+            relocated: job.relocated,
+            removed: removedMissing + removedExcluded,
+            removedMissing,
+            removedExcluded,
+            errors: job.error_count,
+            locked: this.configManager.isLocked()
+        };
+    }
+
+    /**
+     * Mark the job as finished and notify listeners
+     * @param {string} state - completed, cancelled or failed
+     * @param {Object|null} result - Scan summary
+     * @param {string} message - Optional message override
+     */
+    finish(state, result, message = null) {
+        // Clears the stop flag set by cancel() so the next scan isn't cut short
+        this.mp3Scanner.resetState();
+
+        const messages = {
+            completed: `Scan complete: Found ${result ? result.new : 0} new songs`,
+            cancelled: 'Scan cancelled',
+            failed: 'Scan failed'
+        };
+
+        this.update({
+            state,
+            phase: 'complete',
+            message: message || messages[state],
+            current_file: null,
+            finished_at: new Date().toISOString(),
+            result
+        });
+
+        const settings = { scan_in_progress: false };
+        if (state === 'completed') {
+            settings.last_scan = this.job.finished_at;
+            settings.needs_rescan = false;
+            this.needsRescan = false;
+        }
+        this.db.updateAppSettings(settings);
+    }
+}
+
+module.exports = ScanJobManager;
@@ -0,0 +1,137 @@
+class ScanScheduler {
+    constructor({ db, configManager, scanJobManager }) {
+        this.db = db;
+        this.configManager = configManager;
+        this.scanJobManager = scanJobManager;
+
+        this.timer = null;
+        this.startedAt = null;
+        this.nextScanAt = null;
+        this.lastRun = null; // { at, trigger, started, reason }
+
+        // Re-check at least this often so config edits and clock jumps (e.g. after sleep) are noticed
+        this.maxTimerMs = 60 * 60 * 1000;
+        // Wait between attempts while a scan is overdue, i.e. running, skipped or failed
+        this.retryMs = 5 * 60 * 1000;
+    }
+
+    /**
+     * Start the scheduler, running a scan right away if auto_scan_on_startup is set
+     */
+    start() {
+        this.stop();
+        this.startedAt = new Date();
+
+        if (this.configManager.getScanningSettings().auto_scan_on_startup) {
+            this.runScan('startup');
+        }
+
+        this.scheduleNext();
+    }
+
+    /**
+     * Stop the scheduler; a scan it already started keeps running
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextScanAt = null;
+    }
+
+    /**
+     * Get the scheduler state
+     * @returns {Object} Schedule settings, last and next scan times, and the outcome of the last attempt
+     */
+    getStatus() {
+        const scanning = this.configManager.getScanningSettings();
+        return {
+            auto_scan_on_startup: scanning.auto_scan_on_startup === true,
+            scan_interval_hours: this.getIntervalHours(),
+            last_scan: this.db.getAppSettings().last_scan,
+            next_scan: this.nextScanAt ? this.nextScanAt.toISOString() : null,
+            last_run: this.lastRun
+        };
+    }
+
+    /**
+     * Interval between scheduled scans
+     * @returns {number} Hours, or 0 if interval scans are turned off
+     */
+    getIntervalHours() {
+        const hours = Number(this.configManager.getScanningSettings().scan_interval_hours);
+        return hours > 0 ? hours : 0;
+    }
+
+    /**
+     * Work out when the next interval scan is due
+     * @returns {Date|null} Due time, or null if interval scans are turned off
+     */
+    getNextScanTime() {
+        const hours = this.getIntervalHours();
+        if (!hours) return null;
+
+        // Without a previous scan, wait a full interval rather than scanning at every launch
+        const lastScan = this.db.getAppSettings().last_scan;
+        const from = lastScan ? new Date(lastScan) : this.startedAt;
+        return new Date(from.getTime() + hours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Set the timer for the next check
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+
+        this.nextScanAt = this.getNextScanTime();
+        let delay = this.maxTimerMs;
+        if (this.nextScanAt) {
+            const remaining = this.nextScanAt.getTime() - Date.now();
+            delay = remaining > 0 ? remaining : this.retryMs;
+        }
+
+        this.timer = setTimeout(() => this.tick(), Math.min(delay, this.maxTimerMs));
+    }
+
+    /**
+     * Timer callback: scan if one is due, then schedule the next check
+     */
+    tick() {
+        const due = this.getNextScanTime();
+        if (due && due.getTime() <= Date.now()) {
+            this.runScan('interval');
+        }
+        this.scheduleNext();
+    }
+
+    /**
+     * Start a scan of the configured directories unless one is already running
+     * @param {string} trigger - What asked for the scan: startup or interval
+     * @returns {boolean} True if a scan was started
+     */
+    runScan(trigger) {
+        const skip = (reason) => {
+            console.log(`[ScanScheduler]: Skipping ${trigger} scan - ${reason}`);
+            this.lastRun = { at: new Date().toISOString(), trigger, started: false, reason };
+            return false;
+        };
+
+        if (this.scanJobManager.isRunning() || this.db.getAppSettings().scan_in_progress) {
+            return skip('a scan is already in progress');
+        }
+        if (this.configManager.getScanDirectories().length === 0) {
+            return skip('no scan directories are configured');
+        }
+
+        try {
+            this.scanJobManager.start();
+            console.log(`[ScanScheduler]: Started ${trigger} scan`);
+            this.lastRun = { at: new Date().toISOString(), trigger, started: true, reason: null };
+            return true;
+        } catch (error) {
+            console.error(`[ScanScheduler]: Error starting ${trigger} scan:`, error);
+            return skip(error.message);
+        }
+    }
+}
+
+module.exports = ScanScheduler;
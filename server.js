@@ -7,6 +7,13 @@ const ResourceFinder = require('./resource-finder');
 const MP3Scanner = require('./mp3-scanner');
 const MetadataExtractor = require('./metadata-extractor');
 const ConfigManager = require('./config-manager');
+const ScanJobManager = require('./scan-job-manager');
+const LibraryWatcher = require('./library-watcher');
+const ScanScheduler = require('./scan-scheduler');
+const BackupScheduler = require('./backup-scheduler');
+const TagWriter = require('./tag-writer');
+const ArtworkCache = require('./artwork-cache');
+const AudioTranscoder = require('./audio-transcoder');
 const errorLogger = require('./error-logger');
 console.log('=== JAMBER3 SERVER STARTING ===');
 console.log(`Server started at ${new Date().toISOString()}`);
@@ -19,12 +26,141 @@ const resourceFinder = new ResourceFinder();
 const configManager = new ConfigManager();
 const mp3Scanner = new MP3Scanner(configManager);
 const metadataExtractor = new MetadataExtractor();
+const scanJobManager = new ScanJobManager({ db, mp3Scanner, metadataExtractor, configManager, errorLogger });
+const libraryWatcher = new LibraryWatcher({ db, mp3Scanner, metadataExtractor, configManager, scanJobManager });
+const tagWriter = new TagWriter({ metadataExtractor });
+const artworkCache = new ArtworkCache({ db, metadataExtractor });
+const audioTranscoder = new AudioTranscoder({ db, configManager });
+const scanScheduler = new ScanScheduler({ db, configManager, scanJobManager });
+const backupScheduler = new BackupScheduler({ db, configManager });
+
+// Drop the thumbnails of songs a scan took out of the library
+scanJobManager.on('progress', (status) => {
+    if (status.state !== 'running' && status.result && status.result.removed > 0) {
+        artworkCache.removeDeletedSongs();
+    }
+});
 
 app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increase payload limit for large music collections
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(express.static(path.join(__dirname)));
 
+// Content types for the audio containers the scanner picks up
+const AUDIO_MIME_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.mp4': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.wma': 'audio/x-ms-wma',
+    '.webm': 'audio/webm'
+};
+
+/**
+ * Work out the byte range a Range header asks for
+ * Only single ranges are served; a list of ranges gets the whole file, which the spec allows
+ * @param {string} rangeHeader - Range header, e.g. "bytes=0-499", "bytes=500-" or "bytes=-500"
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Object|null|undefined} { start, end } inclusive, null if it can't be satisfied, or undefined to ignore the header
+ */
+const parseRangeHeader = (rangeHeader, fileSize) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return undefined;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) {
+            return null;
+        }
+        start = Math.max(0, fileSize - suffixLength);
+        end = fileSize - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = fileSize - 1;
+        if (match[2] !== '') {
+            const last = parseInt(match[2], 10);
+            if (last < start) {
+                return undefined; // Backwards ranges are invalid rather than unsatisfiable
+            }
+            end = Math.min(last, fileSize - 1);
+        }
+    }
+
+    if (start >= fileSize || end < start) {
+        return null;
+    }
+    return { start, end };
+};
+
+/**
+ * Stream an audio file, answering conditional and Range requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} filePath - Audio file to send
+ */
+const sendAudioFile = (req, res, filePath) => {
+    // Get file stats for proper headers
+    const stat = fs.statSync(filePath);
+    const fileSize = stat.size;
+    const etag = `"${fileSize.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const lastModified = stat.mtime.toUTCString();
+    
+    // Set appropriate headers for audio streaming; no-cache makes the player revalidate, which is a cheap 304 when the file is unchanged
+    res.set({
+        'Content-Type': AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache',
+        'ETag': etag,
+        'Last-Modified': lastModified
+    });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    
+    // Handle range requests for seeking; a stale If-Range means the client's partial copy is out of date, so it gets the whole file
+    let range;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)) {
+        range = parseRangeHeader(req.headers.range, fileSize);
+        if (range === null) {
+            res.set('Content-Range', `bytes */${fileSize}`);
+            return res.status(416).type('json').json({ error: 'Requested range not satisfiable' });
+        }
+    }
+
+    if (range) {
+        res.status(206);
+        res.set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${fileSize}`,
+            'Content-Length': range.end - range.start + 1
+        });
+    } else {
+        res.set('Content-Length', fileSize);
+    }
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const stream = fs.createReadStream(filePath, range || {});
+    stream.on('error', (error) => {
+        console.error('Error streaming audio file:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
 // Serve audio files endpoint
 app.get('/audio/:songId', async (req, res) => {
     try {
@@ -35,49 +171,39 @@ app.get('/audio/:songId', async (req, res) => {
             return res.status(404).json({ error: 'Song not found' });
         }
         
-        const filePath = song.file_path;
-        
         // Check if file exists
-        if (!fs.existsSync(filePath)) {
+        if (!fs.existsSync(song.file_path)) {
             return res.status(404).json({ error: 'Audio file not found on disk' });
         }
         
-        // Get file stats for proper headers
-        const stat = fs.statSync(filePath);
-        const fileSize = stat.size;
-        
-        // Set appropriate headers for audio streaming
-        res.set({
-            'Content-Type': 'audio/mpeg',
-            'Content-Length': fileSize,
-            'Accept-Ranges': 'bytes',
-            'Cache-Control': 'no-cache'
-        });
+        sendAudioFile(req, res, song.file_path);
+    } catch (error) {
+        console.error('Error serving audio file:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Serve a song converted to WAV, for formats the player can't decode; converts on first request
+app.get('/audio/:songId/transcoded', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.songId);
+        const song = db.getSongById(songId);
         
-        // Handle range requests for seeking
-        const range = req.headers.range;
-        if (range) {
-            const parts = range.replace(/bytes=/, "").split("-");
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            const chunksize = (end - start) + 1;
-            
-            res.status(206);
-            res.set({
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Content-Length': chunksize
-            });
-            
-            const stream = fs.createReadStream(filePath, { start, end });
-            stream.pipe(res);
-        } else {
-            // Stream the entire file
-            const stream = fs.createReadStream(filePath);
-            stream.pipe(res);
+        if (!song || !song.file_path) {
+            return res.status(404).json({ error: 'Song not found' });
         }
-        
+
+        let wavPath;
+        try {
+            wavPath = await audioTranscoder.getTranscoded(song);
+        } catch (error) {
+            console.error('Error converting audio file:', error);
+            return res.status(422).json({ error: 'This audio file could not be converted', details: error.message });
+        }
+
+        sendAudioFile(req, res, wavPath);
     } catch (error) {
-        console.error('Error serving audio file:', error);
+        console.error('Error serving converted audio file:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -115,6 +241,10 @@ app.post('/api/songs', async (req, res) => {
             return res.status(400).json({ error: 'Song title is required' });
         }
 
+        if (file_path && db.getSongByFilePath(file_path)) {
+            return res.status(409).json({ error: 'This file is already in the library' });
+        }
+
         const songData = {
             title: title.trim(),
             artist: artist ? artist.trim() : '',
@@ -217,6 +347,8 @@ app.delete('/api/songs/:id', async (req, res) => {
     try {
         const success = db.deleteSong(req.params.id);
         if (success) {
+            artworkCache.removeSong(req.params.id);
+            audioTranscoder.removeSong(req.params.id);
             res.json({ message: 'Song deleted successfully' });
         } else {
             res.status(404).json({ error: 'Song not found' });
@@ -255,6 +387,151 @@ app.post('/api/songs/:id/find-resources', async (req, res) => {
     }
 });
 
+// Get a song's cover art thumbnail (size: small or medium)
+app.get('/api/songs/:id/artwork', async (req, res) => {
+    try {
+        const song = db.getSong(req.params.id);
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const size = req.query.size || 'medium';
+        if (!['small', 'medium'].includes(size)) {
+            return res.status(400).json({ error: 'Size must be small or medium' });
+        }
+
+        const artwork = await artworkCache.getArtwork(song, size);
+        if (!artwork) {
+            return res.status(404).json({ error: 'No artwork found' });
+        }
+
+        res.sendFile(artwork.path, { headers: { 'Content-Type': artwork.mimeType } });
+    } catch (error) {
+        console.error('Error getting artwork:', error);
+        res.status(500).json({ error: 'Failed to get artwork' });
+    }
+});
+
+// Replace a song's lyrics, e.g. after timestamps were added in the lyrics editor
+app.put('/api/songs/:id/lyrics', async (req, res) => {
+    try {
+        const { lyrics_content } = req.body;
+        if (typeof lyrics_content !== 'string') {
+            return res.status(400).json({ error: 'lyrics_content must be a string' });
+        }
+
+        if (!db.getSong(req.params.id)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const updatedSong = db.updateSongMetadata(req.params.id, { lyrics_content });
+        if (!updatedSong) {
+            return res.status(500).json({ error: 'Failed to save lyrics' });
+        }
+        res.json(updatedSong);
+    } catch (error) {
+        console.error('Error saving lyrics:', error);
+        res.status(500).json({ error: 'Failed to save lyrics' });
+    }
+});
+
+// FILE TAG API ENDPOINTS
+
+// Preview how writing a song's library fields would change its file tags
+app.get('/api/songs/:id/file-tags', async (req, res) => {
+    try {
+        const song = db.getSong(req.params.id);
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+        if (!song.file_path || !fs.existsSync(song.file_path)) {
+            return res.status(400).json({ error: 'Song has no audio file' });
+        }
+        if (!tagWriter.isSupported(song.file_path)) {
+            return res.status(400).json({ error: 'Writing tags is only supported for MP3, FLAC and M4A files' });
+        }
+
+        res.json(await tagWriter.previewTags(song));
+    } catch (error) {
+        console.error('Error previewing file tags:', error);
+        res.status(500).json({ error: 'Failed to read file tags', details: error.message });
+    }
+});
+
+// Write a song's title, artist, album and lyrics into its file tags
+app.post('/api/songs/:id/file-tags', async (req, res) => {
+    try {
+        const song = db.getSong(req.params.id);
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+        if (!song.file_path || !fs.existsSync(song.file_path)) {
+            return res.status(400).json({ error: 'Song has no audio file' });
+        }
+        if (!tagWriter.isSupported(song.file_path)) {
+            return res.status(400).json({ error: 'Writing tags is only supported for MP3, FLAC and M4A files' });
+        }
+        if (scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'Cannot write tags while a scan is in progress' });
+        }
+
+        const result = await tagWriter.writeTags(song);
+
+        // Record the rewritten file so the next scan doesn't treat it as changed
+        let updatedSong = song;
+        if (result.changes.length > 0) {
+            const stats = fs.statSync(song.file_path);
+            const written = result.changes.map(change => change.field);
+            updatedSong = db.updateSongMetadata(song.id, {
+                file_size: stats.size,
+                file_mtime: stats.mtime.toISOString(),
+                file_hash: metadataExtractor.computeFingerprint(song.file_path),
+                extracted_title: written.includes('title') ? song.title : song.extracted_title,
+                extracted_artist: written.includes('artist') ? song.artist : song.extracted_artist
+            }) || song;
+        }
+
+        res.json({ success: true, ...result, song: updatedSong });
+    } catch (error) {
+        console.error('Error writing file tags:', error);
+        res.status(500).json({ error: 'Failed to write file tags', details: error.message });
+    }
+});
+
+// AUDIO CONVERSION API ENDPOINTS
+
+// Convert a song the player can't decode, so it can then load /audio/:songId/transcoded
+app.post('/api/songs/:id/transcode', async (req, res) => {
+    try {
+        const song = db.getSong(req.params.id);
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+        if (!song.file_path || !fs.existsSync(song.file_path)) {
+            return res.status(404).json({ error: 'Audio file not found on disk' });
+        }
+
+        if (!await audioTranscoder.findDecoder()) {
+            const format = path.extname(song.file_path).substring(1).toUpperCase() || 'this';
+            return res.status(501).json({
+                error: `${format} files can't be played directly, and ffmpeg was not found to convert them. Install ffmpeg or set "ffmpeg_path" in the advanced section of jamber3-config.json.`
+            });
+        }
+
+        try {
+            await audioTranscoder.getTranscoded(song);
+        } catch (error) {
+            console.error('Error converting audio file:', error);
+            return res.status(422).json({ error: 'This audio file could not be decoded, even with ffmpeg', details: error.message });
+        }
+
+        res.json({ success: true, url: `/audio/${song.id}/transcoded` });
+    } catch (error) {
+        console.error('Error preparing converted audio:', error);
+        res.status(500).json({ error: 'Failed to convert audio' });
+    }
+});
+
 // Simple test endpoint
 app.get('/api/test', (req, res) => {
     res.json({ 
@@ -332,6 +609,7 @@ app.post('/api/scan/discover', async (req, res) => {
     }
 });
 
+// Run a full scan and respond when it finishes (kept for callers that don't use the job endpoints)
 app.post('/api/scan/process', async (req, res) => {
     try {
         const { directories } = req.body;
@@ -345,155 +623,178 @@ app.post('/api/scan/process', async (req, res) => {
             return res.status(400).json({ error: 'Directories array is required' });
         }
 
-        // Get all music files from selected directories
-        const allFiles = [];
-        for (const dir of directories) {
-            try {
-                const dirPath = typeof dir === 'string' ? dir : dir.path;
-                
-                // Check if directory is excluded
-                if (configManager.isPathExcluded(dirPath)) {
-                    continue;
-                }
-                
-                const scanResult = await mp3Scanner.scanDirectoryForMusic(dirPath);
-                
-                // Extract file paths from the directory structure
-                const dirFiles = mp3Scanner.getAllMusicFiles(scanResult.directories);
-                
-                // Filter out excluded paths from individual files
-                const filteredFiles = dirFiles.filter(filePath => !configManager.isPathExcluded(filePath));
-                const excludedCount = dirFiles.length - filteredFiles.length;
-                
-                allFiles.push(...filteredFiles);
-            } catch (dirError) {
-                console.error(`Error scanning directory ${dir.path || dir}:`, dirError);
-                // Continue with other directories instead of failing completely
-            }
+        if (scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'A scan is already in progress' });
         }
 
+        scanJobManager.start(directories);
+        const status = await scanJobManager.waitForCompletion();
 
-        // Reload configuration to pick up any changes to excluded paths
-        configManager.reloadConfig();
-        
-        // Clean up songs from excluded paths before processing new files
-        const config = configManager.getConfig();
-        const excludedPaths = config.scan_directories.excluded_paths || [];
-        const removedFromExcluded = db.cleanupExcludedPaths(excludedPaths);
-        if (removedFromExcluded > 0) {
-            console.log(`[Server]: Removed ${removedFromExcluded} songs from excluded paths`);
-        }
-        
-        // Clean up songs with missing files (files that have been deleted from disk)
-        const removedMissing = db.cleanupMissingSongs();
-        if (removedMissing > 0) {
-            console.log(`[Server]: Removed ${removedMissing} songs with missing files`);
+        if (status.state === 'failed') {
+            return res.status(500).json({ error: 'Failed to process scan', details: status.message });
         }
 
-        // Handle existing vs new files, including re-adding previously removed songs
-        const unprocessedFiles = [];
-        const removedToRestore = [];
-        
-        for (const filePath of allFiles) {
-            const existing = db.getSongByFilePath(filePath);
-            if (!existing) {
-                // File not in database - needs processing
-                unprocessedFiles.push(filePath);
-            } else if (existing.is_removed) {
-                // File was previously marked as removed - restore it
-                removedToRestore.push(existing.id);
-            }
-            // Skip files that exist and are not removed (already processed)
+        res.json({
+            ...status.result,
+            remaining: 0,
+            truncated: false,
+            cancelled: status.state === 'cancelled'
+        });
+    } catch (error) {
+        console.error('Error processing scan:', error);
+        res.status(500).json({ 
+            error: 'Failed to process scan',
+            details: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Start a background scan job (defaults to the configured scan directories)
+app.post('/api/scan/start', async (req, res) => {
+    try {
+        const { directories } = req.body;
+
+        if (directories !== undefined && !Array.isArray(directories)) {
+            return res.status(400).json({ error: 'Directories must be an array' });
         }
 
-        // Restore previously removed songs that were found again
-        let restoredCount = 0;
-        for (const songId of removedToRestore) {
-            if (db.unmarkSongAsRemoved(songId)) {
-                restoredCount++;
-            }
+        if (scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'A scan is already in progress', job: scanJobManager.getStatus() });
         }
 
+        const job = scanJobManager.start(directories || null);
+        res.status(202).json(job);
+    } catch (error) {
+        console.error('Error starting scan:', error);
+        res.status(500).json({ error: 'Failed to start scan' });
+    }
+});
 
-        // Limit processing for very large collections to prevent timeouts
-        const maxFiles = 1000; // Process max 1000 files per request
-        const filesToProcess = unprocessedFiles.slice(0, maxFiles);
-        
-        if (unprocessedFiles.length > maxFiles) {
-        }
+// Get the status of the current or most recent scan job
+app.get('/api/scan/status', async (req, res) => {
+    try {
+        res.json(scanJobManager.getStatus());
+    } catch (error) {
+        console.error('Error fetching scan status:', error);
+        res.status(500).json({ error: 'Failed to fetch scan status' });
+    }
+});
 
-        // Extract metadata for unprocessed files
-        let songsMetadata = [];
-        if (filesToProcess.length > 0) {
-            try {
-                songsMetadata = await metadataExtractor.extractBatchMetadata(filesToProcess);
-            } catch (metadataError) {
-                errorLogger.logError('Server', 'metadataExtraction', metadataError, {
-                    filesCount: filesToProcess.length,
-                    endpoint: '/scan-music'
-                });
-                throw metadataError;
-            }
+// Cancel the running scan job; songs processed so far are kept
+app.post('/api/scan/cancel', async (req, res) => {
+    try {
+        if (!scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'No scan is in progress' });
         }
 
-        // Add new songs to database
-        if (songsMetadata.length > 0) {
-            const addedSongs = db.addSongsBatch(songsMetadata);
-            
-            // Lock configuration after successful first scan
-            if (!configManager.isLocked()) {
-                configManager.lockConfiguration();
-            }
-            
-            res.json({
-                discovered: allFiles.length,
-                processed: filesToProcess.length,
-                new: songsMetadata.length,
-                existing: allFiles.length - unprocessedFiles.length - restoredCount,
-                restored: restoredCount,
-                removed: removedMissing + removedFromExcluded,
-                removedMissing: removedMissing,
-                removedExcluded: removedFromExcluded,
-                remaining: unprocessedFiles.length - filesToProcess.length,
-                songs: addedSongs,
-                truncated: unprocessedFiles.length > maxFiles,
-                locked: configManager.isLocked(),
-                message: unprocessedFiles.length > maxFiles ? 
-                    `${unprocessedFiles.length} unprocessed files found. Processed ${filesToProcess.length} files. Run scan again to process remaining ${unprocessedFiles.length - filesToProcess.length} files.` : 
-                    unprocessedFiles.length === 0 ? 'All files have been processed.' : undefined
-            });
-        } else {
-            res.json({
-                discovered: allFiles.length,
-                processed: filesToProcess.length,
-                new: 0,
-                existing: allFiles.length - unprocessedFiles.length - restoredCount,
-                restored: restoredCount,
-                removed: removedMissing + removedFromExcluded,
-                removedMissing: removedMissing,
-                removedExcluded: removedFromExcluded,
-                remaining: unprocessedFiles.length - filesToProcess.length,
-                songs: [],
-                truncated: unprocessedFiles.length > maxFiles,
-                locked: configManager.isLocked(),
-                message: unprocessedFiles.length > maxFiles ? 
-                    `${unprocessedFiles.length} unprocessed files found. Processed ${filesToProcess.length} files. Run scan again to process remaining ${unprocessedFiles.length - filesToProcess.length} files.` : 
-                    unprocessedFiles.length === 0 ? 'All files have been processed.' : undefined
-            });
-        }
+        res.json(scanJobManager.cancel());
     } catch (error) {
-        console.error('Error processing scan:', error);
-        console.error('Error stack:', error.stack);
-        console.error('Error details:', {
-            message: error.message,
-            name: error.name,
-            code: error.code
-        });
-        res.status(500).json({ 
-            error: 'Failed to process scan',
-            details: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        console.error('Error cancelling scan:', error);
+        res.status(500).json({ error: 'Failed to cancel scan' });
+    }
+});
+
+// Stream scan job progress as Server-Sent Events
+app.get('/api/scan/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const sendStatus = (status) => {
+        res.write(`data: ${JSON.stringify(status)}\n\n`);
+    };
+
+    // Send the current state right away so late subscribers are in sync
+    sendStatus(scanJobManager.getStatus());
+    scanJobManager.on('progress', sendStatus);
+
+    req.on('close', () => {
+        scanJobManager.off('progress', sendStatus);
+    });
+});
+
+// LIBRARY WATCHER API ENDPOINTS
+
+// Get the filesystem watcher status
+app.get('/api/watcher/status', async (req, res) => {
+    try {
+        res.json(libraryWatcher.getStatus());
+    } catch (error) {
+        console.error('Error getting watcher status:', error);
+        res.status(500).json({ error: 'Failed to get watcher status' });
+    }
+});
+
+// Start watching the configured scan directories
+app.post('/api/watcher/start', async (req, res) => {
+    try {
+        res.json(libraryWatcher.start());
+    } catch (error) {
+        console.error('Error starting watcher:', error);
+        res.status(500).json({ error: 'Failed to start watcher' });
+    }
+});
+
+// Stop watching the scan directories
+app.post('/api/watcher/stop', async (req, res) => {
+    try {
+        res.json(libraryWatcher.stop());
+    } catch (error) {
+        console.error('Error stopping watcher:', error);
+        res.status(500).json({ error: 'Failed to stop watcher' });
+    }
+});
+
+// Stream library changes from the watcher and finished scans as Server-Sent Events
+app.get('/api/library/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const sendChange = (change) => {
+        res.write(`data: ${JSON.stringify(change)}\n\n`);
+    };
+    const sendWatcherChange = (change) => {
+        sendChange({ source: 'watcher', ...change });
+    };
+    // Scheduled scans run without anyone following their progress, so report finished jobs here too
+    const sendScanResult = (status) => {
+        if (status.state === 'running' || !status.result) return;
+        const { result } = status;
+        sendChange({
+            source: 'scan',
+            added: result.new,
+            updated: result.updated,
+            restored: result.restored,
+            relocated: result.relocated,
+            removed: result.removed,
+            at: status.finished_at
         });
+    };
+
+    libraryWatcher.on('change', sendWatcherChange);
+    scanJobManager.on('progress', sendScanResult);
+
+    req.on('close', () => {
+        libraryWatcher.off('change', sendWatcherChange);
+        scanJobManager.off('progress', sendScanResult);
+    });
+});
+
+// Get the automatic scan schedule
+app.get('/api/scan/schedule', async (req, res) => {
+    try {
+        res.json(scanScheduler.getStatus());
+    } catch (error) {
+        console.error('Error getting scan schedule:', error);
+        res.status(500).json({ error: 'Failed to get scan schedule' });
     }
 });
 
@@ -603,6 +904,7 @@ app.post('/api/config/add-enabled-path', async (req, res) => {
         // Try to save the config (this might require updating config-manager)
         try {
             configManager.saveConfig(config);
+            libraryWatcher.refresh();
             res.json({ 
                 success: true, 
                 path: path,
@@ -667,10 +969,12 @@ app.post('/api/config/add-excluded-path', async (req, res) => {
         
         // Clean up existing songs from excluded path
         const removedCount = db.cleanupExcludedPaths([path]);
+        artworkCache.removeDeletedSongs();
         
         // Try to save the config
         try {
             configManager.saveConfig(config);
+            libraryWatcher.refresh();
             res.json({ 
                 success: true, 
                 path: path,
@@ -723,10 +1027,12 @@ app.delete('/api/config/remove-enabled-path', async (req, res) => {
         // Clean up songs from the removed path
         const remainingEnabledPaths = config.scan_directories.enabled_paths;
         const removedSongsCount = db.cleanupSongsFromRemovedPath(removedPath, remainingEnabledPaths);
+        artworkCache.removeDeletedSongs();
         
         // Try to save the config
         try {
             configManager.saveConfig(config);
+            libraryWatcher.refresh();
             res.json({ 
                 success: true, 
                 path: removedPath,
@@ -778,6 +1084,7 @@ app.delete('/api/config/remove-excluded-path', async (req, res) => {
         // Try to save the config
         try {
             configManager.saveConfig(config);
+            libraryWatcher.refresh();
             res.json({ 
                 success: true, 
                 path: removedPath,
@@ -842,6 +1149,7 @@ app.post('/api/config/cleanup-excluded', async (req, res) => {
         const excludedPaths = config.scan_directories.excluded_paths;
         
         const removedCount = db.cleanupExcludedPaths(excludedPaths);
+        artworkCache.removeDeletedSongs();
         
         res.json({ 
             success: true, 
@@ -905,6 +1213,7 @@ app.put('/api/config/paths', (req, res) => {
         // Save the updated config to disk
         try {
             configManager.saveConfig(config);
+            libraryWatcher.refresh();
             res.json({ 
                 success: true, 
                 message: 'Path configuration updated successfully and saved to disk',
@@ -1043,68 +1352,895 @@ app.delete('/api/songs/:id/setlists/:setlistId', async (req, res) => {
     }
 });
 
-// Database backup endpoints
-app.get('/api/backup', async (req, res) => {
+// TAG API ENDPOINTS
+
+// Get all tags
+app.get('/api/tags', async (req, res) => {
     try {
-        const backup = {
-            timestamp: new Date().toISOString(),
-            songs: db.getAllSongs(),
-            config: configManager.getConfig(),
-            version: '1.0.0'
-        };
-        
-        res.setHeader('Content-Disposition', `attachment; filename="jamber3-backup-${new Date().toISOString().split('T')[0]}.json"`);
-        res.setHeader('Content-Type', 'application/json');
-        res.json(backup);
+        const tags = db.getAllTags();
+        res.json(tags);
     } catch (error) {
-        console.error('Error creating backup:', error);
-        res.status(500).json({ error: 'Failed to create backup' });
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ error: 'Failed to fetch tags' });
     }
 });
 
-app.post('/api/restore', (req, res) => {
+// Create new tag
+app.post('/api/tags', async (req, res) => {
     try {
-        const { backup, merge } = req.body;
-        
-        if (!backup || !backup.songs) {
-            return res.status(400).json({ error: 'Invalid backup data' });
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Tag name is required' });
         }
 
-        let restoredCount = 0;
-        
-        if (merge) {
-            // Merge mode: only add songs that don't exist
-            for (const song of backup.songs) {
-                const existing = db.getSongByFilePath(song.file_path);
-                if (!existing) {
-                    delete song.id; // Let database assign new ID
-                    db.addSongWithMetadata(song);
-                    restoredCount++;
-                }
-            }
+        if (db.getTagByName(name.trim())) {
+            return res.status(400).json({ error: 'A tag with this name already exists' });
+        }
+
+        const tag = db.createTag(name.trim());
+
+        if (tag) {
+            res.status(201).json(tag);
         } else {
-            // Replace mode: clear existing and restore all
-            // Note: In a real implementation, you'd want better backup/restore
-            console.warn('Full restore not implemented for safety');
-            return res.status(400).json({ error: 'Full restore not supported yet' });
+            res.status(500).json({ error: 'Failed to create tag' });
         }
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        res.status(500).json({ error: 'Failed to create tag' });
+    }
+});
 
-        res.json({ 
-            success: true, 
-            restored: restoredCount,
-            total: backup.songs.length 
-        });
+// Rename tag
+app.put('/api/tags/:id', async (req, res) => {
+    try {
+        const tagId = parseInt(req.params.id);
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Tag name is required' });
+        }
+
+        if (!db.getTag(tagId)) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        const existing = db.getTagByName(name.trim());
+        if (existing && existing.id !== tagId) {
+            return res.status(400).json({ error: 'A tag with this name already exists' });
+        }
+
+        const tag = db.renameTag(tagId, name.trim());
+
+        if (tag) {
+            res.json(tag);
+        } else {
+            res.status(500).json({ error: 'Failed to rename tag' });
+        }
     } catch (error) {
-        console.error('Error restoring backup:', error);
-        res.status(500).json({ error: 'Failed to restore backup' });
+        console.error('Error renaming tag:', error);
+        res.status(500).json({ error: 'Failed to rename tag' });
     }
 });
 
-// Wrap server startup in try-catch for better error handling
+// Delete tag
+app.delete('/api/tags/:id', async (req, res) => {
+    try {
+        const success = db.deleteTag(parseInt(req.params.id));
+        if (success) {
+            res.json({ message: 'Tag deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Tag not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        res.status(500).json({ error: 'Failed to delete tag' });
+    }
+});
+
+// Get songs with a tag
+app.get('/api/tags/:id/songs', async (req, res) => {
+    try {
+        const songs = db.getSongsWithTag(parseInt(req.params.id));
+        res.json(songs);
+    } catch (error) {
+        console.error('Error fetching tag songs:', error);
+        res.status(500).json({ error: 'Failed to fetch tag songs' });
+    }
+});
+
+// Get tags for a song
+app.get('/api/songs/:id/tags', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const tags = db.getTagsForSong(songId);
+        res.json(tags);
+    } catch (error) {
+        console.error('Error fetching song tags:', error);
+        res.status(500).json({ error: 'Failed to fetch song tags' });
+    }
+});
+
+// Add a tag to a song (by tag ID, or by name - creating the tag if needed)
+app.post('/api/songs/:id/tags', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { tagId, name } = req.body;
+
+        if (!tagId && (!name || !name.trim())) {
+            return res.status(400).json({ error: 'Tag ID or tag name is required' });
+        }
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        let tag = tagId ? db.getTag(parseInt(tagId)) : db.getTagByName(name.trim());
+        if (!tag && !tagId) {
+            tag = db.createTag(name.trim());
+        }
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        const success = db.addTagToSong(songId, tag.id);
+
+        if (success) {
+            res.json(db.getTagsForSong(songId));
+        } else {
+            res.status(500).json({ error: 'Failed to add tag to song' });
+        }
+    } catch (error) {
+        console.error('Error adding tag to song:', error);
+        res.status(500).json({ error: 'Failed to add tag to song' });
+    }
+});
+
+// Replace all tags on a song
+app.put('/api/songs/:id/tags', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { tags } = req.body;
+
+        if (!Array.isArray(tags)) {
+            return res.status(400).json({ error: 'Tags array is required' });
+        }
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        // Drop blanks and case-insensitive duplicates
+        const seen = new Set();
+        const tagNames = tags
+            .map(tag => String(tag || '').trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        const songTags = db.setSongTags(songId, tagNames);
+
+        if (songTags) {
+            res.json(songTags);
+        } else {
+            res.status(500).json({ error: 'Failed to update song tags' });
+        }
+    } catch (error) {
+        console.error('Error updating song tags:', error);
+        res.status(500).json({ error: 'Failed to update song tags' });
+    }
+});
+
+// Remove tag from song
+app.delete('/api/songs/:id/tags/:tagId', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const tagId = parseInt(req.params.tagId);
+
+        const success = db.removeTagFromSong(songId, tagId);
+
+        if (success) {
+            res.json({ message: 'Tag removed from song successfully' });
+        } else {
+            res.status(404).json({ error: 'Song does not have this tag' });
+        }
+    } catch (error) {
+        console.error('Error removing tag from song:', error);
+        res.status(500).json({ error: 'Failed to remove tag from song' });
+    }
+});
+
+// SONG NOTE API ENDPOINTS
+
+// Get practice notes for a song
+app.get('/api/songs/:id/notes', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const notes = db.getNotesForSong(songId);
+        res.json(notes);
+    } catch (error) {
+        console.error('Error fetching song notes:', error);
+        res.status(500).json({ error: 'Failed to fetch song notes' });
+    }
+});
+
+// Add a practice note to a song (position in seconds is optional)
+app.post('/api/songs/:id/notes', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { content, position } = req.body;
+
+        if (!content || !content.trim()) {
+            return res.status(400).json({ error: 'Note content is required' });
+        }
+
+        const hasPosition = position !== undefined && position !== null && position !== '';
+        if (hasPosition && (isNaN(Number(position)) || Number(position) < 0)) {
+            return res.status(400).json({ error: 'Note position must be a non-negative number of seconds' });
+        }
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const note = db.createSongNote(songId, content.trim(), hasPosition ? Number(position) : null);
+
+        if (note) {
+            res.status(201).json(note);
+        } else {
+            res.status(500).json({ error: 'Failed to create note' });
+        }
+    } catch (error) {
+        console.error('Error creating song note:', error);
+        res.status(500).json({ error: 'Failed to create note' });
+    }
+});
+
+// Update a practice note
+app.put('/api/songs/:id/notes/:noteId', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const noteId = parseInt(req.params.noteId);
+        const { content, position } = req.body;
+
+        const existing = db.getSongNote(noteId);
+        if (!existing || existing.song_id !== songId) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const updates = {};
+        if (content !== undefined) {
+            if (!content || !content.trim()) {
+                return res.status(400).json({ error: 'Note content is required' });
+            }
+            updates.content = content.trim();
+        }
+        if (position !== undefined) {
+            const hasPosition = position !== null && position !== '';
+            if (hasPosition && (isNaN(Number(position)) || Number(position) < 0)) {
+                return res.status(400).json({ error: 'Note position must be a non-negative number of seconds' });
+            }
+            updates.position = hasPosition ? Number(position) : null;
+        }
+
+        const note = db.updateSongNote(noteId, updates);
+
+        if (note) {
+            res.json(note);
+        } else {
+            res.status(500).json({ error: 'Failed to update note' });
+        }
+    } catch (error) {
+        console.error('Error updating song note:', error);
+        res.status(500).json({ error: 'Failed to update note' });
+    }
+});
+
+// Delete a practice note
+app.delete('/api/songs/:id/notes/:noteId', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const noteId = parseInt(req.params.noteId);
+
+        const existing = db.getSongNote(noteId);
+        if (!existing || existing.song_id !== songId) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const success = db.deleteSongNote(noteId);
+
+        if (success) {
+            res.json({ message: 'Note deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Note not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting song note:', error);
+        res.status(500).json({ error: 'Failed to delete note' });
+    }
+});
+
+// SONG LOOP API ENDPOINTS
+
+// Get saved loop regions for a song
+app.get('/api/songs/:id/loops', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const loops = db.getLoopsForSong(songId);
+        res.json(loops);
+    } catch (error) {
+        console.error('Error fetching song loops:', error);
+        res.status(500).json({ error: 'Failed to fetch song loops' });
+    }
+});
+
+// Save a named loop region for a song
+app.post('/api/songs/:id/loops', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { name, start_time, end_time } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Loop name is required' });
+        }
+
+        const start = Number(start_time);
+        const end = Number(end_time);
+        if (start_time === undefined || end_time === undefined || isNaN(start) || isNaN(end) || start < 0 || end <= start) {
+            return res.status(400).json({ error: 'Loop start and end times are required and end must be after start' });
+        }
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const loop = db.createSongLoop(songId, name.trim(), start, end);
+
+        if (loop) {
+            res.status(201).json(loop);
+        } else {
+            res.status(500).json({ error: 'Failed to save loop' });
+        }
+    } catch (error) {
+        console.error('Error saving song loop:', error);
+        res.status(500).json({ error: 'Failed to save loop' });
+    }
+});
+
+// Reorder saved loop regions for a song
+app.put('/api/songs/:id/loops/order', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { loopIds } = req.body;
+
+        if (!Array.isArray(loopIds)) {
+            return res.status(400).json({ error: 'Loop IDs array is required' });
+        }
+
+        const loops = db.reorderSongLoops(songId, loopIds.map(id => parseInt(id)));
+
+        if (loops) {
+            res.json(loops);
+        } else {
+            res.status(500).json({ error: 'Failed to reorder loops' });
+        }
+    } catch (error) {
+        console.error('Error reordering song loops:', error);
+        res.status(500).json({ error: 'Failed to reorder loops' });
+    }
+});
+
+// Rename or move a saved loop region
+app.put('/api/songs/:id/loops/:loopId', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const loopId = parseInt(req.params.loopId);
+        const { name, start_time, end_time } = req.body;
+
+        const existing = db.getSongLoop(loopId);
+        if (!existing || existing.song_id !== songId) {
+            return res.status(404).json({ error: 'Loop not found' });
+        }
+
+        const updates = {};
+        if (name !== undefined) {
+            if (!name || !name.trim()) {
+                return res.status(400).json({ error: 'Loop name is required' });
+            }
+            updates.name = name.trim();
+        }
+        if (start_time !== undefined) {
+            updates.start_time = Number(start_time);
+        }
+        if (end_time !== undefined) {
+            updates.end_time = Number(end_time);
+        }
+
+        const start = updates.start_time !== undefined ? updates.start_time : existing.start_time;
+        const end = updates.end_time !== undefined ? updates.end_time : existing.end_time;
+        if (isNaN(start) || isNaN(end) || start < 0 || end <= start) {
+            return res.status(400).json({ error: 'Loop end must be after loop start' });
+        }
+
+        const loop = db.updateSongLoop(loopId, updates);
+
+        if (loop) {
+            res.json(loop);
+        } else {
+            res.status(500).json({ error: 'Failed to update loop' });
+        }
+    } catch (error) {
+        console.error('Error updating song loop:', error);
+        res.status(500).json({ error: 'Failed to update loop' });
+    }
+});
+
+// Delete a saved loop region
+app.delete('/api/songs/:id/loops/:loopId', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const loopId = parseInt(req.params.loopId);
+
+        const existing = db.getSongLoop(loopId);
+        if (!existing || existing.song_id !== songId) {
+            return res.status(404).json({ error: 'Loop not found' });
+        }
+
+        const success = db.deleteSongLoop(loopId);
+
+        if (success) {
+            res.json({ message: 'Loop deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Loop not found' });
+        }
+    } catch (error) {
+        console.error('Error deleting song loop:', error);
+        res.status(500).json({ error: 'Failed to delete loop' });
+    }
+});
+
+// PRACTICE API ENDPOINTS
+
+// Get practice history (optionally for one song)
+app.get('/api/practice', async (req, res) => {
+    try {
+        const songId = req.query.songId ? parseInt(req.query.songId) : null;
+        const limit = req.query.limit ? Math.min(parseInt(req.query.limit) || 100, 1000) : 100;
+        const sessions = db.getPracticeSessions({ songId, limit });
+        res.json(sessions);
+    } catch (error) {
+        console.error('Error fetching practice history:', error);
+        res.status(500).json({ error: 'Failed to fetch practice history' });
+    }
+});
+
+// Get per-song practice totals, least recently practiced first
+app.get('/api/practice/totals', async (req, res) => {
+    try {
+        const totals = db.getPracticeTotals();
+        res.json(totals);
+    } catch (error) {
+        console.error('Error fetching practice totals:', error);
+        res.status(500).json({ error: 'Failed to fetch practice totals' });
+    }
+});
+
+// Record a practice session
+app.post('/api/practice', async (req, res) => {
+    try {
+        const {
+            song_id, started_at, ended_at, duration_seconds,
+            speed, pitch, loop_start, loop_end, loop_name
+        } = req.body;
+
+        if (!song_id) {
+            return res.status(400).json({ error: 'Song ID is required' });
+        }
+
+        const duration = Number(duration_seconds);
+        if (isNaN(duration) || duration <= 0) {
+            return res.status(400).json({ error: 'Session duration must be a positive number of seconds' });
+        }
+
+        if (!db.getSong(parseInt(song_id))) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const hasLoop = loop_start !== undefined && loop_start !== null && loop_end !== undefined && loop_end !== null;
+        const endedAt = ended_at || new Date().toISOString();
+
+        const session = db.logPracticeSession({
+            song_id: parseInt(song_id),
+            started_at: started_at || new Date(Date.now() - duration * 1000).toISOString(),
+            ended_at: endedAt,
+            duration_seconds: duration,
+            speed: speed !== undefined ? Number(speed) : 1.0,
+            pitch: pitch !== undefined ? parseInt(pitch) : 0,
+            loop_start: hasLoop ? Number(loop_start) : null,
+            loop_end: hasLoop ? Number(loop_end) : null,
+            loop_name: hasLoop && loop_name ? String(loop_name) : null
+        });
+
+        if (session) {
+            res.status(201).json(session);
+        } else {
+            res.status(500).json({ error: 'Failed to record practice session' });
+        }
+    } catch (error) {
+        console.error('Error recording practice session:', error);
+        res.status(500).json({ error: 'Failed to record practice session' });
+    }
+});
+
+// Get practice totals for a song
+app.get('/api/songs/:id/practice', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const summary = db.getPracticeSummaryForSong(songId);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error fetching song practice summary:', error);
+        res.status(500).json({ error: 'Failed to fetch song practice summary' });
+    }
+});
+
+// PLAYER SETTINGS API ENDPOINTS
+
+// Get saved player settings for a song
+app.get('/api/songs/:id/player-settings', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const settings = db.getSongPlayerSettings(songId);
+        res.json(settings || {
+            song_id: songId,
+            speed: null,
+            pitch: null,
+            pitch_cents: null,
+            reference_pitch: null,
+            volume: null,
+            default_speed: null,
+            default_pitch: null,
+            default_volume: null
+        });
+    } catch (error) {
+        console.error('Error fetching player settings:', error);
+        res.status(500).json({ error: 'Failed to fetch player settings' });
+    }
+});
+
+// Save last-used and/or default player settings for a song (null clears a default)
+app.put('/api/songs/:id/player-settings', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        // Same ranges the embedded player enforces; fine tuning belongs to the recording, so it has no default
+        const limits = {
+            speed: { min: 0.1, max: 4.0 },
+            pitch: { min: -12, max: 12, integer: true },
+            pitch_cents: { min: -50, max: 50, integer: true, noDefault: true },
+            reference_pitch: { min: 432, max: 446, integer: true, noDefault: true },
+            volume: { min: 0, max: 1 }
+        };
+
+        const updates = {};
+        for (const [setting, limit] of Object.entries(limits)) {
+            const fields = limit.noDefault ? [setting] : [setting, `default_${setting}`];
+            for (const field of fields) {
+                const value = req.body[field];
+                if (value === undefined) continue;
+
+                if (value === null && field !== setting) {
+                    updates[field] = null;
+                    continue;
+                }
+
+                const number = Number(value);
+                if (value === null || isNaN(number) || number < limit.min || number > limit.max ||
+                    (limit.integer && !Number.isInteger(number))) {
+                    const kind = limit.integer ? 'a whole number' : 'a number';
+                    return res.status(400).json({ error: `${field} must be ${kind} between ${limit.min} and ${limit.max}` });
+                }
+                updates[field] = number;
+            }
+        }
+
+        const settings = db.updateSongPlayerSettings(songId, updates);
+
+        if (settings) {
+            res.json(settings);
+        } else {
+            res.status(500).json({ error: 'Failed to save player settings' });
+        }
+    } catch (error) {
+        console.error('Error saving player settings:', error);
+        res.status(500).json({ error: 'Failed to save player settings' });
+    }
+});
+
+// AUDIO ANALYSIS API ENDPOINTS
+
+// List the songs whose key and tuning haven't been estimated yet, for analyzing the whole library
+app.get('/api/analysis/pending', async (req, res) => {
+    try {
+        res.json(db.getUnanalyzedSongs());
+    } catch (error) {
+        console.error('Error getting songs to analyze:', error);
+        res.status(500).json({ error: 'Failed to get songs to analyze' });
+    }
+});
+
+// Store the key and tuning offset the player estimated from the decoded audio
+// (all three null when no pitched sound was found, so the song isn't analyzed again)
+app.put('/api/songs/:id/analysis', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { key, key_confidence, tuning_offset } = req.body;
+        const noPitch = key === null && key_confidence === null && tuning_offset === null;
+
+        if (!noPitch) {
+            if (typeof key !== 'string' || !/^[A-G][#b]? (major|minor)$/.test(key)) {
+                return res.status(400).json({ error: 'Key must be a note name and mode, e.g. "A minor"' });
+            }
+            const confidence = Number(key_confidence);
+            if (key_confidence === null || isNaN(confidence) || confidence < 0 || confidence > 1) {
+                return res.status(400).json({ error: 'key_confidence must be a number between 0 and 1' });
+            }
+            const offset = Number(tuning_offset);
+            if (tuning_offset === null || isNaN(offset) || offset < -50 || offset > 50) {
+                return res.status(400).json({ error: 'tuning_offset must be a number of cents between -50 and 50' });
+            }
+        }
+
+        if (!db.getSong(songId)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const song = db.updateSongMetadata(songId, {
+            detected_key: key,
+            key_confidence: noPitch ? null : Number(key_confidence),
+            tuning_offset: noPitch ? null : Number(tuning_offset),
+            analyzed_at: new Date().toISOString()
+        });
+
+        if (song) {
+            res.json(song);
+        } else {
+            res.status(500).json({ error: 'Failed to save audio analysis' });
+        }
+    } catch (error) {
+        console.error('Error saving audio analysis:', error);
+        res.status(500).json({ error: 'Failed to save audio analysis' });
+    }
+});
+
+// WAVEFORM API ENDPOINTS
+
+// Get cached waveform peaks (404 when missing or computed from an older version of the file)
+app.get('/api/songs/:id/waveform', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const song = db.getSongById(songId);
+
+        if (!song || !song.file_path || !fs.existsSync(song.file_path)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const stat = fs.statSync(song.file_path);
+        const cached = db.getWaveformCache(songId);
+        if (!cached || cached.file_size !== stat.size || cached.file_mtime !== stat.mtime.toISOString()) {
+            return res.status(404).json({ error: 'Waveform not cached' });
+        }
+
+        res.json({ song_id: songId, duration: cached.duration, peaks: cached.peaks });
+    } catch (error) {
+        console.error('Error fetching waveform:', error);
+        res.status(500).json({ error: 'Failed to fetch waveform' });
+    }
+});
+
+// Cache waveform peaks computed by the player
+app.put('/api/songs/:id/waveform', async (req, res) => {
+    try {
+        const songId = parseInt(req.params.id);
+        const { peaks, duration } = req.body;
+
+        if (!Array.isArray(peaks) || peaks.length === 0 || peaks.length > 10000) {
+            return res.status(400).json({ error: 'Peaks must be a non-empty array of at most 10000 values' });
+        }
+        if (peaks.some(peak => typeof peak !== 'number' || isNaN(peak) || peak < 0 || peak > 1)) {
+            return res.status(400).json({ error: 'Peak values must be numbers between 0 and 1' });
+        }
+
+        const song = db.getSongById(songId);
+        if (!song || !song.file_path || !fs.existsSync(song.file_path)) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const stat = fs.statSync(song.file_path);
+        const saved = db.saveWaveformCache(songId, {
+            file_size: stat.size,
+            file_mtime: stat.mtime.toISOString(),
+            duration: Number(duration) > 0 ? Number(duration) : null,
+            peaks
+        });
+
+        if (saved) {
+            res.json({ song_id: songId, cached: true });
+        } else {
+            res.status(500).json({ error: 'Failed to cache waveform' });
+        }
+    } catch (error) {
+        console.error('Error caching waveform:', error);
+        res.status(500).json({ error: 'Failed to cache waveform' });
+    }
+});
+
+// Database backup endpoints
+app.get('/api/backup', async (req, res) => {
+    try {
+        const backup = db.exportBackup();
+        if (!backup) {
+            return res.status(500).json({ error: 'Failed to create backup' });
+        }
+        backup.config = configManager.getConfig();
+        
+        res.setHeader('Content-Disposition', `attachment; filename="jamber3-backup-${new Date().toISOString().split('T')[0]}.json"`);
+        res.setHeader('Content-Type', 'application/json');
+        res.json(backup);
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+app.post('/api/restore', async (req, res) => {
+    try {
+        const { merge, mode, dry_run, overwrite_conflicts } = req.body;
+        
+        // Older backup files are converted to the current layout first
+        const backup = db.migrateBackup(req.body.backup);
+        if (!backup) {
+            return res.status(400).json({ error: 'Invalid backup data' });
+        }
+        if (backup.schema_version > db.getSchemaVersion()) {
+            return res.status(400).json({ error: 'This backup was made by a newer version of Jamber3' });
+        }
+
+        // Older clients only send the merge flag
+        const restoreMode = mode || (merge === false ? 'replace' : 'merge');
+        if (restoreMode !== 'merge' && restoreMode !== 'replace') {
+            return res.status(400).json({ error: 'Mode must be "merge" or "replace"' });
+        }
+
+        const options = { mode: restoreMode, overwrite_conflicts: overwrite_conflicts === true };
+
+        if (dry_run) {
+            const preview = db.previewRestore(backup, options);
+            if (!preview) {
+                return res.status(500).json({ error: 'Failed to preview restore' });
+            }
+            return res.json({ dry_run: true, ...preview });
+        }
+
+        if (scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'Cannot restore while a scan is in progress' });
+        }
+
+        // A replace throws away the current library, so keep a copy it can be rolled back to
+        let snapshot = null;
+        if (restoreMode === 'replace') {
+            snapshot = await db.snapshotDatabase('pre-restore');
+            if (!snapshot) {
+                return res.status(500).json({ error: 'Failed to snapshot the database; nothing was restored' });
+            }
+        }
+
+        const result = db.applyRestore(backup, options);
+        if (snapshot) {
+            backupScheduler.prune('pre-restore');
+        }
+        if (!result) {
+            return res.status(500).json({ error: 'Failed to restore backup; no changes were made', snapshot });
+        }
+        artworkCache.removeDeletedSongs();
+
+        res.json({ 
+            success: true, 
+            ...result,
+            snapshot,
+            restored: result.songs.add.length + result.songs.update.length,
+            total: backup.tables.songs.length 
+        });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// DATABASE SNAPSHOT API ENDPOINTS
+
+// List database snapshots and the backup schedule
+app.get('/api/backups', async (req, res) => {
+    try {
+        res.json({
+            backups: backupScheduler.listBackups(),
+            schedule: backupScheduler.getStatus()
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
+
+// Take a database snapshot now
+app.post('/api/backups', async (req, res) => {
+    try {
+        if (backupScheduler.inProgress) {
+            return res.status(409).json({ error: 'A backup is already being written' });
+        }
+
+        const backup = await backupScheduler.runBackup('manual');
+        if (!backup) {
+            return res.status(500).json({ error: 'Failed to create backup' });
+        }
+        res.status(201).json(backup);
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
+
+// Replace the database with a snapshot, keeping a snapshot of the current state first
+app.post('/api/backups/:name/restore', async (req, res) => {
+    try {
+        const backupPath = backupScheduler.getBackupPath(req.params.name);
+        if (!backupPath) {
+            return res.status(404).json({ error: 'Backup not found' });
+        }
+        if (scanJobManager.isRunning()) {
+            return res.status(409).json({ error: 'Cannot restore while a scan is in progress' });
+        }
+
+        const snapshot = await db.snapshotDatabase('pre-restore');
+        if (!snapshot) {
+            return res.status(500).json({ error: 'Failed to snapshot the database; nothing was restored' });
+        }
+
+        if (!db.restoreDatabaseFile(backupPath)) {
+            return res.status(500).json({ error: 'Failed to restore backup; the current library was kept', snapshot });
+        }
+
+        // The snapshot may have been taken mid-scan, but no scan is running now
+        db.updateAppSettings({ scan_in_progress: false });
+        backupScheduler.prune('pre-restore');
+        artworkCache.removeDeletedSongs();
+
+        res.json({ success: true, restored: req.params.name, snapshot });
+    } catch (error) {
+        console.error('Error restoring database backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
+
+// Wrap server startup in try-catch for better error handling
 let server;
 try {
     server = app.listen(PORT, () => {
         console.log(`Jamber3 server running on http://localhost:${PORT}`);
+
+        if (configManager.getScanningSettings().watch_directories) {
+            libraryWatcher.start();
+        }
+        scanScheduler.start();
+        backupScheduler.start();
+
         // Signal that the server is ready
         console.log('SERVER_READY');
     });
@@ -1123,6 +2259,10 @@ try {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
     console.log(`Received ${signal}. Shutting down gracefully...`);
+
+    libraryWatcher.stop();
+    scanScheduler.stop();
+    backupScheduler.stop();
     
     // Close the HTTP server
     server.close(() => {
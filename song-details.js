@@ -8,6 +8,9 @@ class SongDetails {
         this.currentSong = null;
         this.isEditMode = false;
         this.originalSongData = null;
+        this.songNotes = [];
+        this.syncedLyrics = null;
+        this.analyzingSongId = null; // Song whose key and tuning are being estimated
         
         this.initializeEventListeners();
     }
@@ -32,6 +35,22 @@ class SongDetails {
                 this.renderErrorState('Failed to display song details');
             }
         });
+
+        // Refresh the practice summary when the player logs a session for the displayed song
+        document.addEventListener('practiceSessionLogged', (e) => {
+            if (this.currentSong && !this.isEditMode && this.currentSong.id === e.detail.songId) {
+                this.loadPracticeSummary(this.currentSong);
+            }
+        });
+
+        // Show results from the library analysis when they are for the displayed song
+        document.addEventListener('songAnalyzed', (e) => {
+            const song = e.detail.song;
+            if (this.currentSong && this.currentSong.id === song.id && this.analyzingSongId !== song.id) {
+                this.applyAudioAnalysis(song);
+                this.updateAudioAnalysisDisplay(song.id);
+            }
+        });
     }
 
     /**
@@ -113,6 +132,9 @@ class SongDetails {
                 ${this.renderMetadata(song)}
                 ${this.renderResources(song)}
                 ${this.renderSetlists(song)}
+                ${this.renderPracticeSummary(song)}
+                ${this.renderNotes(song)}
+                ${this.renderSyncedLyrics(song)}
                 ${this.renderActions(song)}
             </div>
         `;
@@ -126,9 +148,14 @@ class SongDetails {
             this.container.innerHTML = html;
         }
         this.attachEventListeners();
+        this.initializeSyncedLyrics(song);
         
         // Load setlists for this song
         this.loadSongSetlists(song);
+
+        // Load practice history summary and notes for this song
+        this.loadPracticeSummary(song);
+        this.loadSongNotes(song);
         
         // Initialize embedded audio player with error handling
         setTimeout(async () => {
@@ -151,11 +178,14 @@ class SongDetails {
      * @param {Object} song - Song object
      */
     renderEditMode(song) {
+        this.destroySyncedLyrics();
+
         const html = `
             <div class="song-details-content edit-form">
                 ${this.renderEditBasicInfo(song)}
                 ${this.renderFileInfo(song)}
                 ${this.renderEditMetadata(song)}
+                ${this.renderEditTags(song)}
                 ${this.renderEditResources(song)}
                 ${this.renderEditActions(song)}
             </div>
@@ -170,6 +200,9 @@ class SongDetails {
             this.container.innerHTML = html;
         }
         this.attachEventListeners();
+
+        // Load current tags and suggestions for this song
+        this.loadEditTags(song);
     }
 
     /**
@@ -185,6 +218,7 @@ class SongDetails {
             <div class="detail-section">
                 <h4>Song Information</h4>
                 <div class="song-header">
+                    ${song.file_path ? `<img class="song-artwork" src="/api/songs/${song.id}/artwork" alt="Cover art" hidden>` : ''}
                     <h2 class="song-title">${this.escapeHtml(title)}</h2>
                     ${artist ? `<p class="song-artist">by ${this.escapeHtml(artist)}</p>` : ''}
                     ${album ? `<p class="song-album">from "${this.escapeHtml(album)}"</p>` : ''}
@@ -253,6 +287,23 @@ class SongDetails {
         const metadataSource = this.getMetadataSourceDescription(song.metadata_source);
         const addedDate = song.added_at ? new Date(song.added_at).toLocaleDateString() : 'Unknown';
         const lastScanned = song.last_scanned ? new Date(song.last_scanned).toLocaleDateString() : 'Never';
+
+        // Only tags the file actually has are listed
+        const tagFields = [
+            ['Album Artist', song.album_artist],
+            ['Genre', song.genre],
+            ['Year', song.year],
+            ['Track', song.track_number],
+            ['Disc', song.disc_number],
+            ['Composer', song.composer],
+            ['Tagged BPM', song.bpm],
+            ['Tagged Key', song.musical_key]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+        const tagFieldsHtml = tagFields.map(([label, value]) => `
+                        <span class="detail-label">${label}:</span>
+                        <span class="detail-value">${this.escapeHtml(String(value))}</span>
+                        `).join('');
+        const analysis = this.describeAudioAnalysis(song);
         
         return `
             <div class="detail-section collapsible-section">
@@ -270,6 +321,12 @@ class SongDetails {
                         
                         <span class="detail-label">Extracted Artist:</span>
                         <span class="detail-value ${song.extracted_artist ? '' : 'missing'}">${this.escapeHtml(song.extracted_artist) || 'Not extracted'}</span>
+                        ${tagFieldsHtml}
+                        <span class="detail-label">Detected Key:</span>
+                        <span class="detail-value ${analysis.key ? '' : 'missing'}" id="detectedKey-${song.id}">${this.escapeHtml(analysis.key) || analysis.missing}</span>
+                        
+                        <span class="detail-label">Tuning:</span>
+                        <span class="detail-value ${analysis.tuning ? '' : 'missing'}" id="tuningOffset-${song.id}">${analysis.tuning || analysis.missing}</span>
                         
                         <span class="detail-label">Added:</span>
                         <span class="detail-value">${addedDate}</span>
@@ -280,11 +337,127 @@ class SongDetails {
                         <span class="detail-label">User Edited:</span>
                         <span class="detail-value">${song.user_edited ? 'Yes' : 'No'}</span>
                     </div>
+                    ${song.file_path ? `
+                    <div class="audio-analysis-actions">
+                        <button class="btn-secondary analyze-audio-btn" data-action="analyze-audio" title="Estimate the key and tuning from the audio again">🔍 ${song.analyzed_at ? 'Analyze Again' : 'Analyze Audio'}</button>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Describe a song's detected key and tuning for the metadata section
+     * @param {Object} song - Song object
+     * @returns {Object} { key, tuning } display text, null without a result, and { missing } text to show instead
+     */
+    describeAudioAnalysis(song) {
+        if (!song.analyzed_at) {
+            return { key: null, tuning: null, missing: 'Not analyzed' };
+        }
+        if (!song.detected_key) {
+            return { key: null, tuning: null, missing: 'No pitched sound found' };
+        }
+
+        // Correlations this low usually mean modal, atonal or mostly percussive music
+        const key = song.key_confidence < 0.5 ? `${song.detected_key} (uncertain)` : song.detected_key;
+
+        const cents = Math.round(song.tuning_offset);
+        const a4 = (440 * Math.pow(2, song.tuning_offset / 1200)).toFixed(1);
+        const tuning = cents === 0
+            ? `In tune (A4 ≈ ${a4} Hz)`
+            : `${cents > 0 ? '+' : ''}${cents} cents ${cents > 0 ? 'sharp' : 'flat'} (A4 ≈ ${a4} Hz)`;
+
+        return { key, tuning, missing: null };
+    }
+
+    /**
+     * Estimate a song's key and tuning from its audio in the background and store them on the song
+     * @param {Object} song - Song object
+     */
+    async analyzeSongAudio(song) {
+        if (!song || !song.file_path || this.analyzingSongId === song.id) return;
+
+        const songId = song.id;
+        this.analyzingSongId = songId;
+        this.updateAudioAnalysisDisplay(songId, 'Analyzing...');
+
+        let status = null;
+        try {
+            const analyzer = new AudioAnalyzer();
+            const player = this.audioPlayer && this.audioPlayer.songId === songId ? this.audioPlayer : null;
+            let analysis;
+            try {
+                analysis = await analyzer.analyze(player ? player.audioSrc : `http://localhost:8081/audio/${songId}`);
+            } catch (error) {
+                // Formats the browser can't decode are analyzed from the player's converted copy
+                if (!player || !player.transcoding) throw error;
+                await player.transcoding;
+                analysis = await analyzer.analyze(player.audioSrc);
+            }
+
+            const response = await fetch(`/api/songs/${songId}/analysis`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(analysis)
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to save audio analysis');
+            }
+            this.applyAudioAnalysis(await response.json());
+        } catch (error) {
+            console.error('Error analyzing song audio:', error);
+            status = 'Analysis failed';
+        } finally {
+            this.analyzingSongId = null;
+            if (this.currentSong && this.currentSong.id === songId) {
+                this.updateAudioAnalysisDisplay(songId, status);
+            }
+        }
+    }
+
+    /**
+     * Take a saved analysis into the current song and its player
+     * @param {Object} song - Song as returned after saving its analysis
+     */
+    applyAudioAnalysis(song) {
+        if (!this.currentSong || this.currentSong.id !== song.id) return;
+
+        for (const field of ['detected_key', 'key_confidence', 'tuning_offset', 'analyzed_at']) {
+            this.currentSong[field] = song[field];
+        }
+        if (this.audioPlayer && this.audioPlayer.songId === song.id) {
+            this.audioPlayer.setTuningOffset(song.tuning_offset);
+        }
+    }
+
+    /**
+     * Show the current song's analysis, or a status while it runs, in the metadata section
+     * @param {number} songId - Song ID the metadata section was rendered for
+     * @param {string} status - Optional status shown instead of the results
+     */
+    updateAudioAnalysisDisplay(songId, status = null) {
+        const keyValue = document.getElementById(`detectedKey-${songId}`);
+        const tuningValue = document.getElementById(`tuningOffset-${songId}`);
+        if (!keyValue || !tuningValue || !this.currentSong) return;
+
+        const { key, tuning, missing } = this.describeAudioAnalysis(this.currentSong);
+        keyValue.textContent = status || key || missing;
+        keyValue.classList.toggle('missing', !!status || !key);
+        tuningValue.textContent = status || tuning || missing;
+        tuningValue.classList.toggle('missing', !!status || !tuning);
+
+        const analyzeBtn = this.container.querySelector('.analyze-audio-btn');
+        if (analyzeBtn) {
+            analyzeBtn.disabled = this.analyzingSongId === songId;
+            analyzeBtn.textContent = `🔍 ${this.currentSong.analyzed_at ? 'Analyze Again' : 'Analyze Audio'}`;
+        }
+    }
+
     /**
      * Render resource links
      * @param {Object} song - Song object
@@ -413,6 +586,150 @@ class SongDetails {
         `;
     }
 
+    /**
+     * Restore the song's last-used speed, pitch and volume (or its default practice setting)
+     * @param {number} songId - Song ID the player was built for
+     */
+    async restorePlayerSettings(songId) {
+        try {
+            const response = await fetch(`/api/songs/${songId}/player-settings`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch player settings: ${response.status}`);
+            }
+            const settings = await response.json();
+
+            // The player may have been replaced while the request was in flight
+            if (!this.audioPlayer || this.audioPlayer.songId !== songId) return;
+
+            this.audioPlayer.restorePlayerSettings(settings);
+        } catch (error) {
+            console.error('Error restoring player settings:', error);
+        }
+    }
+
+    /**
+     * Render practice history summary
+     * @param {Object} song - Song object
+     */
+    renderPracticeSummary(song) {
+        // Values are filled in by loadPracticeSummary
+        return `
+            <div class="detail-section">
+                <h4>Practice</h4>
+                <div class="detail-grid practice-summary" id="songPracticeSummary">
+                    <span class="detail-label">Last Practiced:</span>
+                    <span class="detail-value" id="practiceLastPracticed">...</span>
+
+                    <span class="detail-label">Total Time:</span>
+                    <span class="detail-value" id="practiceTotalTime">...</span>
+
+                    <span class="detail-label">Sessions:</span>
+                    <span class="detail-value" id="practiceSessionCount">...</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render practice notes list and add form
+     * @param {Object} song - Song object
+     */
+    renderNotes(song) {
+        // Notes list is populated dynamically via loadSongNotes
+        return `
+            <div class="detail-section">
+                <h4>Practice Notes</h4>
+                <div class="song-note-add">
+                    <input type="text" class="song-note-input" id="newNoteInput" placeholder="Add a note about a section or technique...">
+                    <label class="song-note-position-option" title="Pin the note to the current playback position">
+                        <input type="checkbox" id="newNoteAtPosition" checked>
+                        at current position
+                    </label>
+                    <button class="btn-secondary add-note-btn" data-action="add-note">Add</button>
+                </div>
+                <div class="song-notes-container" id="songNotesContainer">
+                    <div class="loading-notes">Loading notes...</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the lyrics pane that follows playback
+     * @param {Object} song - Song object
+     */
+    renderSyncedLyrics(song) {
+        // Filled in by initializeSyncedLyrics; needs lyrics and a file to play
+        if (!song.file_path || !song.lyrics_content) {
+            return '';
+        }
+
+        return `
+            <div class="detail-section">
+                <h4>🎤 Lyrics</h4>
+                <div class="synced-lyrics" id="syncedLyrics-${song.id}"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the synced lyrics pane for a freshly rendered song
+     * @param {Object} song - Song object
+     */
+    initializeSyncedLyrics(song) {
+        this.destroySyncedLyrics();
+
+        const container = this.container.querySelector(`#syncedLyrics-${song.id}`);
+        if (!container || typeof SyncedLyrics === 'undefined') return;
+
+        this.syncedLyrics = new SyncedLyrics(container, {
+            getTime: () => this.audioPlayer ? this.audioPlayer.getCurrentTime() : 0,
+            onSeek: (position) => this.seekToNote(position),
+            onSave: (lyrics) => this.saveSyncedLyrics(song.id, lyrics)
+        });
+        this.syncedLyrics.load(song.lyrics_content);
+    }
+
+    /**
+     * Remove the synced lyrics pane and its key handler
+     */
+    destroySyncedLyrics() {
+        if (this.syncedLyrics) {
+            this.syncedLyrics.destroy();
+            this.syncedLyrics = null;
+        }
+    }
+
+    /**
+     * Save lyrics with timestamps from the tap editor
+     * @param {number} songId - Song ID
+     * @param {string} lyrics - LRC text
+     * @returns {Promise<string|null>} The saved lyrics, or null if saving failed
+     */
+    async saveSyncedLyrics(songId, lyrics) {
+        try {
+            const response = await fetch(`/api/songs/${songId}/lyrics`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                body: JSON.stringify({ lyrics_content: lyrics })
+            });
+            if (!response.ok) {
+                throw new Error('Failed to save lyrics');
+            }
+
+            const savedSong = await response.json();
+            if (this.currentSong && this.currentSong.id === songId) {
+                this.currentSong = savedSong;
+            }
+            this.showMessage('Lyrics timing saved');
+            return savedSong.lyrics_content;
+        } catch (error) {
+            console.error('Error saving synced lyrics:', error);
+            await customAlert('Could not save the lyrics timing. Please try again.', 'Error');
+            return null;
+        }
+    }
+
     /**
      * Render action buttons
      * @param {Object} song - Song object
@@ -431,6 +748,11 @@ class SongDetails {
                     <button class="action-btn" data-action="locate">
                         <span>📁</span> Show in Folder
                     </button>
+                    ${this.canWriteFileTags(song) ? `
+                    <button class="action-btn" data-action="write-tags" title="Write title, artist, album and lyrics into the audio file">
+                        <span>🏷️</span> Write Tags to File
+                    </button>
+                    ` : ''}
                     <button class="action-btn" data-action="delete">
                         <span>🗑️</span> Remove
                     </button>
@@ -466,6 +788,18 @@ class SongDetails {
         // Remove existing event listeners by cloning and replacing elements
         this.removeExistingListeners();
         
+        // Cover art stays hidden until it loads, so songs without any show no broken image
+        const artwork = this.container.querySelector('.song-artwork');
+        if (artwork) {
+            if (artwork.complete && artwork.naturalWidth > 0) {
+                artwork.hidden = false;
+            } else {
+                artwork.addEventListener('load', () => {
+                    artwork.hidden = false;
+                });
+            }
+        }
+
         // Action buttons - use safe event listener management
         const actionButtons = this.container.querySelectorAll('[data-action]');
         actionButtons.forEach(btn => {
@@ -537,6 +871,17 @@ class SongDetails {
             });
         });
 
+        // Practice note input - Enter adds the note
+        const noteInput = this.container.querySelector('#newNoteInput');
+        if (noteInput) {
+            noteInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleAddNote();
+                }
+            });
+        }
+
         // Add protective event handlers for edit mode text inputs to prevent conflicts
         if (this.isEditMode) {
             this.attachEditModeProtections();
@@ -613,12 +958,21 @@ class SongDetails {
             case 'locate':
                 this.showInFolder();
                 break;
+            case 'write-tags':
+                this.writeTagsToFile();
+                break;
+            case 'analyze-audio':
+                this.analyzeSongAudio(this.currentSong);
+                break;
             case 'delete':
                 this.deleteSong();
                 break;
             case 'add-to-setlist':
                 this.handleAddToSetlist();
                 break;
+            case 'add-note':
+                this.handleAddNote();
+                break;
         }
     }
 
@@ -771,6 +1125,38 @@ class SongDetails {
                                        title="Pitch Control (-12 to +12 semitones) - UI Only">
                                 <span class="control-display" id="pitchDisplay-${song.id}">0</span>
                             </div>
+                            <div class="slider-section">
+                                <span class="control-icon">🎯</span>
+                                <input type="range" 
+                                       class="control-slider audio-pitch-slider" 
+                                       id="pitchCentsSlider-${song.id}" 
+                                       min="-50" 
+                                       max="50" 
+                                       step="1" 
+                                       value="0"
+                                       title="Fine Tuning (-50 to +50 cents)">
+                                <span class="control-display" id="pitchCentsDisplay-${song.id}">0 ct</span>
+                            </div>
+                            <div class="reference-pitch-section">
+                                <label class="reference-pitch-label" for="referencePitch-${song.id}">A4 =</label>
+                                <select class="reference-pitch-select" id="referencePitch-${song.id}" title="Retune the song from A4 = 440 Hz to this reference">
+                                    ${Array.from({ length: 15 }, (_, i) => 432 + i).map(hz => `
+                                        <option value="${hz}" ${hz === 440 ? 'selected' : ''}>${hz}</option>
+                                    `).join('')}
+                                </select>
+                                <span class="reference-pitch-label">Hz</span>
+                            </div>
+                            <button class="practice-default-btn correct-tuning-btn" id="correctTuningBtn-${song.id}" title="Available once the song's tuning has been analyzed" disabled>🎯 Correct to Concert Pitch</button>
+                        </div>
+
+                        <!-- Default Practice Setting -->
+                        <div class="control-group practice-default-group">
+                            <label class="control-label">Practice Setting</label>
+                            <div class="practice-default-inline">
+                                <button class="practice-default-btn" id="practiceDefaultSaveBtn-${song.id}" title="Save the current speed, pitch and volume as this song's default">💾 Save as Default</button>
+                                <button class="practice-default-btn" id="practiceDefaultResetBtn-${song.id}" title="Return to this song's default practice setting">↺ Reset to Default</button>
+                                <span class="practice-default-status" id="practiceDefaultStatus-${song.id}">No default saved</span>
+                            </div>
                         </div>
                         
                         <!-- A-B Loop Controls -->
@@ -789,6 +1175,57 @@ class SongDetails {
                                 </button>
                                 <button class="loop-clear-btn-inline" id="loopClearBtn-${song.id}" title="Clear Loop Points">❌</button>
                             </div>
+                            <div class="saved-loops-inline">
+                                <select class="saved-loop-select" id="savedLoopSelect-${song.id}" title="Recall a saved loop">
+                                    <option value="">- saved loops -</option>
+                                </select>
+                                <button class="saved-loop-btn" id="savedLoopUpBtn-${song.id}" title="Move Selected Loop Up">▲</button>
+                                <button class="saved-loop-btn" id="savedLoopDownBtn-${song.id}" title="Move Selected Loop Down">▼</button>
+                                <button class="saved-loop-btn" id="savedLoopDeleteBtn-${song.id}" title="Delete Selected Loop">🗑️</button>
+                            </div>
+                            <div class="saved-loops-inline">
+                                <input type="text" class="saved-loop-name" id="savedLoopName-${song.id}" placeholder="Loop name (e.g. solo)">
+                                <button class="saved-loop-btn" id="savedLoopSaveBtn-${song.id}" title="Save Current A-B Loop">💾</button>
+                                <button class="saved-loop-btn" id="savedLoopRenameBtn-${song.id}" title="Rename Selected Loop">✏️</button>
+                            </div>
+                        </div>
+
+                        <!-- Speed Trainer Controls -->
+                        <div class="control-group trainer-group">
+                            <label class="control-label">Speed Trainer</label>
+                            <div class="trainer-settings">
+                                <label class="trainer-field" title="Speed for the first passes">
+                                    Start
+                                    <input type="number" class="trainer-input" id="trainerStart-${song.id}" min="0.1" max="4.0" step="0.05" value="0.6">
+                                </label>
+                                <label class="trainer-field" title="Speed increase per step">
+                                    Step
+                                    <input type="number" class="trainer-input" id="trainerStep-${song.id}" min="0.01" max="1.0" step="0.01" value="0.05">
+                                </label>
+                                <label class="trainer-field" title="Loop passes before each step">
+                                    Every
+                                    <input type="number" class="trainer-input" id="trainerPasses-${song.id}" min="1" max="50" step="1" value="2">
+                                </label>
+                                <label class="trainer-field" title="Speed to stop ramping at">
+                                    Target
+                                    <input type="number" class="trainer-input" id="trainerTarget-${song.id}" min="0.1" max="4.0" step="0.05" value="1.0">
+                                </label>
+                            </div>
+                            <div class="trainer-actions">
+                                <button class="trainer-btn" id="trainerToggleBtn-${song.id}" title="Start Speed Trainer on the A-B Loop">▶ Start</button>
+                                <button class="trainer-btn" id="trainerBackBtn-${song.id}" title="Drop Back One Step" disabled>⤵ Step Back</button>
+                            </div>
+                            <div class="trainer-status" id="trainerStatus-${song.id}">Set A and B, then start</div>
+                        </div>
+
+                        <!-- Practice Track Export -->
+                        <div class="control-group export-group">
+                            <label class="control-label">Export Practice Track</label>
+                            <div class="export-actions">
+                                <button class="export-btn" id="exportSongBtn-${song.id}" title="Save the Whole Song as a WAV File at the Current Speed and Pitch">⬇ Whole Song</button>
+                                <button class="export-btn" id="exportLoopBtn-${song.id}" title="Save the A-B Loop as a WAV File at the Current Speed and Pitch">⬇ A-B Loop</button>
+                            </div>
+                            <div class="export-status" id="exportStatus-${song.id}">Uses the current speed and pitch</div>
                         </div>
                     </div>
                 </div>
@@ -855,6 +1292,23 @@ class SongDetails {
                 if (this.audioPlayer.initPromise) {
                     await this.audioPlayer.initPromise;
                 }
+
+                await this.restorePlayerSettings(songId);
+
+                // Key and tuning come from the decoded audio, so a song is analyzed the first time it is opened
+                this.audioPlayer.setTuningOffset(this.currentSong.tuning_offset);
+                if (!this.currentSong.analyzed_at) {
+                    this.analyzeSongAudio(this.currentSong);
+                }
+
+                // Notes usually finish loading before the player exists
+                this.audioPlayer.setNoteMarkers(this.songNotes.filter(note => note.song_id === songId));
+
+                this.audioPlayer.onProgress = (currentTime) => {
+                    if (this.syncedLyrics) {
+                        this.syncedLyrics.update(currentTime);
+                    }
+                };
                 
                 // Defer setting global reference to avoid potential circular reference issues
                 setTimeout(() => {
@@ -954,6 +1408,7 @@ class SongDetails {
         try {
             // Collect values from edit form
             const updatedSong = this.collectEditFormData();
+            const updatedTags = this.collectEditTags();
             
             // Send update to server
             const response = await fetch(`/api/songs/${this.currentSong.id}`, {
@@ -970,6 +1425,9 @@ class SongDetails {
                 this.isEditMode = false;
                 this.originalSongData = null;
                 
+                // Save tags alongside the song fields
+                await this.saveSongTags(savedSong.id, updatedTags);
+
                 // Re-render in view mode
                 this.render(savedSong);
                 
@@ -1075,6 +1533,66 @@ class SongDetails {
         }
     }
 
+    /**
+     * Check whether the song's file is a format whose tags can be written
+     * @param {Object} song - Song object
+     * @returns {boolean} True for MP3, FLAC and M4A files
+     */
+    canWriteFileTags(song) {
+        return !!song.file_path && /\.(mp3|flac|m4a)$/i.test(song.file_path);
+    }
+
+    /**
+     * Show the tag changes for the current song and write them to its file once confirmed
+     */
+    async writeTagsToFile() {
+        if (!this.currentSong || !this.canWriteFileTags(this.currentSong)) return;
+
+        const songId = this.currentSong.id;
+        try {
+            const previewResponse = await fetch(`/api/songs/${songId}/file-tags`);
+            const preview = await previewResponse.json();
+            if (!previewResponse.ok) {
+                throw new Error(preview.details || preview.error);
+            }
+
+            if (preview.changes.length === 0) {
+                await customAlert('The file\'s tags already match the library.', 'Write Tags to File');
+                return;
+            }
+
+            const describe = (value) => {
+                const text = (value || '').replace(/\s+/g, ' ').trim();
+                if (!text) return '<em>(empty)</em>';
+                return this.escapeHtml(text.length > 60 ? text.substring(0, 60) + '…' : text);
+            };
+            const lines = preview.changes.map(change =>
+                `<strong>${change.field}</strong>: ${describe(change.file)} → ${describe(change.library)}`);
+
+            const confirmed = await customConfirm(
+                `These tags in the ${preview.format.toUpperCase()} file will be changed:\n\n` +
+                lines.join('\n') +
+                '\n\nOther tags in the file are kept.',
+                'Write Tags to File'
+            );
+            if (!confirmed) return;
+
+            const response = await fetch(`/api/songs/${songId}/file-tags`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.details || result.error);
+            }
+
+            if (this.currentSong && this.currentSong.id === songId) {
+                this.currentSong = result.song;
+            }
+            this.showMessage(`Wrote ${result.changes.length} tag${result.changes.length === 1 ? '' : 's'} to the file`);
+        } catch (error) {
+            console.error('Error writing tags to file:', error);
+            await customAlert(`Could not write tags to the file: ${this.escapeHtml(error.message)}`, 'Error');
+        }
+    }
+
     /**
      * Find all resources for the current song
      */
@@ -1354,6 +1872,24 @@ class SongDetails {
         `;
     }
 
+    /**
+     * Render editable tags section
+     * @param {Object} song - Song object
+     */
+    renderEditTags(song) {
+        // Current tags and suggestions are populated via loadEditTags
+        return `
+            <div class="detail-section edit-section">
+                <h4>Tags</h4>
+                <div class="edit-form-grid">
+                    <label for="edit-tags">Tags:</label>
+                    <input type="text" id="edit-tags" name="tags" value="" placeholder="e.g. learning, polishing, gig-ready">
+                </div>
+                <div class="tag-suggestions" id="editTagSuggestions"></div>
+            </div>
+        `;
+    }
+
     /**
      * Render editable resources section
      * @param {Object} song - Song object
@@ -1424,6 +1960,16 @@ class SongDetails {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Format a playback position in MM:SS format (0 is a valid position)
+     * @param {number} seconds - Position in seconds
+     */
+    formatPosition(seconds) {
+        const mins = Math.floor((seconds || 0) / 60);
+        const secs = Math.floor((seconds || 0) % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
     /**
      * Get directory path from full file path
      * @param {string} filePath - Full file path
@@ -1448,6 +1994,7 @@ class SongDetails {
      * Clear the current song display
      */
     clear() {
+        this.destroySyncedLyrics();
         this.currentSong = null;
         this.isEditMode = false;
         this.originalSongData = null;
@@ -1726,6 +2273,315 @@ class SongDetails {
         }
     }
 
+    /**
+     * Load the practice history summary for a song
+     * @param {Object} song - Song object
+     */
+    async loadPracticeSummary(song) {
+        try {
+            const response = await fetch(`/api/songs/${song.id}/practice`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch practice summary: ${response.status}`);
+            }
+
+            // Ignore late responses for a song that is no longer displayed
+            if (!this.currentSong || this.currentSong.id !== song.id) return;
+
+            this.displayPracticeSummary(await response.json());
+        } catch (error) {
+            console.error('Error loading practice summary:', error);
+            this.displayPracticeSummary(null);
+        }
+    }
+
+    /**
+     * Display last practiced date, total minutes and session count
+     * @param {Object|null} summary - Practice summary, or null if it could not be loaded
+     */
+    displayPracticeSummary(summary) {
+        const lastPracticed = this.container.querySelector('#practiceLastPracticed');
+        const totalTime = this.container.querySelector('#practiceTotalTime');
+        const sessionCount = this.container.querySelector('#practiceSessionCount');
+        if (!lastPracticed || !totalTime || !sessionCount) return;
+
+        if (!summary) {
+            lastPracticed.textContent = 'Unknown';
+            totalTime.textContent = 'Unknown';
+            sessionCount.textContent = 'Unknown';
+            return;
+        }
+
+        const minutes = Math.round((summary.total_seconds || 0) / 60);
+        lastPracticed.textContent = summary.last_practiced ? new Date(summary.last_practiced).toLocaleString() : 'Never';
+        totalTime.textContent = `${minutes} min`;
+        sessionCount.textContent = summary.session_count || 0;
+    }
+
+    /**
+     * Load practice notes for a song
+     * @param {Object} song - Song object
+     */
+    async loadSongNotes(song) {
+        try {
+            const response = await fetch(`/api/songs/${song.id}/notes`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch notes: ${response.status}`);
+            }
+
+            // Ignore late responses for a song that is no longer displayed
+            if (!this.currentSong || this.currentSong.id !== song.id) return;
+
+            this.songNotes = await response.json();
+            this.displaySongNotes(this.songNotes);
+        } catch (error) {
+            console.error('Error loading notes:', error);
+            const container = this.container.querySelector('#songNotesContainer');
+            if (container) {
+                container.innerHTML = '<div class="error-notes">Could not load notes</div>';
+            }
+        }
+    }
+
+    /**
+     * Display the practice notes for the current song
+     * @param {Array} notes - Array of note objects
+     */
+    displaySongNotes(notes) {
+        // Timestamped notes are also marked on the player's waveform
+        if (this.audioPlayer) {
+            this.audioPlayer.setNoteMarkers(notes);
+        }
+
+        const container = this.container.querySelector('#songNotesContainer');
+        if (!container) return;
+
+        if (!notes || notes.length === 0) {
+            container.innerHTML = '<div class="no-notes-message">- no notes yet -</div>';
+            return;
+        }
+
+        container.innerHTML = notes.map(note => `
+            <div class="song-note-item">
+                ${note.position !== null ? `
+                    <button class="note-timestamp" data-position="${note.position}" title="Jump to ${this.formatPosition(note.position)}">
+                        ${this.formatPosition(note.position)}
+                    </button>
+                ` : ''}
+                <span class="note-content">${this.escapeHtml(note.content)}</span>
+                <button class="remove-note" data-note-id="${note.id}" title="Delete note">🗑️</button>
+            </div>
+        `).join('');
+
+        this.attachNoteEventHandlers();
+    }
+
+    /**
+     * Attach event listeners for note timestamps and delete buttons
+     */
+    attachNoteEventHandlers() {
+        this.container.querySelectorAll('.note-timestamp').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.seekToNote(parseFloat(btn.dataset.position));
+            });
+        });
+
+        this.container.querySelectorAll('.remove-note').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleDeleteNote(parseInt(btn.dataset.noteId));
+            });
+        });
+    }
+
+    /**
+     * Seek the embedded player to a note's position
+     * @param {number} position - Position in seconds
+     */
+    async seekToNote(position) {
+        if (!this.audioPlayer || !this.audioPlayer.howl) {
+            await customAlert('The audio player is not ready yet.', 'Player Not Ready');
+            return;
+        }
+
+        if (this.audioPlayer.isPitchShifted()) {
+            await customAlert('Seeking is disabled while pitch shifting is active. Reset pitch and fine tuning to 0 and A4 to 440 Hz to jump to a note.', 'Seeking Disabled');
+            return;
+        }
+
+        this.audioPlayer.seek(position);
+    }
+
+    /**
+     * Handle adding a practice note from the note input
+     */
+    async handleAddNote() {
+        const input = this.container.querySelector('#newNoteInput');
+        const atPosition = this.container.querySelector('#newNoteAtPosition');
+        if (!input || !this.currentSong) return;
+
+        const content = input.value.trim();
+        if (!content) {
+            await customAlert('Please enter a note first.', 'Empty Note');
+            return;
+        }
+
+        const position = atPosition && atPosition.checked && this.audioPlayer
+            ? this.audioPlayer.getCurrentTime()
+            : null;
+
+        try {
+            const response = await fetch(`/api/songs/${this.currentSong.id}/notes`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ content, position })
+            });
+
+            if (response.ok) {
+                input.value = '';
+                await this.loadSongNotes(this.currentSong);
+            } else {
+                const error = await response.json();
+                await customAlert(`Failed to add note: ${error.error || 'Unknown error'}`, 'Failed to Add');
+            }
+        } catch (error) {
+            console.error('Error adding note:', error);
+            await customAlert('Network error: Could not add note.', 'Network Error');
+        }
+    }
+
+    /**
+     * Handle deleting a practice note
+     * @param {number} noteId - ID of note to delete
+     */
+    async handleDeleteNote(noteId) {
+        const confirmed = await customConfirm('Delete this note?', 'Delete Note');
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/songs/${this.currentSong.id}/notes/${noteId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                await this.loadSongNotes(this.currentSong);
+            } else {
+                const error = await response.json();
+                await customAlert(`Failed to delete note: ${error.error || 'Unknown error'}`, 'Failed to Delete');
+            }
+        } catch (error) {
+            console.error('Error deleting note:', error);
+            await customAlert('Network error: Could not delete note.', 'Network Error');
+        }
+    }
+
+    /**
+     * Load the song's tags and all known tags into the edit form
+     * @param {Object} song - Song object
+     */
+    async loadEditTags(song) {
+        try {
+            const [songTagsResponse, allTagsResponse] = await Promise.all([
+                fetch(`/api/songs/${song.id}/tags`),
+                fetch('/api/tags')
+            ]);
+
+            const songTags = songTagsResponse.ok ? await songTagsResponse.json() : [];
+            const allTags = allTagsResponse.ok ? await allTagsResponse.json() : [];
+
+            const input = this.container.querySelector('#edit-tags');
+            if (input && !input.value) {
+                input.value = songTags.map(tag => tag.name).join(', ');
+            }
+
+            this.displayTagSuggestions(allTags);
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+    }
+
+    /**
+     * Display existing tags as quick-pick buttons below the tags input
+     * @param {Array} allTags - All available tags
+     */
+    displayTagSuggestions(allTags) {
+        const container = this.container.querySelector('#editTagSuggestions');
+        if (!container) return;
+
+        container.innerHTML = allTags.map(tag => `
+            <button type="button" class="tag-suggestion" data-tag-name="${this.escapeHtml(tag.name)}">
+                ${this.escapeHtml(tag.name)}
+            </button>
+        `).join('');
+
+        container.querySelectorAll('.tag-suggestion').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleEditTag(btn.dataset.tagName);
+            });
+        });
+    }
+
+    /**
+     * Add or remove a tag name in the tags input
+     * @param {string} tagName - Tag name to toggle
+     */
+    toggleEditTag(tagName) {
+        const input = this.container.querySelector('#edit-tags');
+        if (!input) return;
+
+        const tags = this.collectEditTags();
+        const index = tags.findIndex(tag => tag.toLowerCase() === tagName.toLowerCase());
+        if (index >= 0) {
+            tags.splice(index, 1);
+        } else {
+            tags.push(tagName);
+        }
+        input.value = tags.join(', ');
+    }
+
+    /**
+     * Collect tag names from the edit form
+     * @returns {string[]} Tag names
+     */
+    collectEditTags() {
+        const input = this.container.querySelector('#edit-tags');
+        if (!input) return [];
+
+        return input.value
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0);
+    }
+
+    /**
+     * Replace the tags on a song
+     * @param {number} songId - Song ID
+     * @param {string[]} tags - Tag names
+     */
+    async saveSongTags(songId, tags) {
+        try {
+            const response = await fetch(`/api/songs/${songId}/tags`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ tags })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to save tags: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error saving song tags:', error);
+            await customAlert('Song saved, but its tags could not be updated.', 'Tags Not Saved');
+        }
+    }
+
     /**
      * Show a temporary success/info message
      * @param {string} message - Message to show
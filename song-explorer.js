@@ -16,9 +16,11 @@ class SongExplorer {
         this.filteredSongs = [];
         this.selectedSong = null;
         this.expandedNodes = new Set();
+        this.songsWithoutArtwork = new Set(); // Song IDs whose artwork request failed, so re-renders don't ask again
         this.searchQuery = '';
         this.resourceFilter = false;
         this.selectedSetlistId = null;
+        this.selectedTagId = null;
         this.isRendering = false; // Prevent render loops
         this.attachedEventListeners = new Set(); // Track attached listeners
         this.lastSearchTime = 0; // Throttle search requests
@@ -124,6 +126,23 @@ class SongExplorer {
                 setlistFilter.addEventListener('change', this.handleSetlistFilterChange);
             }
         }
+
+        // Tag filter dropdown
+        const tagFilter = document.getElementById('tagFilter');
+        if (tagFilter) {
+            if (!this.handleTagFilterChange) {
+                this.handleTagFilterChange = (e) => {
+                    e.stopPropagation();
+                    this.handleTagFilter(e.target.value);
+                };
+            }
+            if (window.globalListenerManager) {
+                window.globalListenerManager.safeAddListener(tagFilter, 'change', this.handleTagFilterChange);
+            } else {
+                tagFilter.removeEventListener('change', this.handleTagFilterChange);
+                tagFilter.addEventListener('change', this.handleTagFilterChange);
+            }
+        }
     }
 
     /**
@@ -141,8 +160,8 @@ class SongExplorer {
         this.songs = songs || [];
         this.filteredSongs = [...this.songs];
         
-        // Apply existing filters if present (search query OR resource filter OR setlist filter)
-        if (this.searchQuery || this.resourceFilter || this.selectedSetlistId) {
+        // Apply existing filters if present (search query OR resource filter OR setlist/tag filter)
+        if (this.searchQuery || this.resourceFilter || this.selectedSetlistId || this.selectedTagId) {
             this.applyFilters();
         } else {
             this.render();
@@ -212,6 +231,36 @@ class SongExplorer {
         }
     }
 
+    /**
+     * Handle tag filter change
+     * @param {string} tagId - Selected tag ID (empty string for none)
+     */
+    handleTagFilter(tagId) {
+        this.selectedTagId = tagId || null;
+        this.applyFilters();
+    }
+
+    /**
+     * Apply tag filter to songs array
+     * @param {Array} songs - Songs to filter
+     * @returns {Promise<Array>} Promise that resolves to filtered songs
+     */
+    async applyTagFilter(songs) {
+        try {
+            const response = await fetch(`/api/tags/${this.selectedTagId}/songs`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch tag songs: ${response.status}`);
+            }
+            const tagSongs = await response.json();
+            const tagSongIds = new Set(tagSongs.map(song => song.id));
+            
+            return songs.filter(song => tagSongIds.has(song.id));
+        } catch (error) {
+            console.error('Error applying tag filter:', error);
+            return songs; // Return unfiltered if error
+        }
+    }
+
     /**
      * Apply all active filters
      */
@@ -250,10 +299,19 @@ class SongExplorer {
             });
         }
 
-        // Apply setlist filter
-        if (this.selectedSetlistId) {
-            this.applySetlistFilter(filtered).then(filteredBySetlist => {
-                this.filteredSongs = filteredBySetlist;
+        // Apply setlist and tag filters
+        if (this.selectedSetlistId || this.selectedTagId) {
+            (async () => {
+                let result = filtered;
+                if (this.selectedSetlistId) {
+                    result = await this.applySetlistFilter(result);
+                }
+                if (this.selectedTagId) {
+                    result = await this.applyTagFilter(result);
+                }
+                return result;
+            })().then(filteredByLists => {
+                this.filteredSongs = filteredByLists;
                 this.render();
                 
                 // Restore focus and cursor position after render
@@ -263,11 +321,11 @@ class SongExplorer {
                     searchInput.setSelectionRange(selectionStart, selectionEnd);
                 }
             }).catch(error => {
-                console.error('Error filtering by setlist:', error);
+                console.error('Error filtering by setlist or tag:', error);
                 this.filteredSongs = filtered;
                 this.render();
             });
-            return; // Exit early for async setlist filtering
+            return; // Exit early for async setlist/tag filtering
         }
 
         this.filteredSongs = filtered;
@@ -289,7 +347,7 @@ class SongExplorer {
 
     /**
      * Switch view mode
-     * @param {string} view - View mode (artist, album, folder, all)
+     * @param {string} view - View mode (artist, album, genre, year, folder, all)
      */
     switchView(view) {
         this.currentView = view;
@@ -373,6 +431,12 @@ class SongExplorer {
             case 'folder':
                 html = this.renderFolderView();
                 break;
+            case 'genre':
+                html = this.renderGenreView();
+                break;
+            case 'year':
+                html = this.renderYearView();
+                break;
         case 'all':
             html = this.renderAllView();
             break;
@@ -547,7 +611,7 @@ class SongExplorer {
                 <li class="tree-node">
                     <div class="tree-item album" data-key="${albumKey}">
                         <span class="tree-expand" data-toggle="${albumKey}">${expandIcon}</span>
-                        <span class="tree-icon">💿</span>
+                        <span class="tree-icon">${this.renderAlbumArt(songs)}</span>
                         <span class="tree-label">${this.escapeHtml(album || 'Unknown Album')} (${songs.length})</span>
                     </div>
                     <ul class="tree-children ${isExpanded ? '' : 'collapsed'}">
@@ -560,6 +624,77 @@ class SongExplorer {
         return html;
     }
 
+    /**
+     * Render genre view
+     */
+    renderGenreView() {
+        const genreGroups = this.groupByGenre(this.filteredSongs);
+        let html = '';
+
+        for (const [genre, songs] of genreGroups) {
+            const genreKey = `genre-${this.sanitizeKey(genre)}`;
+            const isExpanded = this.expandedNodes.has(genreKey);
+            const expandIcon = isExpanded ? '▼' : '▶';
+            
+            html += `
+                <li class="tree-node">
+                    <div class="tree-item genre" data-key="${genreKey}">
+                        <span class="tree-expand" data-toggle="${genreKey}">${expandIcon}</span>
+                        <span class="tree-icon">🎼</span>
+                        <span class="tree-label">${this.escapeHtml(genre)} (${songs.length})</span>
+                    </div>
+                    <ul class="tree-children ${isExpanded ? '' : 'collapsed'}">
+                        ${songs.map(song => this.renderSongItem(song)).join('')}
+                    </ul>
+                </li>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * Render year view
+     */
+    renderYearView() {
+        const yearGroups = this.groupByYear(this.filteredSongs);
+        let html = '';
+
+        for (const [year, songs] of yearGroups) {
+            const yearKey = `year-${this.sanitizeKey(year)}`;
+            const isExpanded = this.expandedNodes.has(yearKey);
+            const expandIcon = isExpanded ? '▼' : '▶';
+            
+            html += `
+                <li class="tree-node">
+                    <div class="tree-item year" data-key="${yearKey}">
+                        <span class="tree-expand" data-toggle="${yearKey}">${expandIcon}</span>
+                        <span class="tree-icon">📅</span>
+                        <span class="tree-label">${this.escapeHtml(year)} (${songs.length})</span>
+                    </div>
+                    <ul class="tree-children ${isExpanded ? '' : 'collapsed'}">
+                        ${songs.map(song => this.renderSongItem(song)).join('')}
+                    </ul>
+                </li>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * Render the icon for an album, using the cover art of its first song with a file
+     * @param {Array} songs - Songs in the album
+     * @returns {string} Image HTML, or the default album icon
+     */
+    renderAlbumArt(songs) {
+        const song = songs.find(entry => entry.file_path && !this.songsWithoutArtwork.has(entry.id));
+        if (!song) {
+            return '💿';
+        }
+        return `<img class="album-art" src="/api/songs/${song.id}/artwork?size=small" data-song-id="${song.id}" alt="" loading="lazy">`;
+    }
+
     /**
      * Render folder view
      */
@@ -650,9 +785,52 @@ class SongExplorer {
             groups.get(album).push(song);
         });
 
+        // Albums play in disc and track order; untagged songs go last
+        groups.forEach(albumSongs => albumSongs.sort((a, b) =>
+            (a.disc_number || Infinity) - (b.disc_number || Infinity) ||
+            (a.track_number || Infinity) - (b.track_number || Infinity)));
+
         return new Map([...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])));
     }
 
+    /**
+     * Group songs by genre
+     * @param {Array} songs - Songs to group
+     */
+    groupByGenre(songs) {
+        const groups = new Map();
+        
+        songs.forEach(song => {
+            const genre = song.genre || 'Unknown Genre';
+            if (!groups.has(genre)) {
+                groups.set(genre, []);
+            }
+            groups.get(genre).push(song);
+        });
+
+        return new Map([...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+    }
+
+    /**
+     * Group songs by year, newest first
+     * @param {Array} songs - Songs to group
+     */
+    groupByYear(songs) {
+        const groups = new Map();
+        
+        songs.forEach(song => {
+            const year = song.year ? String(song.year) : 'Unknown Year';
+            if (!groups.has(year)) {
+                groups.set(year, []);
+            }
+            groups.get(year).push(song);
+        });
+
+        // Songs without a year sort after every tagged year
+        const yearValue = (year) => parseInt(year, 10) || 0;
+        return new Map([...groups.entries()].sort((a, b) => yearValue(b[0]) - yearValue(a[0])));
+    }
+
     /**
      * Group songs by folder
      * @param {Array} songs - Songs to group
@@ -727,6 +905,20 @@ class SongExplorer {
             });
         });
 
+        // Albums without cover art fall back to the default icon
+        const albumArt = this.container.querySelectorAll('img.album-art');
+        albumArt.forEach(img => {
+            const fallback = () => {
+                this.songsWithoutArtwork.add(parseInt(img.dataset.songId));
+                img.replaceWith('💿');
+            };
+            if (img.complete && img.naturalWidth === 0) {
+                fallback();
+            } else {
+                img.addEventListener('error', fallback);
+            }
+        });
+
         // Song selection
         const songItems = this.container.querySelectorAll('.tree-item.song');
         
@@ -773,8 +965,8 @@ class SongExplorer {
             });
         });
 
-        // Artist/Album/Folder selection (expand on click)
-        const groupItems = this.container.querySelectorAll('.tree-item.artist, .tree-item.album, .tree-item.folder');
+        // Group selection (expand on click)
+        const groupItems = this.container.querySelectorAll('.tree-item.artist, .tree-item.album, .tree-item.genre, .tree-item.year, .tree-item.folder');
         groupItems.forEach(item => {
             item.addEventListener('click', (e) => {
                 // Prevent event from bubbling up
@@ -32,7 +32,22 @@ CREATE TABLE IF NOT EXISTS songs (
     lyrics_url TEXT,
     lyrics_verified BOOLEAN DEFAULT 0,
     album TEXT,
-    is_removed BOOLEAN DEFAULT 0
+    is_removed BOOLEAN DEFAULT 0,
+    file_mtime TEXT,
+    file_hash TEXT,
+    genre TEXT,
+    year INTEGER,
+    track_number INTEGER,
+    disc_number INTEGER,
+    album_artist TEXT,
+    composer TEXT,
+    bpm REAL,
+    musical_key TEXT,
+    detected_key TEXT,
+    key_confidence REAL,
+    tuning_offset REAL,
+    analyzed_at TEXT,
+    lyrics_checked_at TEXT
 );
 
 -- Scan directories table
@@ -70,18 +85,112 @@ CREATE TABLE IF NOT EXISTS song_setlists (
     UNIQUE(song_id, setlist_id)
 );
 
+-- Tags table (difficulty, genre, practice status, etc.)
+CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Song-Tag junction table (many-to-many relationship)
+CREATE TABLE IF NOT EXISTS song_tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    UNIQUE(song_id, tag_id)
+);
+
+-- Practice notes per song, optionally pinned to a playback position (seconds)
+CREATE TABLE IF NOT EXISTS song_notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    position REAL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+-- Named A-B loop regions per song (times in seconds), ordered by sort_order
+CREATE TABLE IF NOT EXISTS song_loops (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    start_time REAL NOT NULL,
+    end_time REAL NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+-- Practice history: one row per stretch of playback in the embedded player
+CREATE TABLE IF NOT EXISTS practice_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id INTEGER NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    duration_seconds REAL NOT NULL,
+    speed REAL DEFAULT 1.0,
+    pitch INTEGER DEFAULT 0,
+    loop_start REAL,
+    loop_end REAL,
+    loop_name TEXT,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+-- Per-song player settings: last-used values plus an optional saved default practice setting.
+-- pitch_cents and reference_pitch (A4 in Hz) fine-tune the song and have no default
+CREATE TABLE IF NOT EXISTS song_player_settings (
+    song_id INTEGER PRIMARY KEY,
+    speed REAL,
+    pitch INTEGER,
+    pitch_cents INTEGER,
+    reference_pitch INTEGER,
+    volume REAL,
+    default_speed REAL,
+    default_pitch INTEGER,
+    default_volume REAL,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+-- Cached waveform peaks, tied to the file size/mtime they were computed from
+CREATE TABLE IF NOT EXISTS waveform_cache (
+    song_id INTEGER PRIMARY KEY,
+    file_size INTEGER NOT NULL,
+    file_mtime TEXT NOT NULL,
+    duration REAL,
+    peaks TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_songs_title ON songs(title);
 CREATE INDEX IF NOT EXISTS idx_songs_artist ON songs(artist);
 CREATE INDEX IF NOT EXISTS idx_songs_file_path ON songs(file_path);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_songs_file_path_unique ON songs(file_path) WHERE file_path IS NOT NULL AND file_path != '';
 CREATE INDEX IF NOT EXISTS idx_songs_extracted_title ON songs(extracted_title);
 CREATE INDEX IF NOT EXISTS idx_songs_extracted_artist ON songs(extracted_artist);
 CREATE INDEX IF NOT EXISTS idx_songs_created_at ON songs(created_at);
 CREATE INDEX IF NOT EXISTS idx_songs_is_removed ON songs(is_removed);
+CREATE INDEX IF NOT EXISTS idx_songs_file_hash ON songs(file_hash);
+CREATE INDEX IF NOT EXISTS idx_songs_genre ON songs(genre);
+CREATE INDEX IF NOT EXISTS idx_songs_year ON songs(year);
 CREATE INDEX IF NOT EXISTS idx_scan_directories_path ON scan_directories(path);
 CREATE INDEX IF NOT EXISTS idx_app_settings_key ON app_settings(key);
 CREATE INDEX IF NOT EXISTS idx_song_setlists_song_id ON song_setlists(song_id);
 CREATE INDEX IF NOT EXISTS idx_song_setlists_setlist_id ON song_setlists(setlist_id);
+CREATE INDEX IF NOT EXISTS idx_song_tags_song_id ON song_tags(song_id);
+CREATE INDEX IF NOT EXISTS idx_song_tags_tag_id ON song_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_song_notes_song_id ON song_notes(song_id);
+CREATE INDEX IF NOT EXISTS idx_song_loops_song_id ON song_loops(song_id);
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_song_id ON practice_sessions(song_id);
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_started_at ON practice_sessions(started_at);
 
 -- Initialize default app settings
 INSERT OR IGNORE INTO app_settings (key, value) VALUES 
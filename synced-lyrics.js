@@ -0,0 +1,374 @@
+/**
+ * Synced Lyrics Pane for Jamber3
+ * Karaoke-style view of LRC lyrics that follows playback, with a tap editor for adding timestamps
+ */
+class SyncedLyrics {
+    /**
+     * @param {HTMLElement} container - Element the pane renders into
+     * @param {Object} options - { getTime, onSeek, onSave } callbacks for the player position, line clicks and saving LRC text
+     */
+    constructor(container, { getTime, onSeek, onSave }) {
+        this.container = container;
+        this.getTime = getTime;
+        this.onSeek = onSeek;
+        this.onSave = onSave;
+
+        this.lyricsText = '';
+        this.lines = []; // { time, text } sorted by time
+        this.offset = 0; // Seconds from an [offset:] tag
+        this.currentIndex = -1;
+        this.editor = null; // { lines: [{ time, text }], index } while editing timestamps
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Parse LRC text
+     * A line may have several timestamps when it repeats, e.g. a chorus
+     * @param {string} text - LRC text
+     * @returns {Object} { lines: [{ time, text }] sorted by time, offset in seconds }
+     */
+    static parse(text) {
+        const lines = [];
+        let offset = 0;
+
+        for (const rawLine of (text || '').split(/\r?\n/)) {
+            const offsetTag = rawLine.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+            if (offsetTag) {
+                // Positive offsets make lyrics appear sooner
+                offset = parseInt(offsetTag[1], 10) / 1000;
+                continue;
+            }
+
+            const stamps = [];
+            let rest = rawLine.trim();
+            let match;
+            while ((match = rest.match(/^\[(\d+):(\d{1,2}(?:[.:]\d+)?)\]/))) {
+                stamps.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+                rest = rest.substring(match[0].length);
+            }
+
+            stamps.forEach(time => lines.push({ time, text: rest.trim() }));
+        }
+
+        lines.sort((a, b) => a.time - b.time);
+        return { lines, offset };
+    }
+
+    /**
+     * Turn timed lines back into LRC text
+     * @param {Array} lines - { time, text }
+     * @returns {string} LRC text
+     */
+    static format(lines) {
+        return lines
+            .map(line => `[${SyncedLyrics.formatTimestamp(line.time)}]${line.text}`)
+            .join('\n');
+    }
+
+    /**
+     * Format seconds as an LRC timestamp
+     * @param {number} seconds - Time in the song
+     * @returns {string} mm:ss.xx
+     */
+    static formatTimestamp(seconds) {
+        const hundredths = Math.round(Math.max(0, seconds) * 100);
+        const minutes = Math.floor(hundredths / 6000);
+        const secs = Math.floor(hundredths / 100) % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Show a song's lyrics
+     * @param {string} lyricsText - LRC or plain lyrics
+     */
+    load(lyricsText) {
+        this.lyricsText = lyricsText || '';
+        const parsed = SyncedLyrics.parse(this.lyricsText);
+        this.lines = parsed.lines;
+        this.offset = parsed.offset;
+        this.currentIndex = -1;
+        this.editor = null;
+        this.render();
+    }
+
+    /**
+     * Follow playback; called with every player progress update
+     * Times are positions in the song rather than elapsed time, so the highlight is right at any speed
+     * @param {number} currentTime - Playback position in seconds
+     */
+    update(currentTime) {
+        if (this.editor) {
+            this.updateEditorTime(currentTime);
+            return;
+        }
+        if (this.lines.length === 0) return;
+
+        const index = this.findLineIndex(currentTime + this.offset);
+        if (index === this.currentIndex) return;
+
+        const previous = this.container.querySelector('.synced-lyrics-line.current');
+        if (previous) {
+            previous.classList.remove('current');
+        }
+
+        this.currentIndex = index;
+        const lineEl = this.container.querySelector(`.synced-lyrics-line[data-index="${index}"]`);
+        if (lineEl) {
+            lineEl.classList.add('current');
+            this.scrollToLine(lineEl);
+        }
+    }
+
+    /**
+     * Find the last line that has started by a given time
+     * @param {number} time - Position in seconds
+     * @returns {number} Line index, or -1 before the first line
+     */
+    findLineIndex(time) {
+        let low = 0;
+        let high = this.lines.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.lines[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Scroll the pane, not the page, so a line sits in the middle
+     * @param {HTMLElement} lineEl - Line element
+     */
+    scrollToLine(lineEl) {
+        const scroller = this.container.querySelector('.synced-lyrics-scroll');
+        if (!scroller) return;
+
+        // The scroller is positioned, so offsetTop is measured from its top
+        const target = lineEl.offsetTop - (scroller.clientHeight - lineEl.offsetHeight) / 2;
+        scroller.scrollTo({ top: Math.max(0, target), behavior: 'smooth' });
+    }
+
+    /**
+     * Render the pane for the current mode
+     */
+    render() {
+        if (this.editor) {
+            this.renderEditor();
+            return;
+        }
+
+        if (this.lines.length === 0) {
+            this.container.innerHTML = `
+                <div class="synced-lyrics-empty">
+                    These lyrics have no timestamps yet. Play the song and tap along to sync them.
+                </div>
+                <div class="synced-lyrics-actions">
+                    <button class="btn-secondary" data-lyrics-action="edit">⏱ Sync Lyrics</button>
+                </div>
+            `;
+        } else {
+            this.container.innerHTML = `
+                <div class="synced-lyrics-scroll">
+                    ${this.lines.map((line, index) => `
+                        <div class="synced-lyrics-line" data-index="${index}" title="Jump to ${SyncedLyrics.formatTimestamp(line.time)}">
+                            ${this.escapeHtml(line.text) || '♪'}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="synced-lyrics-actions">
+                    <button class="btn-secondary" data-lyrics-action="edit">⏱ Edit Timing</button>
+                </div>
+            `;
+        }
+
+        this.attachEventListeners();
+    }
+
+    /**
+     * Render the timestamp editor
+     */
+    renderEditor() {
+        const { lines, index } = this.editor;
+
+        this.container.innerHTML = `
+            <div class="synced-lyrics-editor-help">
+                Play the song and press <strong>Tap</strong> (or Enter) as each highlighted line starts.
+            </div>
+            <div class="synced-lyrics-scroll">
+                ${lines.map((line, lineIndex) => `
+                    <div class="synced-lyrics-line editor-line ${lineIndex === index ? 'current' : ''}" data-index="${lineIndex}">
+                        <span class="synced-lyrics-time">${line.time === null ? '--:--.--' : SyncedLyrics.formatTimestamp(line.time)}</span>
+                        <span class="synced-lyrics-text">${this.escapeHtml(line.text) || '♪'}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="synced-lyrics-actions">
+                <span class="synced-lyrics-position">0:00.00</span>
+                <button class="btn-primary" data-lyrics-action="tap" ${index >= lines.length ? 'disabled' : ''}>⏱ Tap</button>
+                <button class="btn-secondary" data-lyrics-action="back" ${index === 0 ? 'disabled' : ''}>↶ Back</button>
+                <button class="btn-secondary" data-lyrics-action="save" ${lines.some(line => line.time !== null) ? '' : 'disabled'}>💾 Save</button>
+                <button class="btn-secondary" data-lyrics-action="cancel">Cancel</button>
+            </div>
+        `;
+
+        this.attachEventListeners();
+
+        const currentEl = this.container.querySelector(`.synced-lyrics-line[data-index="${index}"]`);
+        if (currentEl) {
+            this.scrollToLine(currentEl);
+        }
+    }
+
+    /**
+     * Attach click handlers for lines and buttons
+     */
+    attachEventListeners() {
+        this.container.querySelectorAll('[data-lyrics-action]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleAction(btn.dataset.lyricsAction));
+        });
+
+        if (!this.editor) {
+            this.container.querySelectorAll('.synced-lyrics-line').forEach(lineEl => {
+                lineEl.addEventListener('click', () => {
+                    const line = this.lines[parseInt(lineEl.dataset.index, 10)];
+                    if (line && this.onSeek) {
+                        this.onSeek(Math.max(0, line.time - this.offset));
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Handle a pane button
+     * @param {string} action - edit, tap, back, save or cancel
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'edit':
+                this.startEditing();
+                break;
+            case 'tap':
+                this.tap();
+                break;
+            case 'back':
+                this.stepBack();
+                break;
+            case 'save':
+                this.saveEditing();
+                break;
+            case 'cancel':
+                this.editor = null;
+                this.render();
+                break;
+        }
+    }
+
+    /**
+     * Open the editor on the lyric lines, keeping any timestamps they already have
+     */
+    startEditing() {
+        let lines;
+        if (this.lines.length > 0) {
+            lines = this.lines.map(line => ({ time: line.time, text: line.text }));
+        } else {
+            lines = this.lyricsText.split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !/^\[[a-z]+:.*\]$/i.test(line)) // Skip LRC header tags
+                .map(text => ({ time: null, text }));
+        }
+
+        if (lines.length === 0) return;
+
+        this.editor = { lines, index: 0 };
+        this.renderEditor();
+    }
+
+    /**
+     * Stamp the highlighted line with the playback position and move to the next one
+     */
+    tap() {
+        if (!this.editor || this.editor.index >= this.editor.lines.length) return;
+
+        // Stored in the file's timeline, which the [offset:] tag written back out shifts by this.offset
+        this.editor.lines[this.editor.index].time = Math.max(0, this.getTime() + this.offset);
+        this.editor.index++;
+        this.renderEditor();
+    }
+
+    /**
+     * Go back a line and clear its timestamp, to re-tap it
+     */
+    stepBack() {
+        if (!this.editor || this.editor.index === 0) return;
+
+        this.editor.index--;
+        this.editor.lines[this.editor.index].time = null;
+        this.renderEditor();
+    }
+
+    /**
+     * Save the timed lines as LRC; lines that were never tapped are left out
+     */
+    async saveEditing() {
+        if (!this.editor || !this.onSave) return;
+
+        const timedLines = this.editor.lines.filter(line => line.time !== null);
+        const lrc = SyncedLyrics.format(timedLines.sort((a, b) => a.time - b.time));
+        const saved = await this.onSave(this.offset ? `[offset:${Math.round(this.offset * 1000)}]\n${lrc}` : lrc);
+        if (saved) {
+            this.load(saved);
+        }
+    }
+
+    /**
+     * Show the playback position in the editor
+     * @param {number} currentTime - Playback position in seconds
+     */
+    updateEditorTime(currentTime) {
+        const positionEl = this.container.querySelector('.synced-lyrics-position');
+        if (positionEl) {
+            positionEl.textContent = SyncedLyrics.formatTimestamp(currentTime);
+        }
+    }
+
+    /**
+     * Tap with Enter while the editor is open
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        if (!this.editor || e.code !== 'Enter' || !this.container.isConnected) return;
+        if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
+
+        // Also stops Enter from clicking whichever button has focus
+        e.preventDefault();
+        this.tap();
+    }
+
+    /**
+     * Stop listening for keys; call before the pane is thrown away
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.editor = null;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,655 @@
+const fs = require('fs');
+const path = require('path');
+
+// Library fields that can be written to a file, and the tag each one becomes per container
+const TAG_FIELDS = ['title', 'artist', 'album', 'lyrics'];
+const ID3_FRAMES = { title: 'TIT2', artist: 'TPE1', album: 'TALB', lyrics: 'USLT' };
+const VORBIS_KEYS = { title: ['TITLE'], artist: ['ARTIST'], album: ['ALBUM'], lyrics: ['LYRICS', 'UNSYNCEDLYRICS'] };
+const MP4_ATOMS = { title: '©nam', artist: '©ART', album: '©alb', lyrics: '©lyr' };
+
+// MP4 boxes that are descended into to reach the chunk offset tables and the iTunes item list
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'meta', 'ilst', 'edts']);
+
+const TAG_PADDING = 1024;
+const COPY_CHUNK_SIZE = 1024 * 1024;
+
+class TagWriter {
+    constructor({ metadataExtractor }) {
+        this.metadataExtractor = metadataExtractor;
+        this.supportedFormats = ['.mp3', '.flac', '.m4a'];
+    }
+
+    /**
+     * Check whether tags can be written to a file
+     * @param {string} filePath - Path to the audio file
+     * @returns {boolean} True for MP3, FLAC and M4A files
+     */
+    isSupported(filePath) {
+        return !!filePath && this.supportedFormats.includes(path.extname(filePath).toLowerCase());
+    }
+
+    /**
+     * Get the values a song's tags should hold
+     * @param {Object} song - Song row
+     * @returns {Object} Values keyed by tag field
+     */
+    getLibraryValues(song) {
+        return {
+            title: song.title || '',
+            artist: song.artist || '',
+            album: song.album || '',
+            lyrics: song.lyrics_content || ''
+        };
+    }
+
+    /**
+     * Compare a song's library fields with the tags in its file
+     * Empty library fields are left alone rather than clearing the tag
+     * @param {Object} song - Song row
+     * @returns {Promise<Object>} { format, changes: [{ field, file, library }] }
+     */
+    async previewTags(song) {
+        const fileValues = await this.metadataExtractor.readTags(song.file_path);
+        const libraryValues = this.getLibraryValues(song);
+
+        const changes = TAG_FIELDS
+            .filter(field => libraryValues[field] &&
+                this.normalizeValue(libraryValues[field]) !== this.normalizeValue(fileValues[field]))
+            .map(field => ({ field, file: fileValues[field], library: libraryValues[field] }));
+
+        return { format: path.extname(song.file_path).substring(1).toLowerCase(), changes };
+    }
+
+    /**
+     * Write a song's library fields into its file's tags
+     * The new file is written next to the original, re-read to check it, then renamed over it
+     * @param {Object} song - Song row
+     * @returns {Promise<Object>} The preview that was applied
+     */
+    async writeTags(song) {
+        const filePath = song.file_path;
+        if (!this.isSupported(filePath)) {
+            throw new Error(`Writing tags is not supported for ${path.extname(filePath) || 'this'} files`);
+        }
+
+        const preview = await this.previewTags(song);
+        if (preview.changes.length === 0) {
+            return preview;
+        }
+
+        const values = {};
+        preview.changes.forEach(change => {
+            values[change.field] = change.library;
+        });
+
+        const ext = path.extname(filePath).toLowerCase();
+        let segments;
+        if (ext === '.mp3') {
+            segments = this.buildId3Segments(filePath, values);
+        } else if (ext === '.flac') {
+            segments = this.buildFlacSegments(filePath, values);
+        } else {
+            segments = this.buildMp4Segments(filePath, values);
+        }
+
+        // Hidden, and without a music extension, so scans and the folder watcher ignore it
+        const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.jamber3-tmp`);
+        try {
+            await this.writeSegments(filePath, tempPath, segments);
+
+            const written = await this.metadataExtractor.readTags(tempPath);
+            const mismatch = Object.keys(values)
+                .find(field => this.normalizeValue(written[field]) !== this.normalizeValue(values[field]));
+            if (mismatch) {
+                throw new Error(`The rewritten file did not read back the new ${mismatch}`);
+            }
+
+            await fs.promises.chmod(tempPath, fs.statSync(filePath).mode);
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        return preview;
+    }
+
+    /**
+     * Normalise a tag value for comparison
+     * @param {string} value - Tag value
+     * @returns {string} Trimmed value with Unix line endings
+     */
+    normalizeValue(value) {
+        return (value || '').replace(/\r\n?/g, '\n').trim();
+    }
+
+    /**
+     * Copy the pieces of the new file into place
+     * @param {string} sourcePath - Original file
+     * @param {string} targetPath - File to create
+     * @param {Array} segments - Buffers to write, or { start, end } byte ranges to copy from the original
+     */
+    async writeSegments(sourcePath, targetPath, segments) {
+        const source = await fs.promises.open(sourcePath, 'r');
+        let target = null;
+        try {
+            target = await fs.promises.open(targetPath, 'w');
+            const buffer = Buffer.alloc(COPY_CHUNK_SIZE);
+
+            for (const segment of segments) {
+                if (Buffer.isBuffer(segment)) {
+                    await target.write(segment);
+                    continue;
+                }
+
+                let position = segment.start;
+                while (position < segment.end) {
+                    const length = Math.min(buffer.length, segment.end - position);
+                    const { bytesRead } = await source.read(buffer, 0, length, position);
+                    if (bytesRead === 0) {
+                        throw new Error('The file was shortened while its tags were being written');
+                    }
+                    await target.write(buffer, 0, bytesRead);
+                    position += bytesRead;
+                }
+            }
+
+            await target.sync();
+        } finally {
+            await source.close();
+            if (target) {
+                await target.close();
+            }
+        }
+    }
+
+    /**
+     * Read a byte range of a file
+     * @param {number} fd - Open file descriptor
+     * @param {number} position - Offset to start at
+     * @param {number} length - Number of bytes
+     * @returns {Buffer} The bytes read, which may be fewer at the end of the file
+     */
+    readBytes(fd, position, length) {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    }
+
+    /**
+     * Decode a 28-bit synchsafe integer
+     * @param {Buffer} buffer - Source buffer
+     * @param {number} offset - Offset of the four bytes
+     * @returns {number} Value
+     */
+    readSynchsafe(buffer, offset) {
+        return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+    }
+
+    /**
+     * Encode a 28-bit synchsafe integer
+     * @param {number} value - Value
+     * @returns {Buffer} Four bytes
+     */
+    writeSynchsafe(value) {
+        return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+    }
+
+    /**
+     * Size of an ID3v2 tag at the start of a file
+     * @param {Buffer} header - First ten bytes of the file
+     * @returns {number} Tag length including header and footer, or 0 if there is no tag
+     */
+    getId3TagLength(header) {
+        if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+            return 0;
+        }
+        const hasFooter = (header[5] & 0x10) !== 0;
+        return 10 + this.readSynchsafe(header, 6) + (hasFooter ? 10 : 0);
+    }
+
+    /**
+     * Plan an MP3 with a rewritten ID3v2 tag, keeping the frames that aren't being replaced
+     * @param {string} filePath - Path to the MP3
+     * @param {Object} values - New values keyed by tag field
+     * @returns {Array} Segments for writeSegments
+     */
+    buildId3Segments(filePath, values) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const fileSize = fs.fstatSync(fd).size;
+            const header = this.readBytes(fd, 0, 10);
+            const tagLength = this.getId3TagLength(header);
+
+            let version = 3;
+            const keptFrames = [];
+            if (tagLength > 0) {
+                version = header[3];
+                if (version !== 3 && version !== 4) {
+                    throw new Error(`ID3v2.${version} tags can't be rewritten`);
+                }
+
+                let body = this.readBytes(fd, 10, this.readSynchsafe(header, 6));
+                const flags = header[5];
+                if (version === 3 && (flags & 0x80)) {
+                    body = this.removeUnsynchronisation(body);
+                }
+
+                let offset = 0;
+                if (flags & 0x40) {
+                    offset = version === 3 ? body.readUInt32BE(0) + 4 : this.readSynchsafe(body, 0);
+                }
+
+                const replacedIds = Object.keys(values).map(field => ID3_FRAMES[field]);
+                while (offset + 10 <= body.length) {
+                    const id = body.toString('latin1', offset, offset + 4);
+                    if (!/^[A-Z0-9]{4}$/.test(id)) break; // Padding
+
+                    const size = version === 4 ? this.readSynchsafe(body, offset + 4) : body.readUInt32BE(offset + 4);
+                    if (!replacedIds.includes(id)) {
+                        keptFrames.push(body.subarray(offset, offset + 10 + size));
+                    }
+                    offset += 10 + size;
+                }
+            }
+
+            const newFrames = Object.keys(values).map(field =>
+                this.buildId3Frame(ID3_FRAMES[field], values[field], version));
+            const frames = Buffer.concat([...keptFrames, ...newFrames, Buffer.alloc(TAG_PADDING)]);
+            const tagHeader = Buffer.concat([
+                Buffer.from('ID3', 'latin1'),
+                Buffer.from([version, 0, 0]),
+                this.writeSynchsafe(frames.length)
+            ]);
+
+            // Keep a trailing ID3v1 tag in step for players that only read that
+            const trailer = fileSize >= 128 + tagLength ? this.readBytes(fd, fileSize - 128, 128) : Buffer.alloc(0);
+            if (trailer.toString('latin1', 0, 3) === 'TAG') {
+                return [tagHeader, frames, { start: tagLength, end: fileSize - 128 }, this.updateId3v1(trailer, values)];
+            }
+
+            return [tagHeader, frames, { start: tagLength, end: fileSize }];
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Undo ID3v2.3 tag-wide unsynchronisation (0xFF 0x00 back to 0xFF)
+     * @param {Buffer} body - Tag body
+     * @returns {Buffer} Decoded body
+     */
+    removeUnsynchronisation(body) {
+        const bytes = [];
+        for (let i = 0; i < body.length; i++) {
+            bytes.push(body[i]);
+            if (body[i] === 0xff && body[i + 1] === 0x00) {
+                i++;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Build a text or unsynchronised lyrics frame
+     * ID3v2.3 has no UTF-8, so text there is UTF-16 with a byte order mark
+     * @param {string} id - Frame id
+     * @param {string} value - Text
+     * @param {number} version - ID3v2 major version
+     * @returns {Buffer} Frame with header
+     */
+    buildId3Frame(id, value, version) {
+        const encodeText = (text) => version === 4
+            ? Buffer.from(text, 'utf8')
+            : Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+        const terminator = version === 4 ? Buffer.from([0]) : Buffer.from([0, 0]);
+        const encoding = Buffer.from([version === 4 ? 3 : 1]);
+
+        const data = id === 'USLT'
+            // Language, then an empty content descriptor
+            ? Buffer.concat([encoding, Buffer.from('eng', 'latin1'), encodeText(''), terminator, encodeText(value)])
+            : Buffer.concat([encoding, encodeText(value)]);
+
+        const size = Buffer.alloc(4);
+        if (version === 4) {
+            this.writeSynchsafe(data.length).copy(size);
+        } else {
+            size.writeUInt32BE(data.length);
+        }
+
+        return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.from([0, 0]), data]);
+    }
+
+    /**
+     * Update the fixed-width fields of an ID3v1 tag
+     * @param {Buffer} tag - The 128-byte tag
+     * @param {Object} values - New values keyed by tag field
+     * @returns {Buffer} Updated tag
+     */
+    updateId3v1(tag, values) {
+        const updated = Buffer.from(tag);
+        const fields = { title: 3, artist: 33, album: 63 };
+
+        for (const [field, offset] of Object.entries(fields)) {
+            if (values[field] === undefined) continue;
+
+            // Latin-1 only; anything else would come out as the wrong character
+            const text = Buffer.from(values[field].replace(/[^\x20-\xff]/g, '?'), 'latin1').subarray(0, 30);
+            updated.fill(0, offset, offset + 30);
+            text.copy(updated, offset);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Plan a FLAC file with a rewritten Vorbis comment block, keeping the other metadata blocks
+     * @param {string} filePath - Path to the FLAC file
+     * @param {Object} values - New values keyed by tag field
+     * @returns {Array} Segments for writeSegments
+     */
+    buildFlacSegments(filePath, values) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const fileSize = fs.fstatSync(fd).size;
+
+            // Some taggers put an ID3v2 tag in front of the stream; it is carried over untouched
+            const prefixLength = this.getId3TagLength(this.readBytes(fd, 0, 10));
+            if (this.readBytes(fd, prefixLength, 4).toString('latin1') !== 'fLaC') {
+                throw new Error('Not a FLAC file');
+            }
+
+            const blocks = [];
+            let vendor = 'Jamber3';
+            let comments = [];
+            let commentIndex = -1;
+            let offset = prefixLength + 4;
+            let isLast = false;
+
+            while (!isLast) {
+                const blockHeader = this.readBytes(fd, offset, 4);
+                if (blockHeader.length < 4) {
+                    throw new Error('The FLAC metadata is truncated');
+                }
+                isLast = (blockHeader[0] & 0x80) !== 0;
+                const type = blockHeader[0] & 0x7f;
+                const length = blockHeader.readUIntBE(1, 3);
+
+                if (type === 4) {
+                    ({ vendor, comments } = this.parseVorbisComments(this.readBytes(fd, offset + 4, length)));
+                    commentIndex = blocks.length;
+                } else if (type !== 1) {
+                    // Everything but padding, which is replaced below
+                    blocks.push({ type, data: this.readBytes(fd, offset + 4, length) });
+                }
+                offset += 4 + length;
+            }
+
+            const replacedKeys = Object.keys(values).flatMap(field => VORBIS_KEYS[field]);
+            comments = comments.filter(comment => !replacedKeys.includes(comment.split('=')[0].toUpperCase()));
+            Object.keys(values).forEach(field => {
+                comments.push(`${VORBIS_KEYS[field][0]}=${values[field]}`);
+            });
+
+            // STREAMINFO has to stay first
+            const commentBlock = { type: 4, data: this.buildVorbisComments(vendor, comments) };
+            blocks.splice(commentIndex === -1 ? 1 : commentIndex, 0, commentBlock);
+            blocks.push({ type: 1, data: Buffer.alloc(TAG_PADDING) });
+
+            const metadata = blocks.map((block, index) => {
+                if (block.data.length > 0xffffff) {
+                    throw new Error('A FLAC metadata block is too large');
+                }
+                const blockHeader = Buffer.alloc(4);
+                blockHeader.writeUIntBE(block.data.length, 1, 3);
+                blockHeader[0] = block.type | (index === blocks.length - 1 ? 0x80 : 0);
+                return Buffer.concat([blockHeader, block.data]);
+            });
+
+            const segments = [Buffer.from('fLaC', 'latin1'), ...metadata, { start: offset, end: fileSize }];
+            if (prefixLength > 0) {
+                segments.unshift({ start: 0, end: prefixLength });
+            }
+            return segments;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Parse a Vorbis comment block
+     * @param {Buffer} data - Block contents
+     * @returns {Object} { vendor, comments } with comments as raw KEY=value strings
+     */
+    parseVorbisComments(data) {
+        let offset = 0;
+        const readString = () => {
+            const length = data.readUInt32LE(offset);
+            const value = data.toString('utf8', offset + 4, offset + 4 + length);
+            offset += 4 + length;
+            return value;
+        };
+
+        const vendor = readString();
+        const count = data.readUInt32LE(offset);
+        offset += 4;
+
+        const comments = [];
+        for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+            comments.push(readString());
+        }
+        return { vendor, comments };
+    }
+
+    /**
+     * Build a Vorbis comment block
+     * @param {string} vendor - Vendor string
+     * @param {string[]} comments - KEY=value strings
+     * @returns {Buffer} Block contents
+     */
+    buildVorbisComments(vendor, comments) {
+        const encodeString = (value) => {
+            const text = Buffer.from(value, 'utf8');
+            const length = Buffer.alloc(4);
+            length.writeUInt32LE(text.length);
+            return Buffer.concat([length, text]);
+        };
+
+        const count = Buffer.alloc(4);
+        count.writeUInt32LE(comments.length);
+        return Buffer.concat([encodeString(vendor), count, ...comments.map(encodeString)]);
+    }
+
+    /**
+     * Plan an M4A file with a rewritten iTunes item list, moving chunk offsets if the movie box grows
+     * @param {string} filePath - Path to the M4A file
+     * @param {Object} values - New values keyed by tag field
+     * @returns {Array} Segments for writeSegments
+     */
+    buildMp4Segments(filePath, values) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const fileSize = fs.fstatSync(fd).size;
+
+            const topLevel = [];
+            let offset = 0;
+            while (offset + 8 <= fileSize) {
+                const header = this.readBytes(fd, offset, 16);
+                let size = header.readUInt32BE(0);
+                const type = header.toString('latin1', 4, 8);
+                if (size === 1) {
+                    size = Number(header.readBigUInt64BE(8));
+                } else if (size === 0) {
+                    size = fileSize - offset;
+                }
+                if (size < 8) {
+                    throw new Error('The MP4 box structure is damaged');
+                }
+                topLevel.push({ type, start: offset, end: offset + size });
+                offset += size;
+            }
+
+            const moov = topLevel.find(box => box.type === 'moov');
+            if (!moov) {
+                throw new Error('The MP4 file has no movie box');
+            }
+            if (topLevel.some(box => box.type === 'moof')) {
+                throw new Error('Fragmented MP4 files can\'t be rewritten');
+            }
+
+            const tree = this.parseMp4Box(this.readBytes(fd, moov.start, moov.end - moov.start), 0);
+            this.setMp4Items(tree, values);
+
+            // Chunk offsets are absolute, so media stored after the movie box moves by however much it grew
+            const mediaFollows = topLevel.some(box => box.type === 'mdat' && box.start > moov.start);
+            if (mediaFollows) {
+                const delta = this.serializeMp4Box(tree).length - (moov.end - moov.start);
+                this.shiftChunkOffsets(tree, moov.start, delta);
+            }
+
+            return [
+                { start: 0, end: moov.start },
+                this.serializeMp4Box(tree),
+                { start: moov.end, end: fileSize }
+            ];
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Parse an MP4 box, descending into the containers needed for tagging
+     * @param {Buffer} buffer - Bytes holding the box
+     * @param {number} start - Offset of the box in the buffer
+     * @returns {Object} { type, prefix, children } for containers, { type, data } otherwise
+     */
+    parseMp4Box(buffer, start) {
+        const size = buffer.readUInt32BE(start);
+        const type = buffer.toString('latin1', start + 4, start + 8);
+        if (size === 1 || size < 8 || start + size > buffer.length) {
+            throw new Error(`The MP4 ${type} box is damaged`);
+        }
+
+        const payload = buffer.subarray(start + 8, start + size);
+        if (!MP4_CONTAINERS.has(type)) {
+            return { type, data: payload };
+        }
+
+        // iTunes meta boxes carry a version and flags before their children; QuickTime ones don't
+        const prefixLength = type === 'meta' && payload.length >= 4 && payload.readUInt32BE(0) === 0 ? 4 : 0;
+        const node = { type, prefix: payload.subarray(0, prefixLength), children: [] };
+
+        let offset = start + 8 + prefixLength;
+        while (offset + 8 <= start + size) {
+            const child = this.parseMp4Box(buffer, offset);
+            node.children.push(child);
+            offset += buffer.readUInt32BE(offset);
+        }
+        return node;
+    }
+
+    /**
+     * Serialise a parsed MP4 box
+     * @param {Object} node - Box from parseMp4Box
+     * @returns {Buffer} Box bytes
+     */
+    serializeMp4Box(node) {
+        const payload = node.children
+            ? Buffer.concat([node.prefix, ...node.children.map(child => this.serializeMp4Box(child))])
+            : node.data;
+
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(payload.length + 8);
+        header.write(node.type, 4, 'latin1');
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * Find or create a child container
+     * @param {Object} parent - Container box
+     * @param {string} type - Child type
+     * @param {Buffer} prefix - Version and flags for a new box
+     * @returns {Object} Child box
+     */
+    getMp4Child(parent, type, prefix = Buffer.alloc(0)) {
+        let child = parent.children.find(box => box.type === type);
+        if (!child) {
+            child = { type, prefix, children: [] };
+            parent.children.push(child);
+        }
+        return child;
+    }
+
+    /**
+     * Replace items in moov/udta/meta/ilst, creating the path if the file has no tags yet
+     * @param {Object} moov - Parsed movie box
+     * @param {Object} values - New values keyed by tag field
+     */
+    setMp4Items(moov, values) {
+        const udta = this.getMp4Child(moov, 'udta');
+        const meta = this.getMp4Child(udta, 'meta', Buffer.alloc(4));
+        if (!meta.children.some(box => box.type === 'hdlr')) {
+            // Metadata handler, which players check before reading the item list
+            meta.children.unshift({
+                type: 'hdlr',
+                data: Buffer.concat([Buffer.alloc(8), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9)])
+            });
+        }
+        const ilst = this.getMp4Child(meta, 'ilst');
+
+        for (const [field, value] of Object.entries(values)) {
+            const type = MP4_ATOMS[field];
+            // Data type 1 is UTF-8 text, followed by a zero locale
+            const data = { type: 'data', data: Buffer.concat([Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(value, 'utf8')]) };
+            const item = { type, prefix: Buffer.alloc(0), children: [data] };
+
+            const index = ilst.children.findIndex(box => box.type === type);
+            if (index === -1) {
+                ilst.children.push(item);
+            } else {
+                ilst.children[index] = item;
+            }
+        }
+    }
+
+    /**
+     * Add a delta to every chunk offset that points past the movie box
+     * @param {Object} node - Parsed box
+     * @param {number} moovStart - File offset of the movie box
+     * @param {number} delta - Bytes the movie box grew by
+     */
+    shiftChunkOffsets(node, moovStart, delta) {
+        if (delta === 0) return;
+
+        if (node.children) {
+            node.children.forEach(child => this.shiftChunkOffsets(child, moovStart, delta));
+            return;
+        }
+
+        if (node.type !== 'stco' && node.type !== 'co64') return;
+
+        const data = Buffer.from(node.data);
+        const count = data.readUInt32BE(4);
+        for (let i = 0; i < count; i++) {
+            if (node.type === 'stco') {
+                const position = 8 + i * 4;
+                const value = data.readUInt32BE(position);
+                if (value > moovStart) {
+                    if (value + delta > 0xffffffff) {
+                        throw new Error('The file is too large to grow its tags');
+                    }
+                    data.writeUInt32BE(value + delta, position);
+                }
+            } else {
+                const position = 8 + i * 8;
+                const value = data.readBigUInt64BE(position);
+                if (value > BigInt(moovStart)) {
+                    data.writeBigUInt64BE(value + BigInt(delta), position);
+                }
+            }
+        }
+        node.data = data;
+    }
+}
+
+module.exports = TagWriter;